@@ -0,0 +1,73 @@
+// api/humanize-date.js — ISO datetime → human-friendly phrases in a requested timezone and language
+import { humanizeDateTime } from "../lib/humanize-date.js";
+import { guardRequest } from "../lib/access.js";
+import { ParseDateError } from "../lib/errors.js";
+import { requireClientCurrentTime } from "../lib/reference-time.js";
+
+/**
+ * POST /api/humanize-date
+ * body: {
+ *   isoDate: string,             // ISO datetime, e.g. a convertedDate from /api/parse-date
+ *   timeZone: string,            // Timezone to describe it in (e.g., "America/Chicago", "CST", "Chicago")
+ *   clientCurrentTime: string,   // Client's current time in ISO format, for the relative phrase;
+ *                                // optional with a referenceTimePolicy other than "client"
+ *   locale?: string,             // Optional language: "en" (default), "es", "de", "fr" or "pt"
+ *   referenceTimePolicy?: string, // "client" (default), "server" or "client-with-skew-check", as for /api/parse-date
+ *   maxClockSkewSeconds?: number // For "client-with-skew-check" (default 300)
+ * }
+ * returns: {
+ *   convertedDate: string,       // isoDate in timeZone
+ *   locale: string,
+ *   absolute: string,            // "Tuesday, Jan 23 at 2:00 PM CST"
+ *   relative: string,            // "in 3 days"
+ *   phrase: string,              // "Tuesday, Jan 23 at 2:00 PM CST (in 3 days)"
+ *   humanDate: string,           // "tomorrow" or "2024-01-23"; with humanTime (and dstPolicy),
+ *   humanTime: string,           // /api/parse-date returns convertedDate again
+ *   dstPolicy?: string,          // "later", for the second of two identical wall-clock times
+ *   referenceTime: {             // The "now" the relative phrase counts from, as in /api/parse-date
+ *     time: string, source: "client"|"server", policy: string, clockSkewSeconds?: number
+ *   }
+ * }
+ */
+export default async function handler(req, res) {
+    try {
+        // CORS for Make.com and browsers, then the API key, rate limit and quota (see lib/access.js);
+        // preflight and turned-down requests are answered there
+        if (await guardRequest(req, res, { methods: 'POST, OPTIONS' })) {
+            return;
+        }
+
+        if (req.method !== "POST") {
+            return res.status(405).json({
+                error: "Method not allowed",
+                code: "METHOD_NOT_ALLOWED",
+                message: "Only POST requests are supported"
+            });
+        }
+
+        const { isoDate, timeZone, locale, clientCurrentTime, referenceTimePolicy, maxClockSkewSeconds } = req.body || {};
+
+        // As in /api/parse-date, "now" is the client's unless referenceTimePolicy allows the server's
+        requireClientCurrentTime(clientCurrentTime, referenceTimePolicy);
+
+        const result = humanizeDateTime({ isoDate, timeZone, locale, now: clientCurrentTime, referenceTimePolicy, maxClockSkewSeconds });
+
+        return res.json({
+            isoDate,
+            timeZone,
+            clientCurrentTime,
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof ParseDateError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+
+        console.error('Humanize date error:', error);
+        return res.status(500).json({
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+            message: error?.message || "An unexpected error occurred while describing the date"
+        });
+    }
+}
@@ -1,234 +1,163 @@
 // api/parse-date.js — Natural language → ISO datetime in a requested IANA timezone
-import * as chrono from "chrono-node";
-import { DateTime, IANAZone } from "luxon";
+import { convertRequest } from "../lib/convert-request.js";
+import { guardRequest } from "../lib/access.js";
+import { ParseDateError } from "../lib/errors.js";
+import { RESPONSE_FORMATS, formatTextResponse, parseResponseFormat, requestFromQuery } from "../lib/query-request.js";
 
 /**
  * POST /api/parse-date
+ * GET  /api/parse-date?humanDate=tomorrow&humanTime=2pm&timeZone=America/Chicago&clientCurrentTime=...
+ *      takes the same fields as query parameters (see lib/query-request.js)
+ * ?format=text|csv (either method) returns convertedDate alone, as text/plain or text/csv
  * body: { 
- *   humanDate: string,           // Natural language date like "next week monday"
- *   humanTime: string,           // Time like "2pm" or "14:30"
- *   timeZone: string,            // IANA timezone (e.g., "America/Chicago")
- *   clientCurrentTime: string    // Client's current time in ISO format (e.g., "2024-01-15T10:00:00Z")
+ *   text?: string,               // A whole sentence to take the date and time from, instead of humanDate + humanTime
+ *   humanDate: string,           // Natural language date like "next week monday" or "every other tuesday"
+ *   humanTime: string,           // Time like "2pm", "14:30", "quarter past 3", "afternoon", "2-4pm" or "2pm for 90 minutes"
+ *   timeZone: string,            // IANA timezone (e.g., "America/Chicago"), or an abbreviation, Windows zone name,
+ *                                // offset or city ("EST", "UTC-05:00", "Chicago"); a zone after the time
+ *                                // ("3pm Eastern", "10:00 CET") replaces it
+ *   clientCurrentTime: string,   // Client's current time in ISO format (e.g., "2024-01-15T10:00:00Z");
+ *                                // optional when referenceTimePolicy is "server" or "client-with-skew-check"
+ *   referenceTimePolicy?: string,  // Optional: whose clock is "now": "client" (default), "server" or
+ *                                // "client-with-skew-check"
+ *   maxClockSkewSeconds?: number,  // Optional, with "client-with-skew-check": how far clientCurrentTime may
+ *                                // be from the server's clock before it is replaced (default 300)
+ *   timePeriods?: object,        // Optional named-period overrides (e.g., { "morning": "8am" })
+ *   workWeek?: string[]|string,  // Optional working weekdays for business-day math (e.g., "sun-thu")
+ *   closureDates?: string[],     // Optional ISO dates the business is closed (e.g., ["2025-12-24"])
+ *   holidayCalendar?: string,    // Optional holiday rules: "US", "UK" or "CA"
+ *   occurrences?: number,        // Optional, for recurring dates: how many upcoming occurrences to list (1–100)
+ *   dstPolicy?: string,          // Optional, for times a DST change skips or repeats: "shift-forward" (default),
+ *                                // "earlier", "later" or "reject"
+ *   direction?: string,          // Optional, for a time alone, a bare weekday, a day of the month or a month and day:
+ *                                // "future" (default), "past" or "nearest"
+ *   nextWeekdayMode?: string,    // Optional meaning of "next friday": "next-week" (default) or "next-occurrence"
+ *   pastPolicy?: string,         // Optional, for results before clientCurrentTime: "warn" (default) or "reject"
+ *   locale?: string,             // Optional language: "en", "es", "de", "fr" or "pt" (e.g. "pt-BR"); detected when omitted
+ *   businessHours?: object,      // Optional opening hours per weekday (e.g., { "mon-fri": "9am-5pm", "sat": "10-2" })
+ *   blackoutDates?: string[],    // Optional ISO dates or intervals nothing can be booked in (e.g., ["2025-12-24"])
+ *   suggestSlots?: boolean,      // Optional: when closed, suggest the nearest open slots before and after
+ *   busy?: Array<string|object>, // Optional ISO intervals already taken (e.g., ["2025-08-20T14:00/2025-08-20T15:30"])
+ *   icalendar?: string,          // Optional iCalendar document; its VEVENTs and VFREEBUSY periods are taken
+ *   freeSlots?: number,          // Optional, with busy or icalendar: how many free slots of the same length to list (1–20)
+ *   outputFormats?: string[],    // Optional extra shapes: "utc", "epoch", "epochMs", "rfc2822", "fields",
+ *                                // "googleCalendar", "outlookCalendar", "office365Calendar", "ics"
+ *   event?: object,              // Optional { title, description, location } for the calendar formats
+ *   alsoIn?: string[],           // Optional timezones to also express the result in (e.g., ["Europe/London"])
+ *   vocabulary?: object,         // Optional phrases of your own (e.g., { "after lunch": "1:30pm",
+ *                                // "the usual slot": { "date": "tuesday", "time": "10am" } })
+ *   vocabularyProfile?: string   // Optional id of a vocabulary deployed in lib/vocabulary-profiles.js
  * }
- * returns: { convertedDate: string }  // ISO with proper timezone offset
- * 
+ * returns: {
+ *   convertedDate: string,       // ISO with proper timezone offset
+ *   timeZone: string,            // The zone convertedDate is in: the request's, or the one the time names
+ *   timeZoneResolution?: {       // When timeZone was not written as its IANA name
+ *     input, timeZone, source,   // source: "abbreviation", "iana", "windows", "name", "offset" or "city"
+ *     candidates?: string[]      // For ambiguous inputs ("CST"); the first was used
+ *   },
+ *   requestedTimeZone?: string,  // When the time names a zone: the request's timeZone
+ *   namedTimeZone?: { text, timeZone, candidates? },  // When the time names a zone: "Eastern" → "America/New_York"
+ *   locale: string,              // Language the inputs were read in (given or detected)
+ *   referenceTime: {             // The "now" relative expressions counted from
+ *     time: string,              // ISO, in timeZone
+ *     source: string,            // "client" or "server"
+ *     policy: string,            // the referenceTimePolicy applied
+ *     clockSkewSeconds?: number  // client's clock minus the server's, when both were read
+ *   },
+ *   vocabulary?: {               // With vocabulary or vocabularyProfile
+ *     profile: string | null,
+ *     applied: Array<{ alias, text, field, index, replacement, filled?, source }>  // each phrase replaced
+ *   },
+ *   confidence: number,          // 0–1; lowered by each warning
+ *   components: { certain: string[], implied: string[] },  // e.g. certain ["weekday", "hour"], implied ["day", "minute"]
+ *   alternatives: Array<{ convertedDate, reason, text? }>, // other readings worth confirming
+ *   warnings: Array<{ code, message, suggestions? }>,  // e.g. AMBIGUOUS_WEEKDAY, ROLLED_TO_TOMORROW, DATE_IN_PAST;
+ *                                // UNUSED_TEXT suggests rewrites of humanDate that read in full
+ *   period?: { start, end },     // ISO dates, when humanDate denotes a range ("early summer", "Q3")
+ *   start?: string,              // ISO start/end and length of the interval, when the
+ *   end?: string,                // inputs describe one ("2-4pm", "from the 3rd to the 5th")
+ *   durationMinutes?: number,
+ *   extracted?: {                // In text mode: the substrings used, with their offsets in `text`
+ *     humanDate: { text, index } | null,
+ *     humanTime: { text, index }
+ *   },
+ *   recurrence?: {               // For recurring dates; convertedDate is the first occurrence
+ *     dtstart: string,           // "DTSTART;TZID=America/Chicago:20250826T150000"
+ *     rrule: string,             // "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU"
+ *     occurrences?: string[]     // ISO datetimes, when requested
+ *   },
+ *   availability?: {             // When businessHours or blackoutDates are given
+ *     open: boolean,
+ *     reason: string | null,     // "OUTSIDE_BUSINESS_HOURS", "CLOSED_DAY" or "BLACKOUT"
+ *     suggestions?: { before: string | null, after: string | null }  // ISO starts, with suggestSlots
+ *   },
+ *   freeBusy?: {                 // When busy or icalendar are given
+ *     conflict: boolean,
+ *     conflicts: Array<{ start, end, summary? }>,  // busy intervals the result overlaps
+ *     freeSlots?: Array<{ start, end }>            // with freeSlots, from the requested start on
+ *   },
+ *   alsoIn?: Array<{             // With alsoIn, or when the time names a zone (the request's comes first)
+ *     timeZone, convertedDate, end?, offset, abbreviation,  // "+01:00", "BST"
+ *     dateDiffers: boolean       // the calendar date there is not convertedDate's
+ *   }>,
+ *   formats?: object,            // With outputFormats: each requested shape by name, e.g.
+ *                                // { utc: "2025-08-20T19:00:00Z", epoch: 1755716400, ics: "BEGIN:VCALENDAR..." }
+ *   dstAdjustments?: Array<{     // Wall-clock times that fell in a DST gap or overlap
+ *     requested: string,         // "2026-03-08T02:30:00"
+ *     transition: string,        // "gap" or "overlap"
+ *     convertedDate: string      // the instant dstPolicy chose
+ *   }>
+ * }
+ *
+ * Errors: { error, code, message, field?, span?, suggestions? } (see lib/errors.js), e.g.
+ * { code: "DATE_UNPARSEABLE", field: "humanDate", span: { start: 0, end: 9 }, suggestions: ["wednesday"] }
+ *
+ * With API_KEYS configured, requests need "Authorization: Bearer <key>" (or ?apiKey= with API_KEYS_IN_QUERY);
+ * 401, 403 and 429 (with Retry-After) come from lib/access.js.
+ *
  * Examples:
  * - humanDate: "next week monday", humanTime: "2pm" → 2024-01-22T14:00:00-06:00
- * - humanDate: "next month 15th", humanTime: "afternoon" → 2024-02-15T12:00:00-06:00
+ * - humanDate: "tomorrow", humanTime: "afternoon" → 2024-01-16T14:00:00-06:00
  */
 export default async function handler(req, res) {
-    // Set CORS headers for Make.com integration
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    // Handle preflight request
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-
-    if (req.method !== "POST") {
-        return res.status(405).json({
-            error: "Method not allowed",
-            message: "Only POST requests are supported"
-        });
-    }
-
-    try {
-        const { humanDate, humanTime, timeZone, clientCurrentTime } = req.body || {};
-
-        // Validate required inputs
-        if (!humanDate || typeof humanDate !== "string") {
-            return res.status(400).json({
-                error: "Missing or invalid 'humanDate' parameter",
-                message: "Please provide a natural language date request (e.g., 'next week monday')"
-            });
+    // Spreadsheet cells and chat bots take the bare value (?format=text or csv)
+    let format = "json";
+    const send = (status, body) => {
+        if (format === "json") {
+            return res.status(status).json(body);
         }
+        const { contentType, content } = formatTextResponse(format, body);
+        res.setHeader('Content-Type', contentType);
+        return res.status(status).end(content);
+    };
 
-        if (!humanTime || typeof humanTime !== "string") {
-            return res.status(400).json({
-                error: "Missing or invalid 'humanTime' parameter",
-                message: "Please provide a time (e.g., '2pm', '14:30')"
-            });
-        }
-
-        if (!timeZone || typeof timeZone !== "string") {
-            return res.status(400).json({
-                error: "Missing or invalid 'timeZone' parameter",
-                message: "Please provide a valid IANA timezone (e.g., 'America/Chicago', 'Europe/London')"
-            });
-        }
-
-        if (!clientCurrentTime || typeof clientCurrentTime !== "string") {
-            return res.status(400).json({
-                error: "Missing or invalid 'clientCurrentTime' parameter",
-                message: "Please provide the client's current time in ISO format (e.g., '2024-01-15T10:00:00Z')"
-            });
-        }
-
-        // Validate and normalize timezone
-        if (!IANAZone.isValidZone(timeZone)) {
-            return res.status(400).json({
-                error: "Invalid timezone",
-                message: `'${timeZone}' is not a valid IANA timezone. Please use a valid timezone like 'America/Chicago' or 'Europe/London'`
-            });
-        }
-
-        // Parse client's current time and convert to requested timezone
-        let nowZoned;
-        try {
-            // Parse the client time, preserving the timezone information
-            const clientTime = DateTime.fromISO(clientCurrentTime, { setZone: true });
-            if (!clientTime.isValid) {
-                return res.status(400).json({
-                    error: "Invalid clientCurrentTime format",
-                    message: "Please provide a valid ISO datetime string (e.g., '2024-01-15T10:00:00Z')"
-                });
-            }
-
-            // Convert to the requested timezone
-            nowZoned = clientTime.setZone(timeZone);
-
-
-
-        } catch (error) {
-            return res.status(400).json({
-                error: "Invalid clientCurrentTime format",
-                message: "Please provide a valid ISO datetime string (e.g., '2024-01-15T10:00:00Z')"
-            });
-        }
-
-        // Parse the date using chrono with the client's time as reference
-        let dateResults;
-
-        // Handle problematic cases manually for predictable behavior
-        const humanDateLower = humanDate.toLowerCase();
-        if (humanDateLower === "tomorrow") {
-            // Manually calculate tomorrow based on client's current time
-            const tomorrow = nowZoned.plus({ days: 1 });
-            dateResults = [{
-                start: {
-                    get: (field) => {
-                        switch (field) {
-                            case "year": return tomorrow.year;
-                            case "month": return tomorrow.month;
-                            case "day": return tomorrow.day;
-                            case "hour": return tomorrow.hour;
-                            case "minute": return tomorrow.minute;
-                            case "second": return tomorrow.second;
-                            default: return 0;
-                        }
-                    },
-                    isCertain: () => true
-                }
-            }];
-        } else if (humanDateLower === "today") {
-            // Manually handle "today" to ensure it uses the client's current date
-            // This prevents issues where chrono might interpret "today" differently
-            const today = nowZoned.startOf('day');
-            dateResults = [{
-                start: {
-                    get: (field) => {
-                        switch (field) {
-                            case "year": return today.year;
-                            case "month": return today.month;
-                            case "day": return today.day;
-                            case "hour": return 0;
-                            case "minute": return 0;
-                            case "second": return 0;
-                            default: return 0;
-                        }
-                    },
-                    isCertain: () => true
-                }
-            }];
-        } else {
-            // Use chrono-node for all other date patterns
-            dateResults = chrono.parse(humanDate, nowZoned.toJSDate());
+    try {
+        // CORS for Make.com and browsers, then the API key, rate limit and quota (see lib/access.js);
+        // preflight and turned-down requests are answered there, in `format` when it is a valid one
+        format = RESPONSE_FORMATS.includes(req.query?.format) ? req.query.format : "json";
+        if (await guardRequest(req, res, { methods: 'GET, POST, OPTIONS', send })) {
+            return;
         }
 
-        if (!dateResults.length) {
-            return res.status(400).json({
-                error: "Could not parse the date",
-                message: "Unable to understand the date: " + humanDate
+        if (req.method !== "POST" && req.method !== "GET") {
+            return send(405, {
+                error: "Method not allowed",
+                code: "METHOD_NOT_ALLOWED",
+                message: "Only GET and POST requests are supported"
             });
         }
 
-        const start = dateResults[0].start;
-
-        // Parse the time
-        let hour = 0;
-        let minute = 0;
-        let second = 0;
-
-        // Handle various time formats
-        const timeMatch = humanTime.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
-        if (timeMatch) {
-            // 12-hour format: "2pm", "2:30pm"
-            hour = parseInt(timeMatch[1]);
-            minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-
-            // Convert to 24-hour format
-            if (timeMatch[3].toLowerCase() === 'pm' && hour !== 12) {
-                hour += 12;
-            } else if (timeMatch[3].toLowerCase() === 'am' && hour === 12) {
-                hour = 0;
-            }
-        } else {
-            // 24-hour format: "14:30", "14"
-            const time24Match = humanTime.match(/(\d{1,2})(?::(\d{2}))?/);
-            if (time24Match) {
-                hour = parseInt(time24Match[1]);
-                minute = parseInt(time24Match[2]);
-            } else {
-                return res.status(400).json({
-                    error: "Could not parse the time",
-                    message: "Unable to understand the time: " + humanTime
-                });
-            }
-        }
-
-        // Build the date object
-        let dt = DateTime.fromObject(
-            {
-                year: start.get("year"),
-                month: start.get("month"),
-                day: start.get("day"),
-                hour, minute, second
-            },
-            { zone: timeZone }
-        );
-
-        // Handle case where user only specified time (e.g., "2pm")
-        const onlyTimeSpecified = !start.isCertain("day") && !start.isCertain("month") && !start.isCertain("year");
-
-        if (onlyTimeSpecified) {
-            // If the specified time has already passed today, move to tomorrow
-            if (dt < nowZoned) {
-                dt = dt.plus({ days: 1 });
-            }
-        }
-
-        // Ensure we have a valid date
-        if (!dt.isValid) {
-            return res.status(400).json({
-                error: "Invalid date generated",
-                message: "Could not generate a valid date from the provided inputs"
-            });
+        format = parseResponseFormat(req.query?.format);
+        return send(200, convertRequest(req.method === "GET" ? requestFromQuery(req.query) : req.body));
+    } catch (error) {
+        if (error instanceof ParseDateError) {
+            return send(error.status, error.toJSON());
         }
 
-        return res.json({
-            convertedDate: dt.toISO({ suppressMilliseconds: true }),
-            timeZone: timeZone,
-            humanDate: humanDate,
-            humanTime: humanTime,
-            clientCurrentTime: clientCurrentTime
-        });
-
-    } catch (error) {
         console.error('Parse date error:', error);
-        return res.status(500).json({
+        return send(500, {
             error: "Internal server error",
+            code: "INTERNAL_ERROR",
             message: error?.message || "An unexpected error occurred while parsing the date"
         });
     }
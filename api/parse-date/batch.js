@@ -0,0 +1,60 @@
+// api/parse-date/batch.js — Many natural language conversions in one request
+import { convertBatch } from "../../lib/batch.js";
+import { guardRequest } from "../../lib/access.js";
+import { ParseDateError } from "../../lib/errors.js";
+
+/**
+ * POST /api/parse-date/batch
+ * body: {
+ *   items: Array<{               // Up to 500 requests, each as for POST /api/parse-date
+ *     id?: string | number,      // Optional, echoed back to match results to rows
+ *     humanDate, humanTime, timeZone, clientCurrentTime, ...
+ *   }>,
+ *   clientCurrentTime?: string,  // Any other field applies to every item that doesn't set it;
+ *   timeZone?: string,           // a shared clientCurrentTime resolves the batch against one clock
+ *   ...
+ * }
+ * returns: {
+ *   count: number,
+ *   succeeded: number,
+ *   failed: number,
+ *   results: Array<             // In item order
+ *     { index, id, ok: true, result: object }          // result is the /api/parse-date response
+ *     | { index, id, ok: false, status, error, code, message, field?, span?, suggestions? }
+ *                                                      // status is the HTTP status the item alone would get
+ *   >
+ * }
+ *
+ * The batch itself answers 200 even when items fail; only a malformed batch
+ * (400) or one over the item limit (413) fails as a whole.
+ */
+export default async function handler(req, res) {
+    try {
+        // CORS for Make.com and browsers, then the API key, rate limit and quota (see lib/access.js);
+        // preflight and turned-down requests are answered there
+        if (await guardRequest(req, res, { methods: 'POST, OPTIONS' })) {
+            return;
+        }
+
+        if (req.method !== "POST") {
+            return res.status(405).json({
+                error: "Method not allowed",
+                code: "METHOD_NOT_ALLOWED",
+                message: "Only POST requests are supported"
+            });
+        }
+
+        return res.json(convertBatch(req.body));
+    } catch (error) {
+        if (error instanceof ParseDateError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+
+        console.error('Parse date batch error:', error);
+        return res.status(500).json({
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+            message: error?.message || "An unexpected error occurred while parsing the batch"
+        });
+    }
+}
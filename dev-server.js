@@ -1,147 +1,128 @@
 // Simple development server for testing the API locally
 import { createServer } from 'http';
-import * as chrono from 'chrono-node';
-import { DateTime } from 'luxon';
-
-const server = createServer(async (req, res) => {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    // Handle preflight request
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
+import handler from './api/parse-date.js';
+import batchHandler from './api/parse-date/batch.js';
+import humanizeHandler from './api/humanize-date.js';
+
+// Vercel API routes, keyed by URL path
+const routes = {
+    '/api/parse-date': handler,
+    '/api/parse-date/batch': batchHandler,
+    '/api/humanize-date': humanizeHandler
+};
+
+/**
+ * Give Node's ServerResponse the `status()`/`json()` helpers Vercel provides,
+ * so the production handler runs here unmodified.
+ */
+function toVercelResponse(res) {
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (data) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(data));
+        return res;
+    };
+    return res;
+}
+
+// Repeated parameters become arrays, as Vercel parses them
+function readQuery(searchParams) {
+    const query = {};
+    for (const key of new Set(searchParams.keys())) {
+        const values = searchParams.getAll(key);
+        query[key] = values.length > 1 ? values : values[0];
     }
+    return query;
+}
 
-    // Handle API endpoint
-    if (req.url === '/api/parse-date' && req.method === 'POST') {
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
         let body = '';
         req.on('data', chunk => body += chunk);
-        req.on('end', async () => {
+        req.on('end', () => {
             try {
-                const { humanDate, humanTime, timeZone = 'America/Chicago' } = JSON.parse(body);
-
-                if (!humanDate || !humanTime) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Missing humanDate or humanTime' }));
-                    return;
-                }
-
-                // Get current time in requested zone
-                const nowZoned = DateTime.now().setZone(timeZone);
-
-                // Parse the date using chrono
-                const dateResults = chrono.parse(humanDate, nowZoned.toJSDate(), { forwardDate: true });
-
-                if (!dateResults.length) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Could not parse the date' }));
-                    return;
-                }
-
-                const start = dateResults[0].start;
-
-                // Parse the time
-                let hour = 0;
-                let minute = 0;
-
-                // Handle various time formats
-                const timeMatch = humanTime.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
-                if (timeMatch) {
-                    // 12-hour format: "2pm", "2:30pm"
-                    hour = parseInt(timeMatch[1]);
-                    minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-                    
-                    // Convert to 24-hour format
-                    if (timeMatch[3].toLowerCase() === 'pm' && hour !== 12) {
-                        hour += 12;
-                    } else if (timeMatch[3].toLowerCase() === 'am' && hour === 12) {
-                        hour = 0;
-                    }
-                } else {
-                    // 24-hour format: "14:30", "14"
-                    const time24Match = humanTime.match(/(\d{1,2})(?::(\d{2}))?/);
-                    if (time24Match) {
-                        hour = parseInt(time24Match[1]);
-                        minute = parseInt(time24Match[2]);
-                    } else {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Could not parse the time' }));
-                        return;
-                    }
-                }
-
-                // Build the date object
-                let dt = DateTime.fromObject(
-                    {
-                        year: start.get("year"),
-                        month: start.get("month"),
-                        day: start.get("day"),
-                        hour, minute, second: 0
-                    },
-                    { zone: timeZone }
-                );
-
-                // Handle case where user only specified time
-                const onlyTimeSpecified = !start.isCertain("day") && !start.isCertain("month") && !start.isCertain("year");
-
-                if (onlyTimeSpecified) {
-                    if (dt < nowZoned) {
-                        dt = dt.plus({ days: 1 });
-                    }
-                }
-
-                // Ensure we have a valid date
-                if (!dt.isValid) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid date generated' }));
-                    return;
-                }
-
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    convertedDate: dt.toISO({ suppressMilliseconds: true }),
-                    timeZone: timeZone,
-                    humanDate: humanDate,
-                    humanTime: humanTime
-                }));
-
+                resolve(body ? JSON.parse(body) : undefined);
             } catch (error) {
-                console.error('Parse date error:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    error: "Internal server error",
-                    message: error?.message || "An unexpected error occurred"
-                }));
+                reject(error);
             }
         });
-    } else {
-        // Show help page
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(`
-            <h1>🚀 Human Time to ISO API</h1>
-            <p>Your API is running locally!</p>
-            
-            <h2>Test with curl:</h2>
-            <pre>curl -X POST http://localhost:3000/api/parse-date \\
+        req.on('error', reject);
+    });
+}
+
+const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname];
+
+    // Handle API endpoint
+    if (route) {
+        toVercelResponse(res);
+        try {
+            req.query = readQuery(url.searchParams);
+            req.body = await readJsonBody(req);
+        } catch (error) {
+            return res.status(400).json({
+                error: "Invalid JSON body",
+                code: "JSON_INVALID",
+                message: error?.message || "The request body could not be parsed as JSON"
+            });
+        }
+        return route(req, res);
+    }
+
+    // Show help page
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`
+        <h1>🚀 Human Time to ISO API</h1>
+        <p>Your API is running locally!</p>
+        
+        <h2>Test with curl:</h2>
+        <pre>curl -X POST http://localhost:3000/api/parse-date \\
   -H "Content-Type: application/json" \\
-  -d '{"humanDate": "tomorrow", "humanTime": "2pm"}'</pre>
-            
-            <h2>Or test with:</h2>
-            <pre>curl -X POST http://localhost:3000/api/parse-date \\
+  -d '{"humanDate": "tomorrow", "humanTime": "2pm", "timeZone": "America/Chicago", "clientCurrentTime": "${new Date().toISOString()}"}'</pre>
+        
+        <h2>Or test with:</h2>
+        <pre>curl -X POST http://localhost:3000/api/parse-date \\
   -H "Content-Type: application/json" \\
-  -d '{"humanDate": "next week monday", "humanTime": "3pm"}'</pre>
-            
-            <p><strong>Ready for Make.com integration!</strong></p>
-        `);
-    }
+  -d '{"humanDate": "next week monday", "humanTime": "3pm", "timeZone": "America/Chicago", "clientCurrentTime": "${new Date().toISOString()}"}'</pre>
+        
+        <h2>Or send a whole sentence:</h2>
+        <pre>curl -X POST http://localhost:3000/api/parse-date \\
+  -H "Content-Type: application/json" \\
+  -d '{"text": "can we do next tuesday around 10am?", "timeZone": "America/Chicago", "clientCurrentTime": "${new Date().toISOString()}"}'</pre>
+        
+        <h2>Or in another language:</h2>
+        <pre>curl -X POST http://localhost:3000/api/parse-date \\
+  -H "Content-Type: application/json" \\
+  -d '{"humanDate": "el próximo lunes", "humanTime": "a las 3 de la tarde", "locale": "es", "timeZone": "America/Mexico_City", "clientCurrentTime": "${new Date().toISOString()}"}'</pre>
+        
+        <h2>Or use the server's clock:</h2>
+        <pre>curl -X POST http://localhost:3000/api/parse-date \\
+  -H "Content-Type: application/json" \\
+  -d '{"humanDate": "tomorrow", "humanTime": "2pm", "timeZone": "America/Chicago", "referenceTimePolicy": "server"}'</pre>
+        
+        <h2>Or with a GET, for a spreadsheet cell:</h2>
+        <pre>curl "http://localhost:3000/api/parse-date?humanDate=tomorrow&humanTime=2pm&timeZone=America/Chicago&referenceTimePolicy=server&format=text"</pre>
+        
+        <h2>Or convert many at once:</h2>
+        <pre>curl -X POST http://localhost:3000/api/parse-date/batch \\
+  -H "Content-Type: application/json" \\
+  -d '{"timeZone": "America/Chicago", "clientCurrentTime": "${new Date().toISOString()}", "items": [{"id": 1, "humanDate": "tomorrow", "humanTime": "2pm"}, {"id": 2, "humanDate": "next friday", "humanTime": "noon"}]}'</pre>
+        
+        <h2>Or turn an ISO datetime back into words:</h2>
+        <pre>curl -X POST http://localhost:3000/api/humanize-date \\
+  -H "Content-Type: application/json" \\
+  -d '{"isoDate": "${new Date(Date.now() + 3 * 86400000).toISOString()}", "timeZone": "America/Chicago", "clientCurrentTime": "${new Date().toISOString()}"}'</pre>
+        
+        <p><strong>Ready for Make.com integration!</strong></p>
+    `);
 });
 
 server.listen(3000, () => {
     console.log('🚀 API server running at http://localhost:3000');
-    console.log('📝 Test with: curl -X POST http://localhost:3000/api/parse-date -H "Content-Type: application/json" -d \'{"humanDate": "tomorrow", "humanTime": "2pm"}\'');
+    console.log('📝 Test with: curl -X POST http://localhost:3000/api/parse-date -H "Content-Type: application/json" -d \'{"humanDate": "tomorrow", "humanTime": "2pm", "timeZone": "America/Chicago", "clientCurrentTime": "2024-01-15T10:00:00Z"}\'');
     console.log('🌐 Open http://localhost:3000 in your browser for help');
 });
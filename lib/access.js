@@ -0,0 +1,291 @@
+// lib/access.js — API keys, per-key rate limits and monthly quotas, and the CORS origin allowlist
+import { createHash, timingSafeEqual } from "node:crypto";
+import { ParseDateError } from "./errors.js";
+
+/*
+ * Everything here is off until configured, so a deployment without these
+ * settings stays open:
+ *   API_KEYS               the keys that may call the API, either a comma-separated list
+ *                          or JSON with limits per key:
+ *                            { "<key>": { "ratePerMinute": 120, "monthlyQuota": 50000 } }
+ *                          Once set, every request needs one, as "Authorization: Bearer <key>"
+ *   API_KEYS_IN_QUERY      "true" to also take the key as ?apiKey=<key>, for tools that cannot set
+ *                          headers; off by default, as it puts keys in URLs and access logs
+ *   RATE_LIMIT_PER_MINUTE  requests per key per minute, for keys that don't set their own (60)
+ *   MONTHLY_QUOTA          requests per key per calendar month (UTC), likewise; unlimited when unset
+ *   CORS_ALLOWED_ORIGINS   comma-separated origins browsers may call from; any when unset.
+ *                          Requests sent from another origin fail with 403
+ * Every request counts once, a batch too. Over the rate limit or the quota a
+ * key gets 429 with Retry-After, the seconds until the minute or the month
+ * turns; responses carry X-RateLimit-* and X-Quota-* headers either way.
+ *
+ * Counters live in a store, an object with
+ *   increment(name, expiresAt) → Promise<number>
+ * that adds one to the counter `name` and returns its new value, forgetting
+ * it at `expiresAt` (epoch milliseconds). createMemoryStore() is the default.
+ * It lives in one process, and serverless instances each have their own, so
+ * give configureAccess() a shared store (Redis, Vercel KV) to hold limits
+ * across instances.
+ */
+
+export const DEFAULT_RATE_PER_MINUTE = 60;
+
+const MINUTE_MS = 60 * 1000;
+
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+const ALLOWED_HEADERS = "Content-Type, Authorization";
+
+const EXPOSED_HEADERS = "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining";
+
+/**
+ * A store that keeps its counters in this process's memory.
+ *
+ * @param {object} [options]
+ * @param {function(): number} [options.clock]  the current time in epoch milliseconds, to expire counters by
+ */
+export function createMemoryStore({ clock = Date.now } = {}) {
+    const counters = new Map();
+    return {
+        async increment(name, expiresAt) {
+            const now = clock();
+            if (counters.size >= MEMORY_STORE_SWEEP_SIZE) {
+                for (const [key, counter] of counters) {
+                    if (counter.expiresAt <= now) {
+                        counters.delete(key);
+                    }
+                }
+            }
+            const counter = counters.get(name);
+            const count = counter && counter.expiresAt > now ? counter.count + 1 : 1;
+            counters.set(name, { count, expiresAt });
+            return count;
+        }
+    };
+}
+
+/**
+ * The access settings in `env` (see above).
+ *
+ * @param {Object<string, string>} env  e.g. process.env
+ * @returns {{ keys: Object<string, { ratePerMinute: number, monthlyQuota: number|null }>|null, origins: string[]|null,
+ *             queryKeys: boolean }}  keys and origins are null when not restricted
+ * @throws {Error} when a setting is malformed; the deployment is misconfigured
+ */
+export function readAccessConfig(env) {
+    const ratePerMinute = readLimit(env.RATE_LIMIT_PER_MINUTE, "RATE_LIMIT_PER_MINUTE") || DEFAULT_RATE_PER_MINUTE;
+    const monthlyQuota = readLimit(env.MONTHLY_QUOTA, "MONTHLY_QUOTA");
+    return {
+        keys: readKeys(env.API_KEYS, { ratePerMinute, monthlyQuota }),
+        origins: env.CORS_ALLOWED_ORIGINS ? splitList(env.CORS_ALLOWED_ORIGINS).map((origin) => origin.replace(/\/$/, "")) : null,
+        queryKeys: ["true", "1"].includes((env.API_KEYS_IN_QUERY || "").trim().toLowerCase())
+    };
+}
+
+function readKeys(setting, defaults) {
+    if (!setting || !setting.trim()) {
+        return null;
+    }
+    if (!setting.trim().startsWith("{")) {
+        return Object.fromEntries(splitList(setting).map((key) => [key, { ...defaults }]));
+    }
+    let keys;
+    try {
+        keys = JSON.parse(setting);
+    } catch {
+        throw new Error("API_KEYS must be a comma-separated list of keys or a JSON object of keys and their limits");
+    }
+    return Object.fromEntries(Object.entries(keys).map(([key, limits]) => [key, {
+        ratePerMinute: readLimit(limits && limits.ratePerMinute, "API_KEYS rate limit of a key") || defaults.ratePerMinute,
+        monthlyQuota: readLimit(limits && limits.monthlyQuota, "API_KEYS quota of a key") || defaults.monthlyQuota
+    }]));
+}
+
+function readLimit(value, name) {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`${name} must be a whole number of requests, at least 1`);
+    }
+    return limit;
+}
+
+function splitList(value) {
+    return value.split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Access control over a set of keys and origins.
+ *
+ * @param {object} options
+ * @param {Object<string, { ratePerMinute: number, monthlyQuota: number|null }>|null} options.keys  null to leave the API open
+ * @param {string[]|null} options.origins  null to allow any origin
+ * @param {boolean} [options.queryKeys]  whether ?apiKey=<key> is accepted as well as the Authorization header
+ * @param {{ increment: function(string, number): Promise<number> }} [options.store]  a createMemoryStore() on `clock` by default
+ * @param {function(): number} [options.clock]  the current time in epoch milliseconds
+ * @returns {{ corsHeaders: function(string|undefined, string): Object<string, string>,
+ *             check: function({ headers: object, query?: object }): Promise<{ headers: Object<string, string>,
+ *                                                                               error: ParseDateError|null }> }}
+ */
+export function createAccessControl({ keys, origins, queryKeys = false, clock = Date.now, store = createMemoryStore({ clock }) }) {
+    const originAllowed = (origin) => !origins || !origin || origins.includes(origin);
+    // Keys are compared by digest in constant time, and counted under a prefix of it, never in the clear
+    const digests = keys && Object.entries(keys).map(([key, limits]) => ({ digest: digestOf(key), limits }));
+
+    return {
+        /**
+         * The CORS headers for a request from `origin`, allowing `methods`.
+         */
+        corsHeaders(origin, methods) {
+            const headers = {
+                "Access-Control-Allow-Methods": methods,
+                "Access-Control-Allow-Headers": ALLOWED_HEADERS,
+                "Access-Control-Expose-Headers": EXPOSED_HEADERS
+            };
+            if (!origins) {
+                return { "Access-Control-Allow-Origin": "*", ...headers };
+            }
+            return origin && originAllowed(origin)
+                ? { "Access-Control-Allow-Origin": origin, "Vary": "Origin", ...headers }
+                : { "Vary": "Origin" };
+        },
+
+        /**
+         * Whether a request may go ahead, and the headers to answer it with either way.
+         */
+        async check({ headers = {}, query = {} }) {
+            if (!originAllowed(headers.origin)) {
+                return { headers: {}, error: new ParseDateError(
+                    "Origin not allowed",
+                    `Requests from '${headers.origin}' are not allowed`,
+                    { code: "ORIGIN_NOT_ALLOWED", status: 403 }
+                ) };
+            }
+            if (!keys) {
+                return { headers: {}, error: null };
+            }
+
+            const key = readApiKey(headers, queryKeys ? query : {});
+            const match = key && findKey(digests, digestOf(key));
+            if (!match) {
+                return { headers: { "WWW-Authenticate": "Bearer realm=\"human-time-to-iso\"" }, error: new ParseDateError(
+                    "Unauthorized",
+                    key ? "The API key is not valid" : "Please send an API key as 'Authorization: Bearer <key>'",
+                    { code: "UNAUTHORIZED", status: 401 }
+                ) };
+            }
+
+            const { ratePerMinute, monthlyQuota } = match.limits;
+            const id = match.digest.toString("hex").slice(0, 16);
+            const now = clock();
+            const secondsUntil = (time) => Math.max(1, Math.ceil((time - now) / 1000));
+
+            const minuteEnd = Math.floor(now / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+            const requests = await store.increment(`rate:${id}:${minuteEnd}`, minuteEnd);
+            const responseHeaders = {
+                "X-RateLimit-Limit": String(ratePerMinute),
+                "X-RateLimit-Remaining": String(Math.max(0, ratePerMinute - requests)),
+                "X-RateLimit-Reset": String(secondsUntil(minuteEnd))
+            };
+            if (requests > ratePerMinute) {
+                return { headers: { ...responseHeaders, "Retry-After": String(secondsUntil(minuteEnd)) }, error: new ParseDateError(
+                    "Rate limit exceeded",
+                    `This key may make ${ratePerMinute} requests a minute; try again in ${secondsUntil(minuteEnd)} seconds`,
+                    { code: "RATE_LIMITED", status: 429 }
+                ) };
+            }
+
+            if (!monthlyQuota) {
+                return { headers: responseHeaders, error: null };
+            }
+            const today = new Date(now);
+            const monthEnd = Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1);
+            const used = await store.increment(`quota:${id}:${monthEnd}`, monthEnd);
+            responseHeaders["X-Quota-Limit"] = String(monthlyQuota);
+            responseHeaders["X-Quota-Remaining"] = String(Math.max(0, monthlyQuota - used));
+            if (used > monthlyQuota) {
+                return { headers: { ...responseHeaders, "Retry-After": String(secondsUntil(monthEnd)) }, error: new ParseDateError(
+                    "Monthly quota exceeded",
+                    `This key may make ${monthlyQuota} requests a month; the quota renews on ${new Date(monthEnd).toISOString().slice(0, 10)}`,
+                    { code: "QUOTA_EXCEEDED", status: 429 }
+                ) };
+            }
+            return { headers: responseHeaders, error: null };
+        }
+    };
+}
+
+function digestOf(key) {
+    return createHash("sha256").update(key).digest();
+}
+
+// Every key is compared, so the time taken does not tell how close a guess came
+function findKey(digests, digest) {
+    let found = null;
+    for (const entry of digests) {
+        if (timingSafeEqual(entry.digest, digest) && !found) {
+            found = entry;
+        }
+    }
+    return found;
+}
+
+// "Authorization: Bearer <key>", or ?apiKey=<key> where allowed
+function readApiKey(headers, query) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(headers.authorization || "");
+    if (match) {
+        return match[1];
+    }
+    return typeof query.apiKey === "string" && query.apiKey ? query.apiKey : null;
+}
+
+let access = null;
+
+/**
+ * Replace the access settings read from the environment, e.g. with a shared store:
+ * configureAccess({ store: redisStore }). Options are as for createAccessControl().
+ */
+export function configureAccess(options = {}) {
+    access = createAccessControl({ ...readAccessConfig(process.env), ...options });
+}
+
+/**
+ * Apply CORS and access control to a Vercel request. Answers preflight
+ * requests and turned-down ones itself.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} options
+ * @param {string} options.methods  the methods the endpoint allows, for CORS
+ * @param {function(number, object): *} [options.send]  writes an error body with its status; JSON by default
+ * @returns {Promise<boolean>}  true when the response has been sent
+ * @throws {Error} when the settings are malformed or the store fails; the handler answers 500
+ */
+export async function guardRequest(req, res, { methods, send = (status, body) => res.status(status).json(body) }) {
+    if (!access) {
+        configureAccess();
+    }
+    const headers = req.headers || {};
+    const cors = access.corsHeaders(headers.origin, methods);
+    for (const [name, value] of Object.entries(cors)) {
+        res.setHeader(name, value);
+    }
+
+    // Preflight requests carry no key; only their origin is checked
+    if (req.method === "OPTIONS") {
+        res.status(cors["Access-Control-Allow-Origin"] || !headers.origin ? 200 : 403).end();
+        return true;
+    }
+
+    const { headers: accessHeaders, error } = await access.check({ headers, query: req.query || {} });
+    for (const [name, value] of Object.entries(accessHeaders)) {
+        res.setHeader(name, value);
+    }
+    if (error) {
+        send(error.status, error.toJSON());
+        return true;
+    }
+    return false;
+}
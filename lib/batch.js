@@ -0,0 +1,86 @@
+// lib/batch.js — Many conversions in one request, each succeeding or failing on its own
+import { ParseDateError } from "./errors.js";
+import { convertRequest } from "./convert-request.js";
+
+/*
+ * A batch body is { items: [...], ...shared }. Each item is a request body of
+ * its own plus an optional `id` echoed back; every other top-level field
+ * (clientCurrentTime, timeZone, locale, ...) applies to the items that don't
+ * set it. Sending `clientCurrentTime` at the top level therefore resolves the
+ * whole batch against one reference clock.
+ *
+ * Results come back in item order. Items are independent: one that fails
+ * carries its error and the rest still convert. A batch that would outlive
+ * the function's 10s maxDuration stops at TIME_BUDGET_MS; the items not
+ * reached fail with "Batch time limit exceeded" and can be sent again.
+ */
+
+// About 1ms per item, 5ms in text mode; leaves headroom under maxDuration
+export const MAX_BATCH_ITEMS = 500;
+
+const TIME_BUDGET_MS = 8000;
+
+/**
+ * Convert every item of a batch body.
+ *
+ * @param {{ items: object[] }} body
+ * @param {object} [options]
+ * @param {number} [options.timeBudgetMs]  stop converting after this long (default 8s)
+ * @param {() => number} [options.clock]  milliseconds, for the time budget
+ * @returns {{ count: number, succeeded: number, failed: number,
+ *             results: Array<{ index: number, id: *, ok: true, result: object }
+ *                          | { index: number, id: *, ok: false, status: number, error: string, code: string, message: string,
+ *                              field?: string, span?: { start: number, end: number }, suggestions?: string[] }> }}
+ * @throws {ParseDateError} when the body is not a batch
+ */
+export function convertBatch(body, { timeBudgetMs = TIME_BUDGET_MS, clock = Date.now } = {}) {
+    const { items, ...shared } = body || {};
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ParseDateError(
+            "Missing or invalid 'items' parameter",
+            "Please provide an array of requests (e.g., [{ \"id\": 1, \"humanDate\": \"tomorrow\", \"humanTime\": \"2pm\" }])",
+            { code: "PARAMETER_INVALID", field: "items" }
+        );
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        throw new ParseDateError(
+            "Too many items",
+            `A batch holds up to ${MAX_BATCH_ITEMS} items; split the ${items.length} items into several batches`,
+            { code: "BATCH_TOO_LARGE", status: 413 }
+        );
+    }
+
+    const deadline = clock() + timeBudgetMs;
+    const results = items.map((item, index) => {
+        const id = item && typeof item === "object" && item.id !== undefined ? item.id : null;
+        const fail = (error) => ({ index, id, ok: false, status: error.status, ...error.toJSON() });
+
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+            return fail(new ParseDateError("Invalid item", "Each item must be an object of request fields", { code: "BATCH_ITEM_INVALID" }));
+        }
+        if (clock() > deadline) {
+            return fail(new ParseDateError(
+                "Batch time limit exceeded",
+                "The batch ran out of time before this item; send it again in a smaller batch",
+                { code: "BATCH_TIME_LIMIT", status: 503 }
+            ));
+        }
+
+        try {
+            return { index, id, ok: true, result: convertRequest({ ...shared, ...item }) };
+        } catch (error) {
+            if (error instanceof ParseDateError) {
+                return fail(error);
+            }
+            console.error("Parse date error:", error);
+            return fail(new ParseDateError(
+                "Internal server error",
+                error?.message || "An unexpected error occurred while parsing the date",
+                { code: "INTERNAL_ERROR", status: 500 }
+            ));
+        }
+    });
+
+    const succeeded = results.filter((result) => result.ok).length;
+    return { count: results.length, succeeded, failed: results.length - succeeded, results };
+}
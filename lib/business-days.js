@@ -0,0 +1,279 @@
+// lib/business-days.js — Working calendar and business-day date expressions
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { WEEKDAY_NAMES, monthStart, normalizeDateText } from "./relative-month.js";
+
+/*
+ * Supported expressions (the current day never counts as "next"):
+ *   "next business day", "next working day", "previous business day"
+ *   "in 3 business days", "3 business days from now", "two working days from today"
+ *   "end of week" / "end of this week"  → last working day of the current work week
+ *   "end of month" / "end of this month" → last working day of the current month
+ *   "first business day of next month", "last working day of june"
+ *
+ * "end of week" and "end of month" roll over to the following week/month once
+ * that day has passed.
+ */
+
+// Monday–Friday, as luxon weekday numbers (1 = Monday … 7 = Sunday)
+export const DEFAULT_WORK_WEEK = Object.freeze([1, 2, 3, 4, 5]);
+
+// Guard against calendars that close for (nearly) ever
+const MAX_SEARCH_DAYS = 366 * 2;
+
+const COUNT_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+    eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+};
+
+const BUSINESS_DAY = "(?:business|working|work|week)\\s*days?";
+const COUNT = `(\\d{1,3}|${Object.keys(COUNT_WORDS).join("|")})`;
+
+/**
+ * Build a working calendar.
+ *
+ * @param {object} [options]
+ * @param {Array<string|number>|string} [options.workWeek]  Working weekdays: names ("sun"), ISO numbers (7)
+ *                                                          or a range string like "sun-thu". Defaults to Mon–Fri.
+ * @param {string[]} [options.closureDates]  ISO dates ("2025-12-24") the business is closed
+ * @param {{ isClosed: (dt: DateTime) => boolean }} [options.holidays]  Holiday calendar whose public holidays are closures
+ * @returns {{ workWeek: number[], isBusinessDay: (dt: DateTime) => boolean, isClosed: (dt: DateTime) => boolean,
+ *            addBusinessDays: (dt: DateTime, n: number) => DateTime }}
+ *          `isClosed` is true on closure dates and public holidays, whatever the weekday
+ * @throws {ParseDateError} when an option is malformed
+ */
+export function createBusinessCalendar({ workWeek, closureDates, holidays } = {}) {
+    const workdays = parseWorkWeek(workWeek);
+    const closed = new Set(parseClosureDates(closureDates));
+
+    const isClosed = (dt) => closed.has(dt.toISODate()) || Boolean(holidays && holidays.isClosed(dt));
+    const isBusinessDay = (dt) => workdays.includes(dt.weekday) && !isClosed(dt);
+
+    /**
+     * Move `count` business days from `dt` (negative counts go back).
+     * A count of 0 returns `dt` itself if it is a business day, else the next one.
+     */
+    const addBusinessDays = (dt, count) => {
+        const step = count < 0 ? -1 : 1;
+        let remaining = Math.abs(count);
+        let day = dt.startOf("day");
+
+        if (remaining === 0) {
+            return nextMatching(day, 1, isBusinessDay);
+        }
+        for (let i = 0; remaining > 0; i++) {
+            if (i > MAX_SEARCH_DAYS * Math.max(1, Math.abs(count))) {
+                throw noBusinessDays();
+            }
+            day = day.plus({ days: step });
+            if (isBusinessDay(day)) {
+                remaining--;
+            }
+        }
+        return day;
+    };
+
+    return { workWeek: workdays, isBusinessDay, isClosed, addBusinessDays };
+}
+
+/**
+ * Resolve a business-day expression against a working calendar.
+ *
+ * @param {string} humanDate
+ * @param {DateTime} now  Reference time, already in the request's timezone
+ * @param {{ calendar: ReturnType<typeof createBusinessCalendar> }} context
+ * @returns {DateTime|null} start of the resolved day, or null if the expression isn't one of ours
+ */
+export function resolveBusinessDayDate(humanDate, now, { calendar }) {
+    const text = normalizeDateText(humanDate);
+    const today = now.startOf("day");
+
+    if (new RegExp(`^(?:next|following)\\s+${BUSINESS_DAY}$`).test(text)) {
+        return calendar.addBusinessDays(today, 1);
+    }
+    if (new RegExp(`^(?:previous|last)\\s+${BUSINESS_DAY}$`).test(text)) {
+        return calendar.addBusinessDays(today, -1);
+    }
+
+    let match = text.match(new RegExp(`^(?:in|after)\\s+${COUNT}\\s+${BUSINESS_DAY}$`))
+        || text.match(new RegExp(`^${COUNT}\\s+${BUSINESS_DAY}\\s+(?:from\\s+(?:now|today)|later)$`));
+    if (match) {
+        return calendar.addBusinessDays(today, parseCount(match[1]));
+    }
+
+    if (/^end\s+of\s+(?:the\s+|this\s+)?(?:work\s*)?week$/.test(text)) {
+        const thisWeek = endOfWorkWeek(today, calendar);
+        return thisWeek && thisWeek >= today ? thisWeek : endOfWorkWeek(today.plus({ weeks: 1 }), calendar);
+    }
+
+    if (/^end\s+of\s+(?:the\s+|this\s+)?month$/.test(text)) {
+        const thisMonth = lastBusinessDayOfMonth(today.startOf("month"), calendar);
+        return thisMonth >= today ? thisMonth : lastBusinessDayOfMonth(today.startOf("month").plus({ months: 1 }), calendar);
+    }
+
+    match = text.match(new RegExp(`^(first|last)\\s+${BUSINESS_DAY}\\s+(?:of|in)\\s+(?:the\\s+)?(.+)$`));
+    if (match) {
+        const start = monthStart(match[2], now);
+        if (!start) {
+            return null;
+        }
+        return match[1] === "first"
+            ? nextMatching(start, 1, calendar.isBusinessDay)
+            : lastBusinessDayOfMonth(start, calendar);
+    }
+
+    return null;
+}
+
+/**
+ * First and last calendar day of the work week containing `day`. The work week
+ * starts on its first configured weekday, so a Sun–Thu week ending Thursday
+ * contains the preceding Sunday. Days outside the work week (the weekend)
+ * belong to the week that just ended.
+ */
+export function workWeekRange(day, calendar) {
+    const first = calendar.workWeek[0];
+    const last = calendar.workWeek[calendar.workWeek.length - 1];
+    const start = day.startOf("day").minus({ days: (day.weekday - first + 7) % 7 });
+    return { start, end: start.plus({ days: (last - first + 7) % 7 }) };
+}
+
+/**
+ * Last working day of the work week containing `day`, skipping back over closures.
+ */
+function endOfWorkWeek(day, calendar) {
+    const { start, end } = workWeekRange(day, calendar);
+    for (let d = end; d >= start; d = d.minus({ days: 1 })) {
+        if (calendar.isBusinessDay(d)) {
+            return d;
+        }
+    }
+    return null;
+}
+
+function lastBusinessDayOfMonth(start, calendar) {
+    const last = nextMatching(start.endOf("month").startOf("day"), -1, calendar.isBusinessDay);
+    if (last.month !== start.month) {
+        throw new ParseDateError(
+            "Invalid date generated",
+            `There are no business days in ${start.toFormat("LLLL yyyy")}`,
+            { code: "DATE_INVALID" }
+        );
+    }
+    return last;
+}
+
+function nextMatching(day, step, predicate) {
+    for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+        if (predicate(day)) {
+            return day;
+        }
+        day = day.plus({ days: step });
+    }
+    throw noBusinessDays();
+}
+
+function noBusinessDays() {
+    return new ParseDateError(
+        "Invalid date generated",
+        "No business day found within two years; check 'workWeek', 'closureDates' and 'holidayCalendar'",
+        { code: "DATE_INVALID" }
+    );
+}
+
+/**
+ * Normalize `workWeek` into sorted luxon weekday numbers in work-week order
+ * (a Sun–Thu week is [7, 1, 2, 3, 4]).
+ */
+function parseWorkWeek(workWeek) {
+    if (workWeek === undefined || workWeek === null) {
+        return [...DEFAULT_WORK_WEEK];
+    }
+
+    const invalid = () => new ParseDateError(
+        "Invalid 'workWeek' parameter",
+        "Please provide working weekdays as an array (e.g., [\"sun\", \"mon\", \"tue\", \"wed\", \"thu\"]) or a range like \"sun-thu\"",
+        { code: "PARAMETER_INVALID", field: "workWeek" }
+    );
+
+    let days;
+    if (typeof workWeek === "string") {
+        const range = workWeek.trim().toLowerCase().match(/^(\w+)\s*(?:-|–|to)\s*(\w+)$/);
+        if (!range) {
+            days = workWeek.split(",");
+        } else {
+            const from = toWeekday(range[1]);
+            const to = toWeekday(range[2]);
+            if (!from || !to) {
+                throw invalid();
+            }
+            days = [];
+            for (let d = from; ; d = (d % 7) + 1) {
+                days.push(d);
+                if (d === to) break;
+            }
+        }
+    } else if (Array.isArray(workWeek)) {
+        days = workWeek;
+    } else {
+        throw invalid();
+    }
+
+    const numbers = days.map(toWeekday);
+    if (!numbers.length || numbers.some((d) => !d)) {
+        throw invalid();
+    }
+
+    // Order by position in the week, starting after the longest gap (the weekend)
+    const unique = [...new Set(numbers)].sort((a, b) => a - b);
+    let startIndex = 0;
+    let longestGap = -1;
+    unique.forEach((day, i) => {
+        const previous = unique[(i - 1 + unique.length) % unique.length];
+        const gap = (day - previous + 7) % 7 || 7;
+        if (gap > longestGap) {
+            longestGap = gap;
+            startIndex = i;
+        }
+    });
+    return [...unique.slice(startIndex), ...unique.slice(0, startIndex)];
+}
+
+function toWeekday(value) {
+    if (typeof value === "number") {
+        return Number.isInteger(value) && value >= 1 && value <= 7 ? value : null;
+    }
+    if (typeof value === "string") {
+        const name = value.trim().toLowerCase();
+        return Object.hasOwn(WEEKDAY_NAMES, name) ? WEEKDAY_NAMES[name] : null;
+    }
+    return null;
+}
+
+function parseClosureDates(closureDates) {
+    if (closureDates === undefined || closureDates === null) {
+        return [];
+    }
+    if (!Array.isArray(closureDates)) {
+        throw new ParseDateError(
+            "Invalid 'closureDates' parameter",
+            "Please provide an array of ISO dates (e.g., [\"2025-12-24\", \"2025-12-26\"])",
+            { code: "PARAMETER_INVALID", field: "closureDates" }
+        );
+    }
+    return closureDates.map((date) => {
+        const parsed = typeof date === "string" ? DateTime.fromISO(date) : null;
+        if (!parsed || !parsed.isValid) {
+            throw new ParseDateError(
+                "Invalid 'closureDates' parameter",
+                `'${date}' is not a valid ISO date (e.g., '2025-12-24')`,
+                { code: "PARAMETER_INVALID", field: "closureDates" }
+            );
+        }
+        return parsed.toISODate();
+    });
+}
+
+function parseCount(token) {
+    return Object.hasOwn(COUNT_WORDS, token) ? COUNT_WORDS[token] : Number(token);
+}
@@ -0,0 +1,232 @@
+// lib/business-hours.js — Opening hours, blackouts and the nearest bookable slots
+import { DateTime, Interval } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { parseHumanTimeRange } from "./time-parser.js";
+import { WEEKDAY_NAMES } from "./relative-month.js";
+
+/*
+ * businessHours maps weekdays to opening hours in the request's timezone:
+ *   { "mon-fri": "9am-5pm", sat: "10:00-14:00" }
+ *   { mon: ["9am-12pm", "1pm-5pm"], tue: "9-5", sun: "closed" }
+ * Keys are weekday names, ranges of them or ISO numbers (7 = Sunday); later
+ * keys override earlier ones. Weekdays not listed are closed. Hours use the
+ * time grammar ("9-5" is 9:00–17:00); "6pm-2am" runs past midnight.
+ *
+ * blackoutDates are ISO dates ("2025-12-24", the whole day) or ISO intervals
+ * ("2025-12-24T12:00/2025-12-24T18:00"), up to MAX_BLACKOUT_DATES of them;
+ * times without an offset are in the request's timezone.
+ *
+ * With businessHours, closure dates and public holidays of the request's
+ * calendar are closed too. Without it every day is open all day, except
+ * blackouts.
+ *
+ * A single time is open when it falls inside opening hours; an interval when
+ * all of it does. The suggested slots are the nearest starts before and after
+ * the requested one where the same interval fits (for a single time, where
+ * DEFAULT_SLOT_MINUTES fit), never before the current time.
+ */
+
+export const DEFAULT_SLOT_MINUTES = 30;
+
+// A year of whole days; every slot search checks each blackout
+export const MAX_BLACKOUT_DATES = 366;
+
+// How far to look for an open slot
+const MAX_SEARCH_DAYS = 366;
+
+/**
+ * Build the request's opening hours, or null when it sets neither businessHours nor blackoutDates.
+ *
+ * @param {object} options
+ * @param {Object<string, string|string[]>} [options.businessHours]
+ * @param {string[]} [options.blackoutDates]
+ * @param {{ isClosed: (dt: DateTime) => boolean }} options.calendar  from createBusinessCalendar()
+ * @param {string} options.timeZone
+ * @returns {{ check: (start: DateTime, end: DateTime|null) => { open: boolean, reason: string|null },
+ *             suggest: (start: DateTime, end: DateTime|null, now: DateTime) => { before: DateTime|null, after: DateTime|null },
+ *             nextOpen: (from: DateTime, minutes: number) => DateTime|null }|null}
+ *          `nextOpen` is the earliest start at or after `from` with `minutes` open, within a year
+ * @throws {ParseDateError} when an option is malformed
+ */
+export function createOpeningHours({ businessHours, blackoutDates, calendar, timeZone }) {
+    if ((businessHours === undefined || businessHours === null) && (blackoutDates === undefined || blackoutDates === null)) {
+        return null;
+    }
+
+    const hours = businessHours === undefined || businessHours === null ? null : parseBusinessHours(businessHours);
+    const blackouts = parseBlackoutDates(blackoutDates, timeZone);
+
+    // Opening hours that start on `day` (a start of day in the request's timezone), before blackouts
+    const scheduled = (day) => {
+        if (!hours) {
+            return [Interval.fromDateTimes(day, day.plus({ days: 1 }))];
+        }
+        if (calendar.isClosed(day)) {
+            return [];
+        }
+        return hours[day.weekday].map(({ open, close }) => {
+            const start = day.set(open);
+            const end = day.set(close);
+            return Interval.fromDateTimes(start, end > start ? end : day.plus({ days: 1 }).set(close));
+        });
+    };
+    const windows = (day) => scheduled(day).flatMap((window) => window.difference(...blackouts));
+
+    const fits = (window, start, end) => window.start <= start && (end ? end <= window.end : start < window.end);
+
+    const check = (start, end) => {
+        const day = start.startOf("day");
+        if (blackouts.some((blackout) => (end ? blackout.overlaps(Interval.fromDateTimes(start, end)) : blackout.contains(start)))) {
+            return { open: false, reason: "BLACKOUT" };
+        }
+        if ([day.minus({ days: 1 }), day].some((d) => windows(d).some((window) => fits(window, start, end)))) {
+            return { open: true, reason: null };
+        }
+        const opensThatDay = scheduled(day.minus({ days: 1 })).some((window) => window.end > day) || scheduled(day).length > 0;
+        return { open: false, reason: opensThatDay ? "OUTSIDE_BUSINESS_HOURS" : "CLOSED_DAY" };
+    };
+
+    const holds = (window, candidate, minutes) => window.start <= candidate && candidate.plus({ minutes }) <= window.end;
+
+    // Earliest start at or after `from` where `minutes` fit, in the first day that has one
+    const nextOpen = (from, minutes) => {
+        let next = null;
+        for (let i = -1; i <= MAX_SEARCH_DAYS && !next; i++) {
+            next = windows(from.startOf("day").plus({ days: i }))
+                .map((window) => ({ window, candidate: DateTime.max(window.start, from) }))
+                .filter(({ window, candidate }) => holds(window, candidate, minutes))
+                .map(({ candidate }) => candidate)
+                .sort((a, b) => a - b)[0] || null;
+        }
+        return next;
+    };
+
+    const suggest = (start, end, now) => {
+        const minutes = end ? end.diff(start, "minutes").minutes : DEFAULT_SLOT_MINUTES;
+
+        // A request in the past looks from now, rounded up to the quarter hour
+        const after = nextOpen(start >= now ? start : roundUp(now, 15), minutes);
+
+        // Latest start before the requested one, going back no further than now
+        let before = null;
+        for (let day = start.startOf("day"); !before && day >= now.startOf("day").minus({ days: 1 }); day = day.minus({ days: 1 })) {
+            before = windows(day)
+                .map((window) => ({ window, candidate: DateTime.min(start, window.end.minus({ minutes })) }))
+                .filter(({ window, candidate }) => candidate < start && holds(window, candidate, minutes))
+                .map(({ candidate }) => candidate)
+                .sort((a, b) => b - a)[0] || null;
+        }
+
+        return { before: before && before >= now ? before : null, after };
+    };
+
+    return { check, suggest, nextOpen };
+}
+
+export function roundUp(dt, minutes) {
+    const floored = dt.startOf("hour").plus({ minutes: Math.floor(dt.minute / minutes) * minutes });
+    return floored < dt ? floored.plus({ minutes }) : floored;
+}
+
+/**
+ * { weekday: [{ open, close }] } for all seven weekdays; closed days have no entries.
+ */
+function parseBusinessHours(businessHours) {
+    const invalid = (detail) => new ParseDateError(
+        "Invalid 'businessHours' parameter",
+        `${detail} (e.g., { "mon-fri": "9am-5pm", "sat": "10:00-14:00" })`,
+        { code: "PARAMETER_INVALID", field: "businessHours" }
+    );
+    if (typeof businessHours !== "object" || Array.isArray(businessHours)) {
+        throw invalid("Please provide an object mapping weekdays to opening hours");
+    }
+
+    const hours = { 1: [], 2: [], 3: [], 4: [], 5: [], 6: [], 7: [] };
+    for (const [key, value] of Object.entries(businessHours)) {
+        const days = parseWeekdays(key);
+        if (!days) {
+            throw invalid(`'${key}' is not a weekday or a range of weekdays`);
+        }
+        const ranges = value === null || value === "closed" ? [] : Array.isArray(value) ? value : [value];
+        const windows = ranges.map((range) => {
+            const parsed = typeof range === "string" ? tryParseRange(range) : null;
+            if (!parsed || !parsed.end) {
+                throw invalid(`'${range}' is not a range of opening hours like '9am-5pm'`);
+            }
+            return { open: clock(parsed.start), close: clock(parsed.end) };
+        });
+        for (const day of days) {
+            hours[day] = windows;
+        }
+    }
+    return hours;
+}
+
+// "mon", "monday", 1, "mon-fri", "sat-sun"
+function parseWeekdays(key) {
+    const text = String(key).trim().toLowerCase();
+    if (/^[1-7]$/.test(text)) {
+        return [Number(text)];
+    }
+    // "to" needs spaces around it, so it can't split a word ("constructor")
+    const range = text.match(/^([a-z]+)(?:\s*[-–]\s*|\s+to\s+)([a-z]+)$/);
+    if (!range) {
+        return Object.hasOwn(WEEKDAY_NAMES, text) ? [WEEKDAY_NAMES[text]] : null;
+    }
+    if (!Object.hasOwn(WEEKDAY_NAMES, range[1]) || !Object.hasOwn(WEEKDAY_NAMES, range[2])) {
+        return null;
+    }
+    const from = WEEKDAY_NAMES[range[1]];
+    const to = WEEKDAY_NAMES[range[2]];
+    // Round the week from one to the other, never more than the seven days
+    const days = [from];
+    while (days[days.length - 1] !== to && days.length < 7) {
+        days.push((days[days.length - 1] % 7) + 1);
+    }
+    return days;
+}
+
+function tryParseRange(range) {
+    try {
+        return parseHumanTimeRange(range);
+    } catch {
+        return null;
+    }
+}
+
+function clock({ hour, minute, second }) {
+    return { hour, minute, second, millisecond: 0 };
+}
+
+function parseBlackoutDates(blackoutDates, timeZone) {
+    if (blackoutDates === undefined || blackoutDates === null) {
+        return [];
+    }
+    const invalid = (detail) => new ParseDateError(
+        "Invalid 'blackoutDates' parameter",
+        `${detail} (e.g., ["2025-12-24", "2025-12-31T12:00/2025-12-31T18:00"])`,
+        { code: "PARAMETER_INVALID", field: "blackoutDates" }
+    );
+    if (!Array.isArray(blackoutDates) || blackoutDates.length > MAX_BLACKOUT_DATES) {
+        throw invalid(`Please provide an array of up to ${MAX_BLACKOUT_DATES} ISO dates or intervals`);
+    }
+
+    return blackoutDates.map((entry) => {
+        if (typeof entry !== "string") {
+            throw invalid(`'${entry}' is not an ISO date or interval`);
+        }
+        let blackout;
+        if (entry.includes("/")) {
+            blackout = Interval.fromISO(entry, { zone: timeZone, setZone: true });
+        } else {
+            const day = DateTime.fromISO(entry, { zone: timeZone });
+            blackout = day.isValid && /^\d{4}-\d{2}-\d{2}$/.test(entry.trim())
+                ? Interval.fromDateTimes(day, day.plus({ days: 1 }))
+                : Interval.invalid("not a date");
+        }
+        if (!blackout.isValid || blackout.isEmpty()) {
+            throw invalid(`'${entry}' is not a valid ISO date or interval`);
+        }
+        return blackout;
+    });
+}
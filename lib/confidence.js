@@ -0,0 +1,181 @@
+// lib/confidence.js — How sure a parse is: certain vs implied components, alternatives, warnings
+import { WEEKDAY_MODIFIER } from "./direction.js";
+
+/*
+ * Every parse is scored from 1 down, one penalty per warning:
+ *   UNUSED_TEXT         0.4   chrono understood only part of humanDate ("next week monday" → "next week");
+ *                             rewrites that read in full are its `suggestions`. In text mode: date words
+ *                             next to the mentions were left out of them ("monday" in "next week monday at 10am")
+ *   MULTIPLE_DATES      0.3   humanDate mentions more than one date; the first was used
+ *   DATE_IN_PAST        0.3   the result is before the reference time
+ *   AMBIGUOUS_WEEKDAY   0.2   a bare weekday ("friday") could be this week's or next week's
+ *   AMBIGUOUS_MERIDIEM  0.2   an hour without am/pm ("at 3") was read on a 24-hour clock
+ *   AMBIGUOUS_TIMEZONE  0.2   the zone was written as an abbreviation several zones share ("CST", "IST")
+ *   DST_GAP             0.2   the wall-clock time is skipped by a daylight saving change
+ *   DST_OVERLAP         0.2   the wall-clock time happens twice when daylight saving ends
+ *   ROLLED_TO_TOMORROW  0.1   only a time was given and it had passed, so tomorrow was used
+ *   NAMED_PERIOD        0.1   the time is a named period's default ("afternoon" → 14:00)
+ *   CLIENT_CLOCK_SKEW   0.1   the client's clock was too far from the server's, whose was used instead
+ * Dates resolved by our own rules (business days, holidays, "15th of next
+ * month") are certain in every component; chrono's come with its own
+ * certain/implied flags.
+ */
+
+const PENALTIES = {
+    UNUSED_TEXT: 0.4,
+    MULTIPLE_DATES: 0.3,
+    DATE_IN_PAST: 0.3,
+    AMBIGUOUS_WEEKDAY: 0.2,
+    AMBIGUOUS_MERIDIEM: 0.2,
+    AMBIGUOUS_TIMEZONE: 0.2,
+    DST_GAP: 0.2,
+    DST_OVERLAP: 0.2,
+    ROLLED_TO_TOMORROW: 0.1,
+    NAMED_PERIOD: 0.1,
+    CLIENT_CLOCK_SKEW: 0.1
+};
+
+const DATE_FIELDS = ["year", "month", "day"];
+
+/**
+ * Assess a finished parse.
+ *
+ * @param {object} parse
+ * @param {string|null} parse.humanDate  null when only a time was given
+ * @param {string} parse.humanTime
+ * @param {object} parse.start  chrono-style components of the resolved date
+ * @param {Array<object>|null} parse.chronoResults  every chrono result for humanDate, when chrono resolved it
+ * @param {Array<{ text: string, dateTime: DateTime }>} [parse.otherDates]  the further dates humanDate mentions,
+ *        resolved as the first was and at its time of day, for MULTIPLE_DATES alternatives
+ * @param {string[]} parse.rewrites  rewrites of humanDate that read in full, for an UNUSED_TEXT warning (see lib/rewrites.js)
+ * @param {string[]} [parse.unusedText]  in text mode, date words next to the mentions that neither took (see lib/free-text.js)
+ * @param {boolean} parse.rolled  a time-only input was moved to tomorrow
+ * @param {boolean} parse.recurring
+ * @param {{ hour: number, minute: number }} parse.time
+ * @param {{ named: boolean, minuteGiven: boolean, meridiemGiven: boolean }} parse.timeDescription
+ * @param {DateTime} parse.dateTime  the result
+ * @param {{ requested: string, transition: string, alternative: DateTime }|null} parse.dstAdjustment
+ *        set when the result's wall-clock time fell in a daylight saving gap or overlap (see lib/dst.js)
+ * @param {{ text: string, candidates: string[] }|null} parse.zoneAmbiguity
+ *        set when the result's zone was written ambiguously; the first candidate was used (see lib/time-zones.js)
+ * @param {boolean} parse.pastExpected  the past was asked for (direction "past"), so it is no warning
+ * @param {number|null} parse.clockSkewSeconds
+ *        set when the client's clock was rejected as skewed (see lib/reference-time.js)
+ * @param {DateTime} parse.now  reference time, in the request's timezone
+ * @returns {{ confidence: number, components: { certain: string[], implied: string[] },
+ *             alternatives: Array<{ convertedDate: string, reason: string, text?: string, timeZone?: string }>,
+ *             warnings: Array<{ code: string, message: string, suggestions?: string[] }> }}
+ */
+export function assessParse({
+    humanDate, humanTime, start, chronoResults, otherDates = [], rewrites = [], unusedText = [], rolled, recurring, time, timeDescription, dateTime, dstAdjustment, zoneAmbiguity, clockSkewSeconds, pastExpected, now
+}) {
+    const warnings = [];
+    const alternatives = [];
+    const warn = (code, message, extra) => warnings.push({ code, message, ...extra });
+    const suggest = (reason, dt, extra) => alternatives.push({ convertedDate: toISO(dt), reason, ...extra });
+
+    if (chronoResults) {
+        const [first, ...others] = chronoResults;
+        if (first.index !== 0 || first.text.length !== humanDate.trim().length) {
+            warn("UNUSED_TEXT", `Only '${first.text}' of '${humanDate}' was understood`, rewrites.length ? { suggestions: rewrites } : null);
+        }
+        if (others.length) {
+            warn("MULTIPLE_DATES", `'${humanDate}' mentions more than one date; '${first.text}' was used`);
+            for (const other of otherDates) {
+                suggest("MULTIPLE_DATES", other.dateTime, { text: other.text });
+            }
+        }
+        if (first.start.isCertain("weekday") && !first.start.isCertain("day") && !WEEKDAY_MODIFIER.test(first.text)) {
+            warn("AMBIGUOUS_WEEKDAY", `'${first.text}' was read as ${dateTime.toFormat("cccc, LLLL d")}; it could also mean the one a week later`);
+            suggest("AMBIGUOUS_WEEKDAY", dateTime.plus({ weeks: 1 }));
+        }
+    }
+
+    if (unusedText.length) {
+        const words = unusedText.map((phrase) => `'${phrase}'`).join(" and ");
+        warn("UNUSED_TEXT", humanDate
+            ? `${words} in the text ${unusedText.length > 1 ? "were" : "was"} not used; the date was read from '${humanDate}' alone`
+            : `${words} in the text ${unusedText.length > 1 ? "were" : "was"} not understood as a date and not used`);
+    }
+
+    if (rolled) {
+        warn("ROLLED_TO_TOMORROW", `No date was given and ${dateTime.toFormat("HH:mm")} had already passed today, so tomorrow was used`);
+        suggest("ROLLED_TO_TOMORROW", dateTime.minus({ days: 1 }));
+    }
+
+    if (!recurring && !pastExpected && dateTime < now) {
+        warn("DATE_IN_PAST", `${toISO(dateTime)} is before the current time ${toISO(now)}`);
+    }
+
+    if (timeDescription.named) {
+        warn("NAMED_PERIOD", `'${humanTime}' was read as ${dateTime.toFormat("HH:mm")}; send a clock time to be exact`);
+    } else if (!timeDescription.meridiemGiven && time.hour >= 1 && time.hour <= 12) {
+        const other = dateTime.set({ hour: (time.hour + 12) % 24 });
+        warn("AMBIGUOUS_MERIDIEM", `'${humanTime}' was read as ${dateTime.toFormat("HH:mm")}; it could also mean ${other.toFormat("HH:mm")}`);
+        suggest("AMBIGUOUS_MERIDIEM", other);
+    }
+
+    if (dstAdjustment) {
+        const { requested, transition, alternative } = dstAdjustment;
+        if (transition === "gap") {
+            warn("DST_GAP", `${requested} does not exist in ${dateTime.zoneName} (daylight saving time starts); ${toISO(dateTime)} was used`);
+        } else {
+            warn("DST_OVERLAP", `${requested} happens twice in ${dateTime.zoneName} (daylight saving time ends); ${toISO(dateTime)} was used`);
+        }
+        suggest(transition === "gap" ? "DST_GAP" : "DST_OVERLAP", alternative);
+    }
+
+    if (zoneAmbiguity) {
+        const [used, ...others] = zoneAmbiguity.candidates;
+        warn("AMBIGUOUS_TIMEZONE", `'${zoneAmbiguity.text}' was read as ${used}; it could also mean ${others.join(" or ")}`);
+        for (const other of others) {
+            suggest("AMBIGUOUS_TIMEZONE", dateTime.setZone(other, { keepLocalTime: true }), { timeZone: other });
+        }
+    }
+
+    if (clockSkewSeconds !== null && clockSkewSeconds !== undefined) {
+        const direction = clockSkewSeconds > 0 ? "ahead of" : "behind";
+        warn("CLIENT_CLOCK_SKEW", `clientCurrentTime is ${describeSeconds(Math.abs(clockSkewSeconds))} ${direction} the server's clock, so the server's was used`);
+    }
+
+    const penalty = warnings.reduce((sum, { code }) => sum + PENALTIES[code], 0);
+
+    return {
+        confidence: Math.round(Math.max(0, 1 - penalty) * 100) / 100,
+        components: describeComponents({ humanDate, start, chronoResults, time, timeDescription }),
+        alternatives,
+        warnings
+    };
+}
+
+function describeComponents({ humanDate, start, chronoResults, time, timeDescription }) {
+    const certain = [];
+    const implied = [];
+
+    for (const field of DATE_FIELDS) {
+        // Our own rules resolve every field; a time-only input implies them all
+        const isCertain = chronoResults ? start.isCertain(field) : Boolean(humanDate);
+        (isCertain ? certain : implied).push(field);
+    }
+    if (chronoResults && start.isCertain("weekday")) {
+        certain.push("weekday");
+    }
+
+    (timeDescription.named ? implied : certain).push("hour");
+    (!timeDescription.named && (timeDescription.minuteGiven || time.minute !== 0) ? certain : implied).push("minute");
+
+    return { certain, implied };
+}
+
+// "45 seconds", "12 minutes", "3 hours", "400 days"
+function describeSeconds(seconds) {
+    const [value, unit] = seconds < 60 ? [seconds, "second"]
+        : seconds < 3600 ? [Math.round(seconds / 60), "minute"]
+            : seconds < 86400 ? [Math.round(seconds / 3600), "hour"]
+                : [Math.round(seconds / 86400), "day"];
+    return `${value} ${unit}${value === 1 ? "" : "s"}`;
+}
+
+function toISO(dt) {
+    return dt.toISO({ suppressMilliseconds: true });
+}
@@ -0,0 +1,85 @@
+// lib/convert-request.js — One API request body → the JSON response body
+import { parseHumanDateTime } from "./parse-human-date-time.js";
+import { requireClientCurrentTime } from "./reference-time.js";
+
+/**
+ * Convert the body of a POST /api/parse-date request into its response body.
+ * Shared by the single and batch endpoints so an item converts exactly as a
+ * request of its own would.
+ *
+ * @param {object} body  the request body (see api/parse-date.js)
+ * @returns {object}  the response body
+ * @throws {ParseDateError} when the request is invalid or cannot be understood
+ */
+export function convertRequest(body) {
+    const {
+        text, humanDate, humanTime, timeZone, clientCurrentTime,
+        timePeriods, workWeek, closureDates, holidayCalendar, occurrences, dstPolicy, locale,
+        businessHours, blackoutDates, suggestSlots, busy, icalendar, freeSlots, outputFormats, event, alsoIn,
+        referenceTimePolicy, maxClockSkewSeconds, direction, nextWeekdayMode, pastPolicy, vocabulary, vocabularyProfile
+    } = body || {};
+
+    requireClientCurrentTime(clientCurrentTime, referenceTimePolicy);
+
+    const {
+        convertedDate, reference, vocabulary: expanded, timeZone: zone, timeZoneResolution, namedTimeZone, locale: language, period, interval, recurrence, extracted, availability, freeBusy, alsoIn: inZones, formats, dstAdjustments, assessment
+    } = parseHumanDateTime({
+        text,
+        humanDate,
+        humanTime,
+        timeZone,
+        now: clientCurrentTime,
+        timePeriods,
+        workWeek,
+        closureDates,
+        holidayCalendar,
+        occurrences,
+        dstPolicy,
+        locale,
+        businessHours,
+        blackoutDates,
+        suggestSlots,
+        busy,
+        icalendar,
+        freeSlots,
+        outputFormats,
+        event,
+        alsoIn,
+        referenceTimePolicy,
+        maxClockSkewSeconds,
+        direction,
+        nextWeekdayMode,
+        pastPolicy,
+        vocabulary,
+        vocabularyProfile
+    });
+
+    return {
+        convertedDate,
+        timeZone: zone,
+        ...(timeZoneResolution && { timeZoneResolution }),
+        ...(namedTimeZone && { requestedTimeZone: timeZone, namedTimeZone }),
+        ...(extracted ? {
+            text,
+            humanDate: extracted.humanDate && extracted.humanDate.text,
+            humanTime: extracted.humanTime.text,
+            extracted
+        } : {
+            humanDate: humanDate,
+            humanTime: humanTime
+        }),
+        clientCurrentTime: clientCurrentTime,
+        referenceTime: reference,
+        ...(expanded && { vocabulary: expanded }),
+        locale: language,
+        ...(period && { period }),
+        ...interval,
+        ...(recurrence && { recurrence }),
+        ...(availability && { availability }),
+        ...(freeBusy && { freeBusy }),
+        ...(inZones && { alsoIn: inZones }),
+        ...(formats && { formats }),
+        ...(dstAdjustments.length && { dstAdjustments }),
+        ...assessment
+    };
+}
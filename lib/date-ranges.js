@@ -0,0 +1,67 @@
+// lib/date-ranges.js — "from X to Y" date expressions
+import { DAY_ORDINAL, ANY_MONTH, monthStart, dayOfMonth, parseDayOrdinal, normalizeDateText } from "./relative-month.js";
+
+/*
+ * Supported expressions:
+ *   day ranges   "from the 3rd to the 5th", "3rd-5th", "the 28th to the 2nd",
+ *                "the 3rd to the 5th of next month", "between the 10th and the 12th of june"
+ *   other ranges "from monday to wednesday", "between christmas and new year's day",
+ *                "tomorrow until friday" — split here, each side resolved like any humanDate
+ *
+ * A day range without a month is in the current month unless it has already
+ * ended, in which case it is next month's. A range whose last day is lower than
+ * its first runs into the following month.
+ */
+
+const RANGE_CONNECTOR = "(?:\\s*(?:-|–|—)\\s*|\\s+(?:to|until|till|through|thru)\\s+)";
+
+/**
+ * Resolve a range of days of the month.
+ *
+ * @param {string} humanDate
+ * @param {DateTime} now  Reference time, already in the request's timezone
+ * @returns {{ date: DateTime, end: DateTime }|null} first and last day, or null if the expression isn't one of ours
+ * @throws {ParseDateError} when a day doesn't exist in its month
+ */
+export function resolveDayRangeDate(humanDate, now) {
+    const text = normalizeDateText(humanDate);
+    const between = /^between\s/.test(text);
+    const connector = between ? "\\s+and\\s+" : RANGE_CONNECTOR;
+    const match = text.replace(/^(?:from|between)\s+(?:the\s+)?/, "").match(new RegExp(`^${DAY_ORDINAL}${connector}(?:the\\s+)?${DAY_ORDINAL}(?:\\s+(?:of|in)\\s+(?:the\\s+)?${ANY_MONTH})?$`));
+    if (!match) {
+        return null;
+    }
+    const [, first, last, month] = match;
+    const firstDay = parseDayOrdinal(first);
+    const lastDay = parseDayOrdinal(last);
+    const today = now.startOf("day");
+
+    let start = month ? monthStart(month, now) : today.startOf("month");
+    if (!start) {
+        return null;
+    }
+    const endOf = (monthStartDay) => lastDay < firstDay
+        ? dayOfMonth(monthStartDay.plus({ months: 1 }), lastDay)
+        : dayOfMonth(monthStartDay, lastDay);
+
+    if (!month && endOf(start) < today) {
+        start = start.plus({ months: 1 });
+    }
+    return { date: dayOfMonth(start, firstDay), end: endOf(start) };
+}
+
+/**
+ * Candidate [from, to] splits of a "from X to Y" / "X until Y" / "between X and Y"
+ * expression, one per connector, left to right. Empty when there is no connector.
+ */
+export function splitDateRange(humanDate) {
+    const text = normalizeDateText(humanDate);
+    const between = text.match(/^between\s+(.+)$/);
+    const body = between ? between[1] : text.replace(/^from\s+/, "");
+    const connector = between ? /\s+and\s+/g : /\s+(?:to|until|till|through|thru|-|–|—)\s+/g;
+
+    return [...body.matchAll(connector)].map((match) => [
+        body.slice(0, match.index),
+        body.slice(match.index + match[0].length)
+    ]);
+}
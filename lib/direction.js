@@ -0,0 +1,162 @@
+// lib/direction.js — Which way dates that float resolve, what "next friday" means, and dates in the past
+import { ParseDateError } from "./errors.js";
+
+/*
+ * Some inputs name a day without pinning it down, and float by a period:
+ *   time only           "2pm"                    a day
+ *   bare weekday        "friday", "weekend"      a week
+ *   day of the month    "the 25th"               a month
+ *   month and day       "march 3"                a year
+ * `direction` picks among the three nearest candidates, at the requested time:
+ *   future   the earliest not before the reference time (the default); "friday"
+ *            on a Friday is today while its time is still ahead
+ *   past     the latest not after the reference time
+ *   nearest  the closest to the reference time, either way
+ * Weekdays with a word of their own ("this friday", "last friday") are left
+ * as read, except "next": `nextWeekdayMode` says whether "next friday" is
+ *   next-week        the Friday of next week, weeks starting on Monday (the default)
+ *   next-occurrence  the first Friday after today
+ * in every language ("el próximo viernes", "nächsten Freitag", "vendredi prochain").
+ *
+ * A result before the reference time (other than in the past direction) is
+ * flagged DATE_IN_PAST, or with `pastPolicy` "reject" fails with "Date in the past".
+ */
+
+export const DIRECTIONS = ["future", "past", "nearest"];
+
+export const NEXT_WEEKDAY_MODES = ["next-week", "next-occurrence"];
+
+export const PAST_POLICIES = ["warn", "reject"];
+
+// Words that pin a weekday to one week, in every supported locale ("next friday", "nächsten Freitag")
+export const WEEKDAY_MODIFIER = /(?:^|[^\p{L}])(?:next|this|last|coming|following|previous|pr[oó]xim[oa]|que viene|que vem|este|esta|pasado|passad[oa]|n[aä]chste[nrs]?|kommende[nrs]?|diese[nrs]?|letzte[nrs]?|prochaine?|derni[eè]re?|ce|cette)(?![\p{L}])/iu;
+
+const NEXT_MODIFIER = /(?:^|[^\p{L}])(?:next|following|pr[oó]xim[oa]|n[aä]chste[nrs]?|prochaine?)(?![\p{L}])/iu;
+
+/**
+ * Validate `direction`, defaulting to "future".
+ */
+export function parseDirection(direction) {
+    return parseChoice(direction, DIRECTIONS, "future", "direction");
+}
+
+/**
+ * Validate `nextWeekdayMode`, defaulting to "next-week".
+ */
+export function parseNextWeekdayMode(mode) {
+    return parseChoice(mode, NEXT_WEEKDAY_MODES, "next-week", "nextWeekdayMode");
+}
+
+/**
+ * Validate `pastPolicy`, defaulting to "warn"; the past direction cannot reject the past.
+ */
+export function parsePastPolicy(policy, direction) {
+    const pastPolicy = parseChoice(policy, PAST_POLICIES, "warn", "pastPolicy");
+    if (pastPolicy === "reject" && direction === "past") {
+        throw new ParseDateError(
+            "Conflicting parameters",
+            "Please don't combine direction 'past' with pastPolicy 'reject'",
+            { code: "PARAMETERS_CONFLICT" }
+        );
+    }
+    return pastPolicy;
+}
+
+function parseChoice(value, choices, fallback, name) {
+    if (value === undefined || value === null) {
+        return fallback;
+    }
+    if (!choices.includes(value)) {
+        throw new ParseDateError(
+            `Invalid '${name}' parameter`,
+            `Please provide one of: ${choices.map((choice) => `'${choice}'`).join(", ")}`,
+            { code: "PARAMETER_INVALID", field: name }
+        );
+    }
+    return value;
+}
+
+/**
+ * Whether a chrono result is a weekday without a day ("friday", "next friday").
+ */
+export function isWeekdayOnly(result) {
+    return result.start.isCertain("weekday") && !result.start.isCertain("day");
+}
+
+/**
+ * The day "next <weekday>" means under `mode`, or null when `result` is not such an expression.
+ *
+ * @param {object} result  a chrono result
+ * @param {DateTime} now  reference time, in the request's timezone
+ * @param {string} mode  one of NEXT_WEEKDAY_MODES
+ * @returns {DateTime|null}  the start of that day
+ */
+export function resolveNextWeekday(result, now, mode) {
+    if (!isWeekdayOnly(result) || !NEXT_MODIFIER.test(result.text)) {
+        return null;
+    }
+    const weekday = result.start.get("weekday") || 7;
+    const today = now.startOf("day");
+    if (mode === "next-week") {
+        return today.startOf("week").plus({ weeks: 1, days: weekday - 1 });
+    }
+    return today.plus({ days: ((weekday - today.weekday + 6) % 7) + 1 });
+}
+
+/**
+ * The period a resolved date floats by (see above), or null when it is fixed.
+ *
+ * @param {object} start  chrono-style components of the resolved date
+ * @param {object|null} chronoResult  the chrono result it came from, if any
+ * @param {boolean} timeOnly  no date was given
+ * @returns {{ days?: number, weeks?: number, months?: number, years?: number }|null}
+ */
+export function floatingPeriod(start, chronoResult, timeOnly) {
+    if (timeOnly) {
+        return { days: 1 };
+    }
+    if (!chronoResult || start.isCertain("year")) {
+        return null;
+    }
+    if (isWeekdayOnly(chronoResult)) {
+        return WEEKDAY_MODIFIER.test(chronoResult.text) ? null : { weeks: 1 };
+    }
+    if (start.isCertain("day")) {
+        return start.isCertain("month") ? { years: 1 } : { months: 1 };
+    }
+    return null;
+}
+
+/**
+ * The candidate `direction` picks.
+ *
+ * @param {Array<{ dateTime: DateTime }>} candidates  in time order
+ * @param {DateTime} now
+ * @param {string} direction  one of DIRECTIONS
+ * @returns {object}  one of `candidates`
+ */
+export function pickByDirection(candidates, now, direction) {
+    if (direction === "future") {
+        return candidates.find(({ dateTime }) => dateTime >= now) || candidates[candidates.length - 1];
+    }
+    if (direction === "past") {
+        return candidates.findLast(({ dateTime }) => dateTime <= now) || candidates[0];
+    }
+    const distance = ({ dateTime }) => Math.abs(dateTime.toMillis() - now.toMillis());
+    return candidates.reduce((best, candidate) => (distance(candidate) <= distance(best) ? candidate : best));
+}
+
+/**
+ * Fail when `dateTime` is in the past and `pastPolicy` rejects it.
+ *
+ * @throws {ParseDateError} "Date in the past"
+ */
+export function checkPastDate(dateTime, now, pastPolicy) {
+    if (pastPolicy === "reject" && dateTime < now) {
+        throw new ParseDateError(
+            "Date in the past",
+            `${dateTime.toISO({ suppressMilliseconds: true })} is before the current time ${now.toISO({ suppressMilliseconds: true })}`,
+            { code: "DATE_IN_PAST" }
+        );
+    }
+}
@@ -0,0 +1,89 @@
+// lib/dst.js — Wall-clock times that a daylight saving change skips or repeats
+import { DateTime, Info } from "luxon";
+import { ParseDateError } from "./errors.js";
+
+/*
+ * On spring-forward day 02:30 does not exist in America/Chicago (a gap), and
+ * on fall-back day 01:30 happens twice (an overlap). `dstPolicy` decides:
+ *   shift-forward  gaps move forward by the gap's length (02:30 → 03:30),
+ *                  overlaps take the first occurrence (the default)
+ *   earlier        the earlier instant: 01:30 before a gap, the first of an overlap
+ *   later          the later instant: 03:30 after a gap, the second of an overlap
+ *   reject         fail with "Nonexistent local time" / "Ambiguous local time"
+ * The two candidate instants are the wall-clock time read at the offsets in
+ * force a day before and a day after; a gap has neither valid, an overlap both.
+ */
+
+export const DST_POLICIES = ["shift-forward", "earlier", "later", "reject"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate `dstPolicy`, defaulting to "shift-forward".
+ */
+export function parseDstPolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return "shift-forward";
+    }
+    if (!DST_POLICIES.includes(policy)) {
+        throw new ParseDateError(
+            "Invalid 'dstPolicy' parameter",
+            `Please provide one of: ${DST_POLICIES.map((name) => `'${name}'`).join(", ")}`,
+            { code: "PARAMETER_INVALID", field: "dstPolicy" }
+        );
+    }
+    return policy;
+}
+
+/**
+ * A wall-clock date and time in `timeZone`, resolved by `policy` when a
+ * daylight saving change skips or repeats it.
+ *
+ * @param {{ year: number, month: number, day: number, hour: number, minute: number, second?: number }} fields
+ * @param {string} timeZone  IANA timezone, or a fixed offset like "UTC+5:30"
+ * @param {string} policy  one of DST_POLICIES
+ * @returns {{ dateTime: DateTime, transition: "gap"|"overlap"|null, alternative: DateTime|null }}
+ *          `alternative` is the instant the other policy would have picked
+ * @throws {ParseDateError} under the "reject" policy, when the time is skipped or repeated
+ */
+export function localDateTime(fields, timeZone, policy) {
+    const zone = Info.normalizeZone(timeZone);
+    const local = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second || 0);
+
+    const candidates = [...new Set([zone.offset(local - DAY_MS), zone.offset(local + DAY_MS)])]
+        .map((offset) => ({ instant: local - offset * 60 * 1000, offset }));
+    const valid = candidates.filter(({ instant, offset }) => zone.offset(instant) === offset);
+
+    if (valid.length === 1) {
+        return { dateTime: toZone(valid[0].instant, timeZone), transition: null, alternative: null };
+    }
+
+    const transition = valid.length ? "overlap" : "gap";
+    const [earlier, later] = candidates.map(({ instant }) => instant).sort((a, b) => a - b).map((instant) => toZone(instant, timeZone));
+
+    if (policy === "reject") {
+        const wallClock = DateTime.fromObject(fields, { zone: "UTC" }).toFormat("HH:mm 'on' yyyy-MM-dd");
+        throw transition === "gap"
+            ? new ParseDateError(
+                "Nonexistent local time",
+                `${wallClock} does not exist in ${timeZone}: clocks skip it for daylight saving time`,
+                { code: "DST_NONEXISTENT_TIME" }
+            )
+            : new ParseDateError(
+                "Ambiguous local time",
+                `${wallClock} happens twice in ${timeZone} when daylight saving time ends; use dstPolicy 'earlier' or 'later' to pick one`,
+                { code: "DST_AMBIGUOUS_TIME" }
+            );
+    }
+
+    const pickLater = policy === "later" || (policy === "shift-forward" && transition === "gap");
+    return {
+        dateTime: pickLater ? later : earlier,
+        transition,
+        alternative: pickLater ? earlier : later
+    };
+}
+
+function toZone(instant, timeZone) {
+    return DateTime.fromMillis(instant, { zone: timeZone });
+}
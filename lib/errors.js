@@ -0,0 +1,92 @@
+// lib/errors.js — Typed errors raised by the parsing library
+
+/*
+ * Every error carries a stable `code` for clients to branch on, given where
+ * it is thrown; `error` is its title, which predates the codes and may be
+ * reworded:
+ *   DATE_UNPARSEABLE      "Could not parse the date"
+ *   DATE_INVALID          "Invalid date generated"
+ *   DATE_RANGE_INVALID    "Invalid date range"
+ *   DATE_IN_PAST          "Date in the past" (pastPolicy "reject")
+ *   HOLIDAY_UNKNOWN       "Unknown holiday for calendar"
+ *   RECURRENCE_INVALID    "Invalid recurrence"
+ *   TIME_UNPARSEABLE      "Could not parse the time"
+ *   TIME_OUT_OF_RANGE     "Time out of range" ("25:00", "2:75pm")
+ *   TIME_RANGE_INVALID    "Invalid time range"
+ *   TIME_NOT_FOUND        "Could not find a time" (in `text`)
+ *   DURATION_UNPARSEABLE  "Could not parse the duration"
+ *   DST_NONEXISTENT_TIME  "Nonexistent local time" (dstPolicy "reject")
+ *   DST_AMBIGUOUS_TIME    "Ambiguous local time" (dstPolicy "reject")
+ *   TZ_UNKNOWN            "Invalid timezone"
+ *   PARAMETER_INVALID     "Invalid 'x' parameter", "Missing or invalid 'x' parameter"
+ *   PARAMETERS_CONFLICT   "Conflicting parameters"
+ *   BATCH_TOO_LARGE       "Too many items"
+ *   BATCH_ITEM_INVALID    "Invalid item"
+ *   BATCH_TIME_LIMIT      "Batch time limit exceeded"
+ *   JSON_INVALID          "Invalid JSON body"
+ *   METHOD_NOT_ALLOWED    "Method not allowed"
+ *   UNAUTHORIZED          "Unauthorized" (a missing or unknown API key, 401)
+ *   ORIGIN_NOT_ALLOWED    "Origin not allowed" (403)
+ *   RATE_LIMITED          "Rate limit exceeded" (429)
+ *   QUOTA_EXCEEDED        "Monthly quota exceeded" (429)
+ *   INTERNAL_ERROR        "Internal server error"
+ * `field` names the request field at fault ("humanDate", "timeZone"; a
+ * parameter error's own), and `span` the characters of it that were read,
+ * { start, end } with `end` exclusive. `suggestions` lists values to retry
+ * with: rewrites of an unreadable date or time, or the closest timezones.
+ */
+
+/**
+ * Error raised when a request cannot be turned into a datetime.
+ * Carries the HTTP status and the `{ error, code, message }` body the API
+ * returns, so every wrapper (Vercel handler, dev server, tests) reports it
+ * identically. Every throw site names the `code` (and a parameter error its
+ * `field`); the title is only shown, never read.
+ *
+ * @param {string} error  the title
+ * @param {string} message
+ * @param {{ code: string, status?: number, field?: string, span?: object, suggestions?: string[] }} details
+ */
+export class ParseDateError extends Error {
+    constructor(error, message, { status = 400, code, field, span, suggestions }) {
+        super(message);
+        this.name = "ParseDateError";
+        this.error = error;
+        this.code = code;
+        this.status = status;
+        this.field = field || null;
+        this.span = span || null;
+        this.suggestions = suggestions && suggestions.length ? suggestions : null;
+    }
+
+    /**
+     * Point the error at the input it came from, unless it already names one.
+     *
+     * @param {string} field
+     * @param {{ start: number, end: number }|null} span
+     * @param {function(string): string[]} [suggest]  rewrites to retry with, given the error's code, when it has none
+     * @returns {ParseDateError}  this error
+     */
+    locate(field, span, suggest) {
+        if (!this.field) {
+            this.field = field;
+            this.span = span;
+            if (suggest && !this.suggestions) {
+                const suggestions = suggest(this.code);
+                this.suggestions = suggestions.length ? suggestions : null;
+            }
+        }
+        return this;
+    }
+
+    toJSON() {
+        return {
+            error: this.error,
+            code: this.code,
+            message: this.message,
+            ...(this.field && { field: this.field }),
+            ...(this.span && { span: this.span }),
+            ...(this.suggestions && { suggestions: this.suggestions })
+        };
+    }
+}
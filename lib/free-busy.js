@@ -0,0 +1,305 @@
+// lib/free-busy.js — Conflicts with a busy list and the next free slots of the same length
+import { DateTime, Duration, IANAZone, Interval } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { DEFAULT_SLOT_MINUTES, roundUp } from "./business-hours.js";
+
+/*
+ * busy is an array of ISO intervals, as strings or objects:
+ *   ["2025-08-20T14:00/2025-08-20T15:30", { start: "2025-08-21T09:00", end: "2025-08-21T10:00" }]
+ * Times without an offset are in the request's timezone.
+ *
+ * icalendar is an inline iCalendar document (RFC 5545). Busy time comes from
+ *   VEVENT     DTSTART to DTEND, or DTSTART plus DURATION; an all-day event
+ *              blocks its whole day. TRANSP:TRANSPARENT and STATUS:CANCELLED
+ *              events are free. RRULEs are not expanded: only the first
+ *              occurrence is busy.
+ *   VFREEBUSY  FREEBUSY periods ("start/end" or "start/duration"), except
+ *              FBTYPE=FREE
+ * Times use their TZID when it is an IANA timezone, UTC when they end in "Z"
+ * and the request's timezone otherwise.
+ *
+ * The requested slot is the interval, or DEFAULT_SLOT_MINUTES from a single
+ * time. It conflicts with every busy interval it overlaps; touching ends do
+ * not overlap. Free slots are the same length, back to back from the
+ * requested start (from now, rounded up to the quarter hour, when that has
+ * passed), skipping busy time and, with businessHours or blackoutDates, time
+ * outside opening hours. The requested slot is the first when it is free.
+ */
+
+export const MAX_FREE_SLOTS = 20;
+export const MAX_BUSY_INTERVALS = 1000;
+export const MAX_ICALENDAR_LENGTH = 100000;
+
+// How far past the requested start to look for free slots
+const MAX_SEARCH_DAYS = 366;
+
+/**
+ * The request's busy intervals, or null when it sets neither busy nor icalendar.
+ *
+ * @param {object} options
+ * @param {Array<string|{ start: string, end: string }>} [options.busy]
+ * @param {string} [options.icalendar]
+ * @param {string} options.timeZone
+ * @returns {Array<{ interval: Interval, summary: string|null }>|null}  sorted by start
+ * @throws {ParseDateError} when an option is malformed
+ */
+export function createBusyList({ busy, icalendar, timeZone }) {
+    const hasBusy = busy !== undefined && busy !== null;
+    const hasCalendar = icalendar !== undefined && icalendar !== null;
+    if (!hasBusy && !hasCalendar) {
+        return null;
+    }
+
+    return [
+        ...(hasBusy ? parseBusyIntervals(busy, timeZone) : []),
+        ...(hasCalendar ? parseICalendar(icalendar, timeZone) : [])
+    ].sort((a, b) => a.interval.start - b.interval.start);
+}
+
+/**
+ * Validate `freeSlots`, the number of free slots to list; null when omitted.
+ */
+export function parseFreeSlotCount(freeSlots) {
+    if (freeSlots === undefined || freeSlots === null) {
+        return null;
+    }
+    if (!Number.isInteger(freeSlots) || freeSlots < 1 || freeSlots > MAX_FREE_SLOTS) {
+        throw new ParseDateError(
+            "Invalid 'freeSlots' parameter",
+            `Please provide the number of free slots to list, from 1 to ${MAX_FREE_SLOTS}`,
+            { code: "PARAMETER_INVALID", field: "freeSlots" }
+        );
+    }
+    return freeSlots;
+}
+
+/**
+ * Check the slot from `start` (to `end`) against `busyList`.
+ *
+ * @param {Array<{ interval: Interval, summary: string|null }>} busyList  from createBusyList()
+ * @param {DateTime} start
+ * @param {DateTime|null} end
+ * @param {object} options
+ * @param {DateTime} options.now
+ * @param {number|null} options.freeSlots  how many free slots to list, or null for none
+ * @param {{ nextOpen: (from: DateTime, minutes: number) => DateTime|null }|null} options.openingHours
+ * @returns {{ conflict: boolean, conflicts: Array<{ start: string, end: string, summary?: string }>,
+ *             freeSlots?: Array<{ start: string, end: string }> }}
+ */
+export function checkFreeBusy(busyList, start, end, { now, freeSlots, openingHours }) {
+    const minutes = end ? end.diff(start, "minutes").minutes : DEFAULT_SLOT_MINUTES;
+    const requested = Interval.fromDateTimes(start, start.plus({ minutes }));
+    const conflicts = busyList.filter(({ interval }) => interval.overlaps(requested));
+
+    const result = {
+        conflict: conflicts.length > 0,
+        conflicts: conflicts.map(({ interval, summary }) => ({
+            ...formatInterval(interval, start.zoneName),
+            ...(summary && { summary })
+        }))
+    };
+    if (freeSlots) {
+        result.freeSlots = findFreeSlots(busyList, start >= now ? start : roundUp(now, 15), minutes, freeSlots, openingHours)
+            .map((slot) => formatInterval(slot, start.zoneName));
+    }
+    return result;
+}
+
+function findFreeSlots(busyList, from, minutes, count, openingHours) {
+    const slots = [];
+    const horizon = from.plus({ days: MAX_SEARCH_DAYS });
+    let candidate = from;
+
+    while (slots.length < count && candidate && candidate < horizon) {
+        if (openingHours) {
+            candidate = openingHours.nextOpen(candidate, minutes);
+            if (!candidate) {
+                break;
+            }
+        }
+        const slot = Interval.fromDateTimes(candidate, candidate.plus({ minutes }));
+        const blocking = busyList.filter(({ interval }) => interval.overlaps(slot));
+        if (blocking.length) {
+            candidate = DateTime.max(...blocking.map(({ interval }) => interval.end)).setZone(from.zoneName);
+            continue;
+        }
+        slots.push(slot);
+        candidate = slot.end;
+    }
+    return slots;
+}
+
+function formatInterval(interval, timeZone) {
+    return {
+        start: interval.start.setZone(timeZone).toISO({ suppressMilliseconds: true }),
+        end: interval.end.setZone(timeZone).toISO({ suppressMilliseconds: true })
+    };
+}
+
+function parseBusyIntervals(busy, timeZone) {
+    const invalid = (detail) => new ParseDateError(
+        "Invalid 'busy' parameter",
+        `${detail} (e.g., ["2025-08-20T14:00/2025-08-20T15:30", { "start": "2025-08-21T09:00", "end": "2025-08-21T10:00" }])`,
+        { code: "PARAMETER_INVALID", field: "busy" }
+    );
+    if (!Array.isArray(busy) || busy.length > MAX_BUSY_INTERVALS) {
+        throw invalid(`Please provide an array of up to ${MAX_BUSY_INTERVALS} ISO intervals`);
+    }
+
+    return busy.map((entry) => {
+        let interval;
+        if (typeof entry === "string") {
+            interval = Interval.fromISO(entry, { zone: timeZone, setZone: true });
+        } else if (entry && typeof entry === "object" && typeof entry.start === "string" && typeof entry.end === "string") {
+            interval = Interval.fromDateTimes(
+                DateTime.fromISO(entry.start, { zone: timeZone, setZone: true }),
+                DateTime.fromISO(entry.end, { zone: timeZone, setZone: true })
+            );
+        } else {
+            throw invalid(`${JSON.stringify(entry)} is not an ISO interval`);
+        }
+        if (!interval.isValid || interval.isEmpty()) {
+            throw invalid(`${JSON.stringify(entry)} is not a valid ISO interval with its end after its start`);
+        }
+        return { interval, summary: null };
+    });
+}
+
+/**
+ * Busy intervals of the VEVENT and VFREEBUSY components in an iCalendar document.
+ */
+function parseICalendar(icalendar, timeZone) {
+    const invalid = (detail) => new ParseDateError(
+        "Invalid 'icalendar' parameter",
+        `${detail} (e.g., "BEGIN:VCALENDAR\\r\\nBEGIN:VEVENT\\r\\nDTSTART:20250820T190000Z\\r\\nDTEND:20250820T200000Z\\r\\nEND:VEVENT\\r\\nEND:VCALENDAR")`,
+        { code: "PARAMETER_INVALID", field: "icalendar" }
+    );
+    if (typeof icalendar !== "string" || icalendar.length > MAX_ICALENDAR_LENGTH) {
+        throw invalid(`Please provide an iCalendar document of up to ${MAX_ICALENDAR_LENGTH} characters`);
+    }
+
+    // Long lines are folded onto continuation lines that start with a space or tab
+    const lines = icalendar.replace(/\r?\n[ \t]/g, "").split(/\r?\n/).filter((line) => line.trim());
+    if (!lines.some((line) => /^BEGIN:(?:VEVENT|VFREEBUSY)$/i.test(line.trim()))) {
+        throw invalid("No VEVENT or VFREEBUSY component was found");
+    }
+
+    const busy = [];
+    let event = null;
+    let inFreeBusy = false;
+
+    for (const line of lines) {
+        // Lines we cannot read cannot be busy time; a broken DTSTART still fails below
+        const property = parseProperty(line);
+        if (!property) {
+            continue;
+        }
+        const { name, params, value } = property;
+
+        if (name === "BEGIN" || name === "END") {
+            const component = value.trim().toUpperCase();
+            if (component === "VEVENT") {
+                if (name === "END" && event) {
+                    const interval = eventInterval(event, timeZone);
+                    if (interval === undefined) {
+                        throw invalid("A VEVENT has no valid DTSTART, DTEND or DURATION");
+                    }
+                    if (interval) {
+                        busy.push({ interval, summary: event.SUMMARY ? unescapeText(event.SUMMARY.value) : null });
+                    }
+                }
+                event = name === "BEGIN" ? {} : null;
+            } else if (component === "VFREEBUSY") {
+                inFreeBusy = name === "BEGIN";
+            }
+        } else if (event) {
+            event[name] = { params, value };
+        } else if (inFreeBusy && name === "FREEBUSY" && (params.FBTYPE || "BUSY").toUpperCase() !== "FREE") {
+            for (const period of value.split(",")) {
+                const interval = periodInterval(period, params.TZID, timeZone);
+                if (!interval) {
+                    throw invalid(`'${period}' is not a valid FREEBUSY period`);
+                }
+                busy.push({ interval, summary: null });
+            }
+        }
+    }
+    return busy;
+}
+
+// NAME;PARAM=value;PARAM="quoted:value":VALUE
+function parseProperty(line) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+    if (!match) {
+        return null;
+    }
+    const params = {};
+    for (const [, key, raw] of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^";]*)/g)) {
+        params[key.toUpperCase()] = raw.replace(/^"|"$/g, "");
+    }
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+/**
+ * An event's busy interval; null when it leaves the time free, undefined when it is malformed.
+ */
+function eventInterval(event, timeZone) {
+    const { DTSTART, DTEND, DURATION, TRANSP, STATUS } = event;
+    if (TRANSP && TRANSP.value.trim().toUpperCase() === "TRANSPARENT") return null;
+    if (STATUS && STATUS.value.trim().toUpperCase() === "CANCELLED") return null;
+    if (!DTSTART) return undefined;
+
+    const start = parseICalDateTime(DTSTART.value, DTSTART.params.TZID, timeZone);
+    if (!start) return undefined;
+
+    let end;
+    if (DTEND) {
+        end = parseICalDateTime(DTEND.value, DTEND.params.TZID, timeZone);
+    } else if (DURATION) {
+        const duration = Duration.fromISO(DURATION.value.trim());
+        end = duration.isValid ? start.plus(duration) : null;
+    } else {
+        // Without an end, an all-day event takes its day and a timed one no time at all
+        end = /^\d{8}$/.test(DTSTART.value.trim()) ? start.plus({ days: 1 }) : start;
+    }
+    if (!end) return undefined;
+
+    const interval = Interval.fromDateTimes(start, end);
+    if (!interval.isValid) return undefined;
+    return interval.isEmpty() ? null : interval;
+}
+
+function periodInterval(period, tzid, timeZone) {
+    const [from, to] = period.trim().split("/");
+    const start = from && parseICalDateTime(from, tzid, timeZone);
+    if (!start || !to) {
+        return null;
+    }
+    const duration = Duration.fromISO(to);
+    const end = duration.isValid ? start.plus(duration) : parseICalDateTime(to, tzid, timeZone);
+    const interval = end && Interval.fromDateTimes(start, end);
+    return interval && interval.isValid && !interval.isEmpty() ? interval : null;
+}
+
+// 20250820 (a date), 20250820T140000 (local), 20250820T190000Z (UTC)
+function parseICalDateTime(value, tzid, timeZone) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const zone = utc ? "UTC" : tzid && IANAZone.isValidZone(tzid) ? tzid : timeZone;
+    const dt = DateTime.fromObject({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour || 0),
+        minute: Number(minute || 0),
+        second: Number(second || 0)
+    }, { zone });
+    return dt.isValid ? dt : null;
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
@@ -0,0 +1,170 @@
+// lib/free-text.js — Locate the date and time mentions in a conversational sentence
+import { ParseDateError } from "./errors.js";
+import { parseHumanTimeRange, resolveTimePeriods } from "./time-parser.js";
+import { localizeDate, localizeTime } from "./locales.js";
+import { MONTH_NAMES, WEEKDAY_NAMES } from "./relative-month.js";
+
+/*
+ * "hmm, can we do next tuesday around 10am?" → date "next tuesday",
+ * time "around 10am". Every run of up to MAX_SPAN_WORDS words is tried:
+ *   - the time is the longest run the time grammar accepts, preferring runs
+ *     that read as a clock ("10am", "14:30", "noon", "quarter past 3") over
+ *     named periods ("afternoon"); bare numbers only count after a hint word
+ *     ("at 3", "around 3", "from 2 to 4"), so "the 15th" or "in 3 days" stay dates;
+ *   - the date is the longest remaining run the date pipeline resolves in full.
+ * Filler ("hmm", "how about", "can we do") matches neither and is ignored.
+ * Date words (weekdays, months, "25th", "tomorrow") right next to either
+ * mention that neither took are returned as `unused`: in "next week monday
+ * around 10am" only "next week" resolves in full, so "monday" is left over.
+ */
+
+export const MAX_TEXT_LENGTH = 300;
+
+const MAX_SPAN_WORDS = 8;
+
+// Words that make a bare number a time: "at 3", "around 3", "from 2 to 4"
+const TIME_HINTS = new Set(["at", "around", "about", "approximately", "circa", "by", "@", "from", "between"]);
+
+// Words that name a day on their own or with a neighbour: "monday", "march", "25th", "tomorrow", "8/25"
+const DATE_WORD = new RegExp(`^(?:${[...Object.keys(WEEKDAY_NAMES), ...Object.keys(MONTH_NAMES)].join("|")})s?$`
+    + "|^\\d{1,2}(?:st|nd|rd|th)$|^(?:today|tonight|tomorrow|yesterday|weekend|week|month|year)$|^\\d{1,4}[/.-]\\d{1,2}(?:[/.-]\\d{1,4})?$");
+
+const CLOCK_PATTERN = /\d\s*[:.h]\s*\d{2}|\d\s*(?:a\.?m\.?|p\.?m\.?)(?![a-z])|\b(?:noon|midday|midnight|o'?clock|past|half|quarter)\b/;
+
+/**
+ * Find the date and time mentions in `text`.
+ *
+ * @param {string} text
+ * @param {object} options
+ * @param {Object<string, string>} [options.periods]  Named period overrides, as for parseHumanTime()
+ * @param {string} [options.locale]  Language code; times are read through its time grammar (see lib/locales.js)
+ * @param {(candidate: string) => boolean} options.isDate  Whether a run of words is a complete date expression
+ * @returns {{ humanDate: { text: string, index: number }|null, humanTime: { text: string, index: number },
+ *             unused: Array<{ text: string, index: number }> }}
+ *          each mention with its offset in `text`; `humanDate` is null when the sentence names only a time.
+ *          `unused` are the runs of date words next to a mention that neither took
+ * @throws {ParseDateError} when no time is mentioned
+ */
+export function extractDateTime(text, { periods, locale = "en", isDate }) {
+    const words = tokenize(text);
+    const named = resolveTimePeriods(periods);
+
+    const time = bestSpan(spans(text, words), (span) => timeRank(span, named, periods, locale));
+    if (!time) {
+        throw new ParseDateError(
+            "Could not find a time",
+            `No time of day found in: ${text} (e.g., '3pm', 'around 10am', 'noon')`,
+            { code: "TIME_NOT_FOUND" }
+        );
+    }
+
+    const rest = words.filter((word) => word.end <= time.index || word.start >= time.index + time.text.length);
+    const date = bestSpan(spans(text, rest), (span) => (isDate(span.text) ? 1 : 0));
+
+    return {
+        humanDate: date && { text: date.text, index: date.index },
+        humanTime: { text: time.text, index: time.index },
+        unused: unusedDateWords(text, words, [date, time].filter(Boolean), locale)
+    };
+}
+
+/**
+ * Runs of date words that touch one of `mentions` but are in none of them.
+ */
+function unusedDateWords(text, words, mentions, locale) {
+    const inMention = (word) => mentions.some(({ index, text: mention }) => word.start >= index && word.end <= index + mention.length);
+    const isDateWord = (word) => !inMention(word)
+        && DATE_WORD.test(localizeDate(text.slice(word.start, word.end).toLowerCase(), locale).trim());
+
+    const unused = new Set();
+    for (const mention of mentions) {
+        const first = words.findIndex((word) => word.start >= mention.index);
+        const last = words.findLastIndex((word) => word.end <= mention.index + mention.text.length);
+        for (let i = first - 1; i >= 0 && adjacent(text, words[i], words[i + 1]) && isDateWord(words[i]); i--) {
+            unused.add(i);
+        }
+        for (let i = last + 1; i < words.length && adjacent(text, words[i - 1], words[i]) && isDateWord(words[i]); i++) {
+            unused.add(i);
+        }
+    }
+
+    const runs = [];
+    for (const i of [...unused].sort((a, b) => a - b)) {
+        const run = runs[runs.length - 1];
+        if (run && unused.has(i - 1)) {
+            run.text = text.slice(run.index, words[i].end);
+        } else {
+            runs.push({ text: text.slice(words[i].start, words[i].end), index: words[i].start });
+        }
+    }
+    return runs;
+}
+
+// Nothing but spaces and punctuation between the two words
+function adjacent(text, before, after) {
+    return /^[\s,;!?"()[\]]*$/.test(text.slice(before.end, after.start));
+}
+
+/**
+ * Words with their offsets; punctuation around words is not part of them.
+ */
+function tokenize(text) {
+    return [...text.matchAll(/[^\s,;!?"()[\]]+/g)].map((match) => {
+        // A trailing full stop ends the sentence, except in "a.m." / "p.m."
+        const word = /[^.]\.$/.test(match[0]) && !/[ap]\.m\.$/i.test(match[0]) ? match[0].slice(0, -1) : match[0];
+        return { start: match.index, end: match.index + word.length };
+    }).filter(({ start, end }) => end > start);
+}
+
+/**
+ * Runs of up to MAX_SPAN_WORDS consecutive words, as { text, index, words, previous }.
+ * Words are consecutive when nothing but spaces and punctuation separates them.
+ */
+function spans(text, words) {
+    const result = [];
+    for (let i = 0; i < words.length; i++) {
+        for (let j = i; j < Math.min(words.length, i + MAX_SPAN_WORDS); j++) {
+            if (j > i && !adjacent(text, words[j - 1], words[j])) {
+                break;
+            }
+            result.push({
+                text: text.slice(words[i].start, words[j].end),
+                index: words[i].start,
+                words: j - i + 1,
+                previous: i > 0 ? text.slice(words[i - 1].start, words[i - 1].end).toLowerCase() : null
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Highest-ranked span, then the longest, then the earliest; null when none ranks above 0.
+ */
+function bestSpan(candidates, rank) {
+    let best = null;
+    for (const span of candidates) {
+        const score = rank(span);
+        if (score > 0 && (!best || score > best.score || (score === best.score && span.words > best.span.words))) {
+            best = { span, score };
+        }
+    }
+    return best && best.span;
+}
+
+// 2 for clock times, 1 for named periods and hinted bare numbers, 0 for anything else
+function timeRank(span, named, periods, locale) {
+    const lower = localizeTime(span.text, locale).toLowerCase();
+    try {
+        parseHumanTimeRange(lower, { periods });
+    } catch {
+        return 0;
+    }
+    if (CLOCK_PATTERN.test(lower)) {
+        return 2;
+    }
+    if (Object.keys(named).some((name) => new RegExp(`(?:^|\\s)${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`).test(lower))) {
+        return 1;
+    }
+    return TIME_HINTS.has(lower.split(/\s+/)[0]) || TIME_HINTS.has(span.previous) ? 1 : 0;
+}
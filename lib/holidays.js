@@ -0,0 +1,313 @@
+// lib/holidays.js — Per-country holiday rules, holiday date expressions and closures
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { normalizeDateText } from "./relative-month.js";
+
+/*
+ * Each holiday is computed from a rule, never from a hard-coded date:
+ *   fixed(month, day)                 — Christmas, Canada Day
+ *   nthWeekday(month, weekday, nth)   — Thanksgiving (4th Thursday of November), nth -1 = last
+ *   easter(offset)                    — Good Friday (-2), Easter Monday (+1)
+ *   weekdayOnOrBefore(month, day, wd) — Victoria Day (Monday on or before May 24)
+ *   after(rule, days)                 — Black Friday (day after Thanksgiving)
+ *
+ * `public: true` marks days businesses close; only those (and their observed
+ * weekday substitutes) are excluded from business-day math. The rest
+ * (Valentine's Day, Halloween…) are still understood as dates.
+ */
+
+const fixed = (month, day) => (year) => DateTime.utc(year, month, day);
+
+const nthWeekday = (month, weekday, nth) => (year) => {
+    if (nth === -1) {
+        const last = DateTime.utc(year, month, 1).endOf("month").startOf("day");
+        return last.minus({ days: (last.weekday - weekday + 7) % 7 });
+    }
+    const first = DateTime.utc(year, month, 1);
+    return first.plus({ days: (weekday - first.weekday + 7) % 7, weeks: nth - 1 });
+};
+
+const weekdayOnOrBefore = (month, day, weekday) => (year) => {
+    const date = DateTime.utc(year, month, day);
+    return date.minus({ days: (date.weekday - weekday + 7) % 7 });
+};
+
+const easter = (offset) => (year) => easterSunday(year).plus({ days: offset });
+
+const after = (rule, days) => (year) => rule(year).plus({ days });
+
+const MON = 1, THU = 4, SUN = 7;
+
+const COMMON_HOLIDAYS = [
+    { name: "New Year's Day", aliases: ["new year", "new years", "new years day", "new year day"], rule: fixed(1, 1), public: true },
+    { name: "Valentine's Day", aliases: ["valentines", "valentines day", "valentine day", "st valentines day"], rule: fixed(2, 14) },
+    { name: "St. Patrick's Day", aliases: ["st patricks day", "saint patricks day", "st paddys day"], rule: fixed(3, 17) },
+    { name: "Good Friday", aliases: ["good friday"], rule: easter(-2) },
+    { name: "Easter", aliases: ["easter", "easter sunday"], rule: easter(0) },
+    { name: "Halloween", aliases: ["halloween"], rule: fixed(10, 31) },
+    { name: "Christmas Eve", aliases: ["christmas eve", "xmas eve"], rule: fixed(12, 24) },
+    { name: "Christmas Day", aliases: ["christmas", "christmas day", "xmas"], rule: fixed(12, 25), public: true },
+    { name: "New Year's Eve", aliases: ["new years eve", "new year eve"], rule: fixed(12, 31) }
+];
+
+const US_THANKSGIVING = nthWeekday(11, THU, 4);
+
+// A country's own entry for a shared holiday (e.g. Good Friday as a public holiday) replaces the common one
+const withCommon = (holidays) => [
+    ...COMMON_HOLIDAYS.filter((common) => !holidays.some((holiday) => holiday.name === common.name)),
+    ...holidays
+];
+
+export const HOLIDAY_CALENDARS = {
+    US: {
+        name: "United States (federal)",
+        observed: "nearest-weekday",
+        holidays: withCommon([
+            { name: "Martin Luther King Jr. Day", aliases: ["mlk day", "martin luther king day", "martin luther king jr day"], rule: nthWeekday(1, MON, 3), public: true },
+            { name: "Presidents' Day", aliases: ["presidents day", "washingtons birthday"], rule: nthWeekday(2, MON, 3), public: true },
+            { name: "Mother's Day", aliases: ["mothers day"], rule: nthWeekday(5, SUN, 2) },
+            { name: "Memorial Day", aliases: ["memorial day"], rule: nthWeekday(5, MON, -1), public: true },
+            { name: "Father's Day", aliases: ["fathers day"], rule: nthWeekday(6, SUN, 3) },
+            { name: "Juneteenth", aliases: ["juneteenth"], rule: fixed(6, 19), public: true },
+            { name: "Independence Day", aliases: ["independence day", "fourth of july", "4th of july", "july 4th", "july fourth"], rule: fixed(7, 4), public: true },
+            { name: "Labor Day", aliases: ["labor day", "labour day"], rule: nthWeekday(9, MON, 1), public: true },
+            { name: "Columbus Day", aliases: ["columbus day", "indigenous peoples day"], rule: nthWeekday(10, MON, 2), public: true },
+            { name: "Veterans Day", aliases: ["veterans day"], rule: fixed(11, 11), public: true },
+            { name: "Thanksgiving", aliases: ["thanksgiving", "thanksgiving day"], rule: US_THANKSGIVING, public: true },
+            { name: "Black Friday", aliases: ["black friday"], rule: after(US_THANKSGIVING, 1) }
+        ])
+    },
+    UK: {
+        name: "United Kingdom (England & Wales bank holidays)",
+        observed: "substitute",
+        holidays: withCommon([
+            { name: "Mothering Sunday", aliases: ["mothering sunday", "mothers day"], rule: easter(-21) },
+            { name: "Good Friday", aliases: ["good friday"], rule: easter(-2), public: true },
+            { name: "Easter Monday", aliases: ["easter monday"], rule: easter(1), public: true },
+            { name: "Early May Bank Holiday", aliases: ["early may bank holiday", "may day"], rule: nthWeekday(5, MON, 1), public: true },
+            { name: "Spring Bank Holiday", aliases: ["spring bank holiday"], rule: nthWeekday(5, MON, -1), public: true },
+            { name: "Father's Day", aliases: ["fathers day"], rule: nthWeekday(6, SUN, 3) },
+            { name: "Summer Bank Holiday", aliases: ["summer bank holiday", "august bank holiday"], rule: nthWeekday(8, MON, -1), public: true },
+            { name: "Guy Fawkes Night", aliases: ["guy fawkes night", "bonfire night"], rule: fixed(11, 5) },
+            { name: "Boxing Day", aliases: ["boxing day"], rule: fixed(12, 26), public: true }
+        ])
+    },
+    CA: {
+        name: "Canada (federal statutory)",
+        observed: "substitute",
+        holidays: withCommon([
+            { name: "Family Day", aliases: ["family day"], rule: nthWeekday(2, MON, 3) },
+            { name: "Good Friday", aliases: ["good friday"], rule: easter(-2), public: true },
+            { name: "Easter Monday", aliases: ["easter monday"], rule: easter(1) },
+            { name: "Mother's Day", aliases: ["mothers day"], rule: nthWeekday(5, SUN, 2) },
+            { name: "Victoria Day", aliases: ["victoria day"], rule: weekdayOnOrBefore(5, 24, MON), public: true },
+            { name: "Father's Day", aliases: ["fathers day"], rule: nthWeekday(6, SUN, 3) },
+            { name: "Canada Day", aliases: ["canada day"], rule: fixed(7, 1), public: true },
+            { name: "Civic Holiday", aliases: ["civic holiday"], rule: nthWeekday(8, MON, 1) },
+            { name: "Labour Day", aliases: ["labour day", "labor day"], rule: nthWeekday(9, MON, 1), public: true },
+            { name: "National Day for Truth and Reconciliation", aliases: ["truth and reconciliation day", "orange shirt day"], rule: fixed(9, 30), public: true },
+            { name: "Thanksgiving", aliases: ["thanksgiving", "thanksgiving day"], rule: nthWeekday(10, MON, 2), public: true },
+            { name: "Remembrance Day", aliases: ["remembrance day"], rule: fixed(11, 11), public: true },
+            { name: "Boxing Day", aliases: ["boxing day"], rule: fixed(12, 26), public: true }
+        ])
+    }
+};
+
+const CALENDAR_ALIASES = { GB: "UK", USA: "US", CAN: "CA" };
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+/**
+ * Look up a holiday calendar by country code ("US", "UK"/"GB", "CA").
+ * Without a code, only the holidays shared by every calendar are known and
+ * nothing is treated as a closure.
+ *
+ * @param {string} [code]
+ * @returns {{ code: string|null, holidays: object[], holidaysInYear: (year: number) => object[], isClosed: (dt: DateTime) => boolean }}
+ * @throws {ParseDateError} for an unknown code
+ */
+export function getHolidayCalendar(code) {
+    if (code === undefined || code === null) {
+        return buildCalendar(null, { holidays: COMMON_HOLIDAYS, observed: null });
+    }
+
+    const key = typeof code === "string" ? code.trim().toUpperCase() : "";
+    const resolved = CALENDAR_ALIASES[key] || key;
+    if (!HOLIDAY_CALENDARS[resolved]) {
+        throw new ParseDateError(
+            "Invalid 'holidayCalendar' parameter",
+            `'${code}' is not a supported holiday calendar. Supported calendars: ${Object.keys(HOLIDAY_CALENDARS).join(", ")}`,
+            { code: "PARAMETER_INVALID", field: "holidayCalendar" }
+        );
+    }
+    return buildCalendar(resolved, HOLIDAY_CALENDARS[resolved]);
+}
+
+function buildCalendar(code, { holidays, observed }) {
+    const cache = new Map();
+
+    const holidaysInYear = (year) => {
+        if (!cache.has(year)) {
+            const dates = holidays.map((holiday) => ({
+                ...holiday,
+                date: holiday.rule(year).toISODate()
+            }));
+            cache.set(year, dates.map((holiday) => ({
+                ...holiday,
+                observedDate: holiday.public ? observedDate(holiday.date, observed, dates) : null
+            })));
+        }
+        return cache.get(year);
+    };
+
+    // Public holidays and their observed substitutes close the business
+    const isClosed = (dt) => {
+        if (!code) {
+            return false;
+        }
+        const date = dt.toISODate();
+        return [dt.year - 1, dt.year, dt.year + 1].some((year) => holidaysInYear(year)
+            .some((holiday) => holiday.public && (holiday.date === date || holiday.observedDate === date)));
+    };
+
+    return { code, holidays, holidaysInYear, isClosed };
+}
+
+/**
+ * When a public holiday falls on a weekend, the day businesses observe it:
+ * "nearest-weekday" (US federal: Saturday → Friday, Sunday → Monday) or
+ * "substitute" (UK/CA: the next weekday that isn't already a holiday).
+ */
+function observedDate(date, policy, holidaysThisYear) {
+    const day = DateTime.fromISO(date, { zone: "utc" });
+    if (day.weekday < 6 || !policy) {
+        return date;
+    }
+    if (policy === "nearest-weekday") {
+        return day.plus({ days: day.weekday === 6 ? -1 : 1 }).toISODate();
+    }
+
+    const taken = new Set(holidaysThisYear.filter((h) => h.public).map((h) => h.date));
+    let substitute = day.plus({ days: day.weekday === 6 ? 2 : 1 });
+    while (taken.has(substitute.toISODate()) || substitute.weekday > 5) {
+        substitute = substitute.plus({ days: 1 });
+    }
+    // Boxing Day on Sunday after a Saturday Christmas moves to Tuesday
+    if (date.endsWith("-12-26") && day.weekday === 7 && taken.has(day.minus({ days: 1 }).toISODate())) {
+        substitute = day.plus({ days: 2 });
+    }
+    return substitute.toISODate();
+}
+
+/**
+ * Resolve holiday date expressions.
+ *
+ * Understands "christmas", "christmas 2026", "next thanksgiving",
+ * "last easter", "the day after thanksgiving", "2 days before christmas",
+ * "the week after easter". A bare holiday means its next occurrence,
+ * counting today.
+ *
+ * @param {string} humanDate
+ * @param {DateTime} now  Reference time, already in the request's timezone
+ * @param {{ holidays: ReturnType<typeof getHolidayCalendar> }} context
+ * @returns {DateTime|null}
+ * @throws {ParseDateError} when the holiday only exists in a calendar that wasn't selected
+ */
+export function resolveHolidayDate(humanDate, now, { holidays }) {
+    const text = normalizeDateText(humanDate);
+
+    const offset = text.match(/^(?:the\s+)?(\d+|a|an|one|two|three|four|five|six|seven)?\s*(day|week)s?\s+(after|before)\s+(.+)$/);
+    if (offset) {
+        const base = resolveHolidayName(offset[4], now, holidays);
+        if (!base) {
+            return null;
+        }
+        const count = offset[1] ? parseCount(offset[1]) : 1;
+        const days = count * (offset[2] === "week" ? 7 : 1) * (offset[3] === "after" ? 1 : -1);
+        return base.plus({ days });
+    }
+
+    return resolveHolidayName(text, now, holidays);
+}
+
+function resolveHolidayName(text, now, calendar) {
+    const match = text.match(/^(?:(next|this|last|the)\s+)?(.+?)(?:\s+(?:of\s+)?(\d{4}))?$/);
+    if (!match) {
+        return null;
+    }
+    const [, modifier, name, year] = match;
+
+    const key = holidayKey(name);
+    const holiday = findHoliday(calendar.holidays, key);
+    if (!holiday) {
+        const elsewhere = Object.entries(HOLIDAY_CALENDARS)
+            .filter(([, { holidays }]) => findHoliday(holidays, key))
+            .map(([code]) => code);
+        if (elsewhere.length && (!calendar.code || !elsewhere.includes(calendar.code))) {
+            throw new ParseDateError(
+                "Unknown holiday for calendar",
+                `'${name}' depends on the holiday calendar; set 'holidayCalendar' to ${elsewhere.join(" or ")}`,
+                { code: "HOLIDAY_UNKNOWN" }
+            );
+        }
+        return null;
+    }
+
+    const today = now.startOf("day");
+    const inYear = (y) => {
+        const { date } = calendar.holidaysInYear(y).find((h) => h.name === holiday.name);
+        return DateTime.fromISO(date, { zone: now.zone });
+    };
+
+    if (year) {
+        return inYear(Number(year));
+    }
+    if (modifier === "this") {
+        return inYear(today.year);
+    }
+    if (modifier === "last") {
+        const candidate = inYear(today.year);
+        return candidate < today ? candidate : inYear(today.year - 1);
+    }
+    if (modifier === "next") {
+        const candidate = inYear(today.year);
+        return candidate > today ? candidate : inYear(today.year + 1);
+    }
+    const candidate = inYear(today.year);
+    return candidate >= today ? candidate : inYear(today.year + 1);
+}
+
+function findHoliday(holidays, key) {
+    return holidays.find((holiday) =>
+        holidayKey(holiday.name) === key || holiday.aliases.some((alias) => holidayKey(alias) === key));
+}
+
+// "Valentine's Day" → "valentines day"; "St. Patrick's" → "st patricks"
+function holidayKey(name) {
+    return name.toLowerCase().replace(/['’.]/g, "").replace(/\s+/g, " ").trim();
+}
+
+function parseCount(token) {
+    return token in COUNT_WORDS ? COUNT_WORDS[token] : Number(token);
+}
+
+/**
+ * Western (Gregorian) Easter Sunday — anonymous Gregorian algorithm.
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return DateTime.utc(year, month, day);
+}
@@ -0,0 +1,155 @@
+// lib/humanize-date.js — ISO datetime → the phrases a confirmation message needs
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { parseHumanDateTime } from "./parse-human-date-time.js";
+import { chooseReferenceTime, describeReferenceTime, parseMaxClockSkew, parseReferenceTimePolicy } from "./reference-time.js";
+import { localDateTime } from "./dst.js";
+import { localePhrasing, parseLocale } from "./locales.js";
+import { resolveTimeZone } from "./time-zones.js";
+
+/*
+ * The reverse of parseHumanDateTime: an instant, written for people in the
+ * request's timezone and language, relative to the client's current time.
+ *   absolute   "Tuesday, Jan 23 at 2:00 PM CST"  (the year only when it isn't this year's)
+ *   relative   "in 3 days", "tomorrow", "in 2 hours", "now", "3 weeks ago"
+ *   phrase     "Tuesday, Jan 23 at 2:00 PM CST (in 3 days)"
+ * and as inputs parseHumanDateTime reads back to the same instant:
+ *   humanDate  "today", "tomorrow" or "yesterday" in the locale, otherwise "2024-01-23"
+ *   humanTime  "2pm", "2:30pm" in English, "14:30" in the other locales
+ *   dstPolicy  "later" for the second of two identical wall-clock times when
+ *              daylight saving ends; omitted otherwise
+ * A day word is parsed back before it is used, and replaced by the ISO date
+ * if it would not round-trip.
+ *
+ * Relative phrases count calendar days: on the same day in minutes or hours,
+ * then in days up to two weeks, weeks up to two months, months up to a year,
+ * then whole years.
+ */
+
+/**
+ * Describe `isoDate` for people.
+ *
+ * @param {object} input
+ * @param {string} input.isoDate  ISO datetime; without an offset it is read in `timeZone`
+ * @param {string} input.timeZone  timezone to describe it in: IANA, or anything resolveTimeZone() accepts
+ * @param {string} [input.locale]  "en" (default), "es", "de", "fr" or "pt"
+ * @param {string|Date|DateTime} [input.now]  Reference "current time"; defaults to the system clock
+ * @param {string} [input.referenceTimePolicy]  Whose clock `now` is, as for parseHumanDateTime (see lib/reference-time.js)
+ * @param {number} [input.maxClockSkewSeconds]  For "client-with-skew-check"; default 300
+ * @returns {{ convertedDate: string, locale: string, absolute: string, relative: string, phrase: string,
+ *             humanDate: string, humanTime: string, dstPolicy?: string,
+ *             referenceTime: { time: string, source: "client"|"server", policy: string, clockSkewSeconds?: number } }}
+ *          `referenceTime` is the "now" the relative phrase counts from
+ * @throws {ParseDateError} when an input is missing or invalid
+ */
+export function humanizeDateTime({ isoDate, timeZone: requestedTimeZone, locale, now, referenceTimePolicy, maxClockSkewSeconds } = {}) {
+    const { timeZone } = resolveTimeZone(requestedTimeZone);
+    const language = parseLocale(locale) || "en";
+    const reference = chooseReferenceTime({
+        now,
+        policy: parseReferenceTimePolicy(referenceTimePolicy),
+        maxClockSkewSeconds: parseMaxClockSkew(maxClockSkewSeconds)
+    });
+    const nowZoned = reference.dateTime.setZone(timeZone);
+
+    const parsed = typeof isoDate === "string" ? DateTime.fromISO(isoDate, { zone: timeZone, setZone: true }) : null;
+    if (!parsed || !parsed.isValid) {
+        throw new ParseDateError(
+            "Missing or invalid 'isoDate' parameter",
+            "Please provide an ISO datetime (e.g., '2024-01-23T14:00:00-06:00')",
+            { code: "PARAMETER_INVALID", field: "isoDate" }
+        );
+    }
+    const dt = parsed.setZone(timeZone);
+    const phrasing = localePhrasing(language);
+
+    const absolute = describeAbsolute(dt, nowZoned, phrasing);
+    const relative = describeRelative(dt, nowZoned, phrasing);
+
+    return {
+        convertedDate: dt.toISO({ suppressMilliseconds: true }),
+        locale: language,
+        absolute,
+        relative,
+        phrase: `${absolute} (${relative})`,
+        ...describeInputs(dt, nowZoned, language, phrasing),
+        referenceTime: describeReferenceTime(reference, nowZoned)
+    };
+}
+
+function describeAbsolute(dt, now, { intl, at }) {
+    const local = dt.setLocale(intl);
+    const date = local.toLocaleString({
+        weekday: "long",
+        month: "short",
+        day: "numeric",
+        ...(dt.year !== now.year && { year: "numeric" })
+    });
+    const clock = local.toLocaleString({ hour: "numeric", minute: "2-digit" });
+    return `${date} ${at(clock, dt.hour)} ${local.offsetNameShort}`;
+}
+
+function describeRelative(dt, now, { intl }) {
+    const format = new Intl.RelativeTimeFormat(intl, { numeric: "auto" });
+    const days = Math.round(dt.startOf("day").diff(now.startOf("day"), "days").days);
+
+    if (days === 0) {
+        const minutes = Math.round(dt.diff(now, "minutes").minutes);
+        if (minutes === 0) {
+            return format.format(0, "second");
+        }
+        return Math.abs(minutes) < 60 ? format.format(minutes, "minute") : format.format(Math.round(minutes / 60), "hour");
+    }
+    if (Math.abs(days) < 14) {
+        return format.format(days, "day");
+    }
+    if (Math.abs(days) < 60) {
+        return format.format(Math.round(days / 7), "week");
+    }
+    const months = Math.round(dt.startOf("day").diff(now.startOf("day"), "months").months);
+    return Math.abs(months) < 12 ? format.format(months, "month") : format.format(Math.trunc(months / 12), "year");
+}
+
+/**
+ * humanDate, humanTime (and dstPolicy when needed) that parse back to `dt`.
+ */
+function describeInputs(dt, now, language, { days }) {
+    const humanTime = language === "en" ? twelveHourClock(dt) : dt.toFormat(dt.second ? "HH:mm:ss" : "HH:mm");
+
+    // The second 01:30 of the night daylight saving ends needs the "later" policy
+    const { transition, dateTime } = localDateTime(dt.toObject(), dt.zoneName, "earlier");
+    const dstPolicy = transition === "overlap" && !dateTime.equals(dt) ? "later" : null;
+
+    const isoDate = dt.toISODate();
+    const dayWord = days[Math.round(dt.startOf("day").diff(now.startOf("day"), "days").days)];
+    const humanDate = dayWord && roundTrips(dt, { humanDate: dayWord, humanTime, now, language, dstPolicy }) ? dayWord : isoDate;
+
+    return { humanDate, humanTime, ...(dstPolicy && { dstPolicy }) };
+}
+
+function roundTrips(dt, { humanDate, humanTime, now, language, dstPolicy }) {
+    try {
+        const { dateTime } = parseHumanDateTime({
+            humanDate,
+            humanTime,
+            timeZone: dt.zoneName,
+            now,
+            locale: language,
+            ...(dstPolicy && { dstPolicy })
+        });
+        return dateTime.toMillis() === dt.startOf("second").toMillis();
+    } catch (error) {
+        if (error instanceof ParseDateError) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// "2pm", "2:30pm", "2:30:15pm"
+function twelveHourClock(dt) {
+    const hour = dt.hour % 12 || 12;
+    const minutes = dt.minute || dt.second ? `:${String(dt.minute).padStart(2, "0")}` : "";
+    const seconds = dt.second ? `:${String(dt.second).padStart(2, "0")}` : "";
+    return `${hour}${minutes}${seconds}${dt.hour < 12 ? "am" : "pm"}`;
+}
@@ -0,0 +1,398 @@
+// lib/locales.js — Spanish, German, French and Portuguese dates and times
+import * as chrono from "chrono-node";
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+
+/*
+ * Dates go to chrono's parser for the locale (chrono.es, chrono.de…), after
+ * a few rewrites of phrases it misses ("pasado mañana", "semana que vem").
+ * Rewrites may produce English, so English chrono is tried when the locale's
+ * parser doesn't read the whole text. English chrono also reads a day of the
+ * month alone ("the 25th"), leaving its month and year implied.
+ *
+ * Times are translated into the English time grammar and parsed as usual:
+ *   "a las 3 de la tarde" → "at 3 in the afternoon"
+ *   "halb drei"           → "2:30"
+ *   "à 15h"               → "at 15h"
+ *   "das 14h às 16h"      → "from 14h to 16h"
+ * English input keeps working in every locale ("3pm", "14:30").
+ *
+ * Without a `locale`, the language is detected from words only it uses
+ * (weekdays, months, "mañana", "Uhr"…); input with none of them is English.
+ * Spanish and Portuguese share some words ("sábado", "tarde"); a tie goes
+ * to Spanish.
+ *
+ * For writing dates back out (lib/humanize-date.js), each locale names its
+ * Intl locale, the words for yesterday, today and tomorrow, and how to say
+ * "at <clock time>".
+ */
+
+// Unicode-aware word boundary: \b treats "ñ", "é", "ü" as non-letters
+const B = "(?:(?<=^|[^\\p{L}\\d])(?=[\\p{L}\\d])|(?<=[\\p{L}\\d])(?=$|[^\\p{L}\\d]))";
+
+function pattern(source, flags = "") {
+    return new RegExp(source.replace(/\\b/g, B), `${flags}u`);
+}
+
+// "the 25th", "on the 3rd", "31st": the month and year are implied from the reference, moving on to
+// the next month that has the day ("the 31st" in September is October's)
+const englishChrono = chrono.casual.clone();
+englishChrono.parsers.push({
+    pattern: () => /(?<![\w/.-])(?:on\s+)?(?:the\s+)?([1-9]|[12]\d|3[01])(?:st|nd|rd|th)(?![\w/.-])/i,
+    extract: (context, match) => {
+        const components = context.createParsingComponents({ day: Number(match[1]) });
+        let month = DateTime.utc(components.get("year"), components.get("month"), 1);
+        while (month.daysInMonth < components.get("day")) {
+            month = month.plus({ months: 1 });
+        }
+        return components.imply("year", month.year).imply("month", month.month);
+    }
+});
+
+// [pattern, replacement] pairs applied in order
+const rules = (pairs) => pairs.map(([source, replacement]) => [pattern(source, "g"), replacement]);
+
+const LOCALES = {
+    en: {
+        chrono: englishChrono,
+        intl: "en-US",
+        days: { "-1": "yesterday", 0: "today", 1: "tomorrow" },
+        at: (clock) => `at ${clock}`,
+        numbers: {},
+        dates: [],
+        durations: [],
+        times: [],
+        keywords: []
+    },
+
+    es: {
+        chrono: chrono.es,
+        intl: "es",
+        days: { "-1": "ayer", 0: "hoy", 1: "mañana" },
+        at: (clock, hour) => `${hour === 1 ? "a la" : "a las"} ${clock}`,
+        numbers: {
+            una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8,
+            nueve: 9, diez: 10, once: 11, doce: 12, quince: 15, veinte: 20, veinticinco: 25, treinta: 30
+        },
+        dates: rules([
+            ["^(?:el|la|los)\\s+", ""],
+            ["\\bpasado\\s+mañana\\b", "in 2 days"],
+            ["^(?:la\\s+)?(?:próxima|proxima)\\s+semana$|^(?:la\\s+)?semana\\s+que\\s+viene$", "next week"],
+            ["^(lunes|martes|miércoles|miercoles|jueves|viernes|sábado|sabado|domingo)\\s+(?:próximo|proximo|que\\s+viene)$", "próximo $1"]
+        ]),
+        durations: rules([
+            ["\\bmedia\\s+hora\\b", "half an hour"],
+            ["\\bhoras?\\s+y\\s+media\\b", "hours and a half"],
+            ["\\bhoras?\\b", "hours"],
+            ["\\bminutos?\\b", "minutes"],
+            ["\\by\\b", "and"]
+        ]),
+        times: rules([
+            ["\\b(?:de\\s+la\\s+mañana|de\\s+la\\s+madrugada)\\b", "in the morning"],
+            ["\\bde\\s+la\\s+tarde\\b", "in the afternoon"],
+            ["\\bde\\s+la\\s+noche\\b", "at night"],
+            ["\\b(?:mediodía|mediodia)\\b", "noon"],
+            ["\\bmedianoche\\b", "midnight"],
+            ["\\ben\\s+punto\\b", "o'clock"],
+            ["(\\d{1,2})\\s*(?:horas|hrs|hs)\\b", "$1h"],
+            ["^entre\\s+(?:las?\\s+)?(.+?)\\s+y\\s+(?:las?\\s+)?(.+)$", "between $1 and $2"],
+            ["^(?:de|desde)\\s+(?:las?\\s+)?(\\d.*?)\\s+(?:a|hasta)\\s+(?:las?\\s+)?(\\d.*)$", "from $1 to $2"],
+            ["^(?:alrededor\\s+de|sobre|hacia)\\s+(?:las?\\s+)?", "around "],
+            ["^(?:a\\s+)?las?\\s+(?=\\d)", "at "],
+            ["(\\d{1,2})\\s+y\\s+media\\b", "half past $1"],
+            ["(\\d{1,2})\\s+y\\s+cuarto\\b", "quarter past $1"],
+            ["(\\d{1,2})\\s+menos\\s+cuarto\\b", "quarter to $1"],
+            ["(\\d{1,2})\\s+y\\s+(\\d{1,2})\\b", "$2 past $1"],
+            ["(\\d{1,2})\\s+menos\\s+(\\d{1,2})\\b", "$2 minutes to $1"],
+            ["^(?:por\\s+la|en\\s+la|esta)\\s+mañana$|^mañana$", "morning"],
+            ["^(?:por\\s+la|en\\s+la|esta)\\s+tarde$|^tarde$", "afternoon"],
+            ["^esta\\s+noche$", "tonight"],
+            ["^(?:por\\s+la|en\\s+la)\\s+noche$|^noche$", "night"],
+            ["^(?:a\\s+la\\s+)?hora\\s+de\\s+comer$|^(?:el\\s+)?almuerzo$", "lunch"]
+        ]),
+        keywords: [
+            "lunes", "martes", "miercoles", "jueves", "viernes", "sabado", "domingo",
+            "enero", "febrero", "marzo", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre",
+            "hoy", "manana", "pasado", "proximo", "proxima", "semana", "dentro", "dias", "tarde", "noche",
+            "mediodia", "medianoche", "horas", "minutos", "cuarto", "menos"
+        ]
+    },
+
+    de: {
+        chrono: chrono.de,
+        intl: "de",
+        days: { "-1": "gestern", 0: "heute", 1: "morgen" },
+        at: (clock) => `um ${clock} Uhr`,
+        numbers: {
+            ein: 1, eins: 1, eine: 1, zwei: 2, drei: 3, vier: 4, "fünf": 5, fuenf: 5, sechs: 6, sieben: 7,
+            acht: 8, neun: 9, zehn: 10, elf: 11, "zwölf": 12, zwoelf: 12, "fünfzehn": 15, zwanzig: 20, "dreißig": 30
+        },
+        dates: rules([
+            ["^(?:am|den)\\s+", ""],
+            ["^(?:kommenden|kommender)\\s+", "nächsten "]
+        ]),
+        durations: rules([
+            ["\\b(?:1|eine)\\s+halbe\\s+stunde\\b", "half an hour"],
+            ["\\banderthalb\\s+stunden\\b", "an hour and a half"],
+            ["\\bstunden?\\b", "hours"],
+            ["\\bminuten?\\b", "minutes"],
+            ["\\bund\\b", "and"]
+        ]),
+        times: rules([
+            ["(\\d{1,2})\\s*uhr\\s*(\\d{1,2})\\b", "$1:$2"],
+            ["(\\d{1,2}[:.]\\d{2})\\s*uhr\\b", "$1"],
+            ["(\\d{1,2})\\s*uhr\\b", "$1 o'clock"],
+            ["\\b(?:morgens|früh|frueh|vormittags|am\\s+morgen|am\\s+vormittag)$", "in the morning"],
+            ["\\b(?:nachmittags|am\\s+nachmittag)$", "in the afternoon"],
+            ["\\b(?:abends|am\\s+abend)$", "in the evening"],
+            ["\\b(?:nachts|in\\s+der\\s+nacht)$", "at night"],
+            ["\\bmitternacht\\b", "midnight"],
+            ["\\bmittags?\\b", "noon"],
+            ["\\bhalb\\s+(\\d{1,2})\\b", (match, hour) => `${Number(hour) - 1 || 12}:30`],
+            ["\\bviertel\\s+nach\\s+(\\d{1,2})\\b", "quarter past $1"],
+            ["\\b(?:viertel\\s+vor|dreiviertel)\\s+(\\d{1,2})\\b", "quarter to $1"],
+            ["(\\d{1,2})\\s+nach\\s+(\\d{1,2})\\b", "$1 past $2"],
+            ["(\\d{1,2})\\s+vor\\s+(\\d{1,2})\\b", "$1 minutes to $2"],
+            ["^zwischen\\s+(.+?)\\s+und\\s+(.+)$", "between $1 and $2"],
+            ["^(?:von\\s+)?(.+?)\\s+bis\\s+(.+)$", "from $1 to $2"],
+            ["^(?:gegen|etwa|ca\\.?)\\s+", "around "],
+            ["^um\\s+", "at "],
+            ["^(?:am\\s+)?(?:morgen|vormittag)$", "morning"],
+            ["^(?:am\\s+)?nachmittag$", "afternoon"],
+            ["^heute\\s+abend$", "tonight"],
+            ["^(?:am\\s+)?abend$", "evening"],
+            ["^(?:in\\s+der\\s+)?nacht$", "night"],
+            ["^(?:zum\\s+|zur\\s+)?(?:mittagessen|mittagszeit)$", "lunch"]
+        ]),
+        keywords: [
+            "montag", "dienstag", "mittwoch", "donnerstag", "freitag", "samstag", "sonntag",
+            "januar", "februar", "marz", "mai", "juni", "juli", "oktober", "dezember",
+            "heute", "morgen", "ubermorgen", "nachsten", "nachste", "kommenden", "woche", "tagen",
+            "uhr", "morgens", "vormittags", "nachmittags", "abends", "nachts", "mittag", "mitternacht", "halb", "viertel"
+        ]
+    },
+
+    fr: {
+        chrono: chrono.fr,
+        intl: "fr",
+        days: { "-1": "hier", 0: "aujourd'hui", 1: "demain" },
+        at: (clock) => `à ${clock}`,
+        numbers: {
+            une: 1, un: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8,
+            neuf: 9, dix: 10, onze: 11, douze: 12, quinze: 15, vingt: 20, trente: 30
+        },
+        dates: rules([
+            ["^le\\s+", ""],
+            ["\\b(?:après|apres)[\\s-]+demain\\b", "in 2 days"]
+        ]),
+        durations: rules([
+            ["\\b(?:1\\s+)?demi[\\s-]+heure\\b", "half an hour"],
+            ["\\bheures?\\s+et\\s+demie\\b", "hours and a half"],
+            ["\\bheures?\\b", "hours"],
+            ["\\bminutes?\\b", "minutes"],
+            ["\\bet\\b", "and"]
+        ]),
+        times: rules([
+            ["\\bdu\\s+matin\\b", "in the morning"],
+            ["\\bde\\s+l'(?:après|apres)-midi\\b", "in the afternoon"],
+            ["\\bdu\\s+soir\\b", "in the evening"],
+            ["\\bde\\s+la\\s+nuit\\b", "at night"],
+            ["^(?:l'|cet\\s+)?(?:après|apres)-midi$", "afternoon"],
+            ["\\bmidi\\s+et\\s+demie?\\b", "12:30"],
+            ["\\bminuit\\s+et\\s+demie?\\b", "0:30"],
+            ["\\bmidi\\b", "noon"],
+            ["\\bminuit\\b", "midnight"],
+            ["(\\d{1,2})\\s*(?:h|heures?)\\s+et\\s+quart\\b", "quarter past $1"],
+            ["(\\d{1,2})\\s*(?:h|heures?)\\s+et\\s+demie\\b", "half past $1"],
+            ["(\\d{1,2})\\s*(?:h|heures?)\\s+moins\\s+le\\s+quart\\b", "quarter to $1"],
+            ["(\\d{1,2})\\s*(?:h|heures?)\\s+moins\\s+(\\d{1,2})\\b", "$2 minutes to $1"],
+            ["(\\d{1,2})\\s*(?:h|heures?)\\s*(\\d{2})\\b", "$1:$2"],
+            ["(\\d{1,2})\\s*(?:h|heures?)\\b", "$1h"],
+            ["^entre\\s+(.+?)\\s+et\\s+(.+)$", "between $1 and $2"],
+            ["^(?:de\\s+)?(\\d.*?)\\s+(?:à|a|jusqu'à|jusqu'a)\\s+(\\d.*)$", "from $1 to $2"],
+            ["^(?:vers|aux\\s+alentours\\s+de|autour\\s+de)\\s+", "around "],
+            ["^(?:à|a)\\s+", "at "],
+            ["^(?:le\\s+|ce\\s+|dans\\s+la\\s+)?(?:matin|matinée|matinee)$", "morning"],
+            ["^ce\\s+soir$", "tonight"],
+            ["^(?:le\\s+)?soir(?:ée|ee)?$", "evening"],
+            ["^(?:la\\s+|cette\\s+)?nuit$", "night"],
+            ["^(?:au\\s+|le\\s+|à\\s+l'heure\\s+du\\s+)?(?:déjeuner|dejeuner)$", "lunch"]
+        ]),
+        keywords: [
+            "lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi", "dimanche",
+            "janvier", "fevrier", "mars", "mai", "juin", "juillet", "aout", "septembre", "octobre", "decembre",
+            "aujourd'hui", "demain", "apres-demain", "prochain", "prochaine", "semaine", "jours", "dans",
+            "matin", "apres-midi", "soir", "nuit", "midi", "minuit", "heures", "heure", "demie", "vers"
+        ]
+    },
+
+    pt: {
+        chrono: chrono.pt,
+        intl: "pt",
+        days: { "-1": "ontem", 0: "hoje", 1: "amanhã" },
+        at: (clock, hour) => `${hour === 1 ? "à" : "às"} ${clock}`,
+        numbers: {
+            uma: 1, um: 1, duas: 2, dois: 2, "três": 3, tres: 3, quatro: 4, cinco: 5, seis: 6, sete: 7, oito: 8,
+            nove: 9, dez: 10, onze: 11, doze: 12, quinze: 15, vinte: 20, trinta: 30
+        },
+        dates: rules([
+            ["^(?:na|no|o|a)\\s+", ""],
+            ["\\bdepois\\s+de\\s+amanhã\\b", "in 2 days"],
+            ["^(?:(?:na\\s+)?(?:próxima|proxima)\\s+semana|(?:na\\s+)?semana\\s+que\\s+vem)$", "next week"],
+            ["^(?:em|daqui\\s+a|dentro\\s+de)\\s+(\\d+)\\s+dias$", "in $1 days"],
+            ["^(?:em|daqui\\s+a|dentro\\s+de)\\s+(\\d+)\\s+semanas$", "in $1 weeks"],
+            ["\\b(?:próxima|proxima)\\s+", "próximo "],
+            ["^(segunda|terça|terca|quarta|quinta|sexta|sábado|sabado|domingo)((?:-feira)?)\\s+que\\s+vem$", "próximo $1$2"]
+        ]),
+        durations: rules([
+            ["\\bmeia\\s+hora\\b", "half an hour"],
+            ["\\bhoras?\\s+e\\s+meia\\b", "hours and a half"],
+            ["\\bhoras?\\b", "hours"],
+            ["\\bminutos?\\b", "minutes"],
+            ["\\be\\b", "and"]
+        ]),
+        times: rules([
+            ["\\b(?:da\\s+manhã|da\\s+manha|da\\s+madrugada)\\b", "in the morning"],
+            ["\\bda\\s+tarde\\b", "in the afternoon"],
+            ["\\bda\\s+noite\\b", "at night"],
+            ["\\bmeio[\\s-]+dia\\b", "noon"],
+            ["\\bmeia[\\s-]+noite\\b", "midnight"],
+            ["\\bem\\s+ponto\\b", "o'clock"],
+            ["(\\d{1,2})\\s*(?:h|horas?)\\s*(\\d{2})\\b", "$1:$2"],
+            ["(\\d{1,2})\\s*horas?\\b", "$1h"],
+            ["^entre\\s+(?:as\\s+)?(.+?)\\s+e\\s+(?:as\\s+)?(.+)$", "between $1 and $2"],
+            ["^(?:das|de|desde\\s+as)\\s+(\\d.*?)\\s+(?:às|as|até\\s+[àa]s|ate\\s+[àa]s|a)\\s+(\\d.*)$", "from $1 to $2"],
+            ["(\\d{1,2})h?\\s+e\\s+meia\\b", "half past $1"],
+            ["(\\d{1,2})h?\\s+e\\s+(\\d{1,2})\\b", "$2 past $1"],
+            ["(\\d{1,2})\\s+para\\s+(?:[àa]s\\s+|a\\s+)?(\\d{1,2})\\b", "$1 minutes to $2"],
+            ["^(?:por\\s+volta\\s+d[ae]s?|lá\\s+pelas|la\\s+pelas|pelas)\\s+", "around "],
+            ["^(?:às|as|à|a)\\s+(?=\\d)", "at "],
+            ["^(?:de\\s+|pela\\s+|na\\s+)?(?:manhã|manha)$", "morning"],
+            ["^(?:à\\s+|a\\s+|de\\s+|pela\\s+|na\\s+)?tarde$", "afternoon"],
+            ["^hoje\\s+(?:à|a)\\s+noite$", "tonight"],
+            ["^(?:à\\s+|a\\s+|de\\s+|pela\\s+|na\\s+)?noite$", "night"],
+            ["^(?:na\\s+hora\\s+do\\s+|no\\s+)?(?:almoço|almoco)$", "lunch"]
+        ]),
+        keywords: [
+            "segunda", "terca", "quarta", "quinta", "sexta", "feira", "sabado", "domingo",
+            "janeiro", "fevereiro", "marco", "maio", "junho", "julho", "agosto", "setembro", "outubro", "novembro", "dezembro",
+            "hoje", "amanha", "depois", "proximo", "proxima", "semana", "vem", "dias", "tarde", "noite", "manha",
+            "meio-dia", "meia-noite", "horas", "minutos", "meia", "pelas"
+        ]
+    }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+/**
+ * Validate `locale` ("es", "pt-BR"…) and return its language code, or null
+ * when it is omitted and should be detected.
+ */
+export function parseLocale(locale) {
+    if (locale === undefined || locale === null) {
+        return null;
+    }
+    const language = typeof locale === "string" ? locale.trim().toLowerCase().split(/[-_]/)[0] : null;
+    if (!language || !Object.hasOwn(LOCALES, language)) {
+        throw new ParseDateError(
+            "Invalid 'locale' parameter",
+            `Please provide one of: ${SUPPORTED_LOCALES.map((code) => `'${code}'`).join(", ")} (region suffixes like 'pt-BR' are accepted)`,
+            { code: "PARAMETER_INVALID", field: "locale" }
+        );
+    }
+    return language;
+}
+
+/**
+ * How to write dates and times in `locale`: its Intl locale, the words for
+ * the days around today (keyed by day offset) and the "at <time>" phrase.
+ *
+ * @returns {{ intl: string, days: Object<string, string>, at: (clock: string, hour: number) => string }}
+ */
+export function localePhrasing(locale) {
+    const { intl, days, at } = LOCALES[locale];
+    return { intl, days, at };
+}
+
+/**
+ * The language of `text`, by counting words only that language uses; "en"
+ * when there are none.
+ */
+export function detectLocale(text) {
+    // "sexta-feira" counts as "sexta" and "feira"; "après-midi" also as itself
+    const words = stripAccents(text.toLowerCase()).split(/[^\p{L}\d'-]+/u)
+        .flatMap((word) => (word.includes("-") ? [word, ...word.split("-")] : [word]));
+    let best = "en";
+    let bestScore = 0;
+    for (const [code, { keywords }] of Object.entries(LOCALES)) {
+        const score = words.filter((word) => keywords.includes(word)).length;
+        if (score > bestScore) {
+            best = code;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Rewrite a localized date phrase into one chrono reads in full.
+ */
+export function localizeDate(humanDate, locale) {
+    if (locale === "en") {
+        return humanDate;
+    }
+    return LOCALES[locale].dates.reduce((text, [regex, replacement]) => text.replace(regex, replacement), prepare(humanDate, locale));
+}
+
+/**
+ * Translate a localized time phrase into the English time grammar.
+ */
+export function localizeTime(humanTime, locale) {
+    if (locale === "en") {
+        return humanTime;
+    }
+    const { times, durations } = LOCALES[locale];
+    let text = prepare(humanTime, locale);
+
+    // "15h durante 2 horas" → "15h for 2 hours"
+    const duration = text.match(/^(.+?)\s+(?:durante|por|für|fuer|pendant)\s+((?:\d|media|meia|demi|anderthalb).*)$/u);
+    let suffix = "";
+    if (duration) {
+        text = duration[1];
+        suffix = " for " + durations.reduce((phrase, [regex, replacement]) => phrase.replace(regex, replacement), duration[2]);
+    }
+
+    return times.reduce((phrase, [regex, replacement]) => phrase.replace(regex, replacement), text) + suffix;
+}
+
+/**
+ * chrono results for `text` from the locale's parser, or from English chrono
+ * when the locale's parser doesn't read the whole text and English does better.
+ */
+export function parseWithChrono(text, reference, locale) {
+    const results = LOCALES[locale].chrono.parse(text, reference);
+    if (locale === "en" || (results.length && coversWholeText(results[0], text))) {
+        return results;
+    }
+    const english = englishChrono.parse(text, reference);
+    return english.length && (!results.length || coversWholeText(english[0], text)) ? english : results;
+}
+
+function coversWholeText(result, text) {
+    return result.index === 0 && result.text.length === text.trim().length;
+}
+
+// Lowercased, single-spaced, number words as digits
+function prepare(text, locale) {
+    const { numbers } = LOCALES[locale];
+    return text
+        .trim()
+        .toLowerCase()
+        .replace(/[’`]/g, "'")
+        .replace(/\s+/g, " ")
+        .replace(/[\p{L}]+/gu, (word) => (Object.prototype.hasOwnProperty.call(numbers, word) ? String(numbers[word]) : word));
+}
+
+function stripAccents(text) {
+    return text.normalize("NFD").replace(/\p{M}/gu, "");
+}
@@ -0,0 +1,266 @@
+// lib/output-formats.js — The result in the shapes downstream tools want
+import { createHash } from "node:crypto";
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { RRULE_DAYS } from "./recurrence.js";
+
+/*
+ * outputFormats lists the extra shapes to return next to convertedDate:
+ *   utc                "2025-08-20T19:00:00Z"
+ *   epoch, epochMs     Unix time in seconds / milliseconds
+ *   rfc2822            "Wed, 20 Aug 2025 14:00:00 -0500", for email headers
+ *   fields             { date, time, year, month, day, hour, minute, second, weekday, offset, timeZone }
+ *   googleCalendar     a Google Calendar "add event" URL
+ *   outlookCalendar    an Outlook.com "add event" URL
+ *   office365Calendar  the same for Microsoft 365 work accounts
+ *   ics                an iCalendar document with one VEVENT, to save as a .ics file
+ * The event formats run from the result to the interval's end, or for
+ * DEFAULT_EVENT_MINUTES from a single time. `event` sets their title,
+ * description and location. Recurring results carry their RRULE in the
+ * Google URL and the .ics; Outlook's links cannot repeat.
+ *
+ * The .ics keeps wall-clock times (DTSTART;TZID=…), so a recurrence keeps its
+ * time and weekday across daylight saving changes, and defines the zone in a
+ * VTIMEZONE (RFC 5545 §3.6.5) rather than rely on clients knowing its name:
+ * each of the zone's two offset changes in the event's year, repeating yearly
+ * on the same weekday of the month ("2nd sunday of march"), or the one offset
+ * of a zone that doesn't change. Google's `ctz` only names region zones; its
+ * `dates` are UTC, so "Etc/GMT+5" and fixed offsets are left to the calendar.
+ */
+
+export const OUTPUT_FORMATS = [
+    "utc", "epoch", "epochMs", "rfc2822", "fields", "googleCalendar", "outlookCalendar", "office365Calendar", "ics"
+];
+
+export const DEFAULT_EVENT_MINUTES = 30;
+
+const DEFAULT_EVENT_TITLE = "Appointment";
+
+const EVENT_FIELDS = ["title", "description", "location"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Validate `outputFormats`; an empty list when omitted.
+ */
+export function parseOutputFormats(outputFormats) {
+    if (outputFormats === undefined || outputFormats === null) {
+        return [];
+    }
+    const unknown = Array.isArray(outputFormats) ? outputFormats.filter((format) => !OUTPUT_FORMATS.includes(format)) : null;
+    if (!unknown || unknown.length) {
+        throw new ParseDateError(
+            "Invalid 'outputFormats' parameter",
+            `Please provide a list of: ${OUTPUT_FORMATS.map((name) => `'${name}'`).join(", ")}`,
+            { code: "PARAMETER_INVALID", field: "outputFormats" }
+        );
+    }
+    return [...new Set(outputFormats)];
+}
+
+/**
+ * Validate `event`, the calendar event details; the default title when omitted.
+ */
+export function parseEventDetails(event) {
+    if (event === undefined || event === null) {
+        return { title: DEFAULT_EVENT_TITLE, description: null, location: null };
+    }
+    const valid = typeof event === "object" && !Array.isArray(event) &&
+        Object.entries(event).every(([key, value]) => EVENT_FIELDS.includes(key) && (value === null || typeof value === "string"));
+    if (!valid) {
+        throw new ParseDateError(
+            "Invalid 'event' parameter",
+            "Please provide an object with an optional 'title', 'description' and 'location' (e.g., { \"title\": \"Haircut\" })",
+            { code: "PARAMETER_INVALID", field: "event" }
+        );
+    }
+    return {
+        title: event.title || DEFAULT_EVENT_TITLE,
+        description: event.description || null,
+        location: event.location || null
+    };
+}
+
+/**
+ * The requested formats of the result.
+ *
+ * @param {string[]} formats  from parseOutputFormats()
+ * @param {object} result
+ * @param {DateTime} result.dateTime  the start
+ * @param {DateTime|null} result.end  the interval's end, if any
+ * @param {{ dtstart: string, rrule: string }|null} result.recurrence  from formatRecurrence()
+ * @param {{ title: string, description: string|null, location: string|null }} result.event  from parseEventDetails()
+ * @param {DateTime} result.now  reference time, the .ics DTSTAMP
+ * @returns {object|null}  keyed by format name; null when none were requested
+ */
+export function formatOutputs(formats, { dateTime, end, recurrence, event, now }) {
+    if (!formats.length) {
+        return null;
+    }
+    const eventEnd = end || dateTime.plus({ minutes: DEFAULT_EVENT_MINUTES });
+    const writers = {
+        utc: () => dateTime.toUTC().toISO({ suppressMilliseconds: true }),
+        epoch: () => Math.floor(dateTime.toSeconds()),
+        epochMs: () => dateTime.toMillis(),
+        rfc2822: () => dateTime.toRFC2822(),
+        fields: () => ({
+            date: dateTime.toISODate(),
+            time: dateTime.toFormat("HH:mm:ss"),
+            year: dateTime.year,
+            month: dateTime.month,
+            day: dateTime.day,
+            hour: dateTime.hour,
+            minute: dateTime.minute,
+            second: dateTime.second,
+            weekday: dateTime.setLocale("en-US").toFormat("cccc"),
+            offset: dateTime.toFormat("ZZ"),
+            timeZone: dateTime.zoneName
+        }),
+        googleCalendar: () => url("https://calendar.google.com/calendar/render", {
+            action: "TEMPLATE",
+            text: event.title,
+            dates: `${utcStamp(dateTime)}/${utcStamp(eventEnd)}`,
+            ctz: dateTime.zone.type === "iana" && !dateTime.zoneName.startsWith("Etc/") ? dateTime.zoneName : null,
+            details: event.description,
+            location: event.location,
+            recur: recurrence && recurrence.rrule
+        }),
+        outlookCalendar: () => outlookUrl("https://outlook.live.com", dateTime, eventEnd, event),
+        office365Calendar: () => outlookUrl("https://outlook.office.com", dateTime, eventEnd, event),
+        ics: () => icsDocument({ dateTime, end: eventEnd, recurrence, event, now })
+    };
+    return Object.fromEntries(formats.map((format) => [format, writers[format]()]));
+}
+
+function outlookUrl(origin, start, end, event) {
+    return url(`${origin}/calendar/0/deeplink/compose`, {
+        path: "/calendar/action/compose",
+        rru: "addevent",
+        subject: event.title,
+        startdt: start.toUTC().toISO({ suppressMilliseconds: true }),
+        enddt: end.toUTC().toISO({ suppressMilliseconds: true }),
+        body: event.description,
+        location: event.location
+    });
+}
+
+// Parameters that are null are left out
+function url(base, params) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== null && value !== undefined));
+    return `${base}?${query.toString().replace(/\+/g, "%20")}`;
+}
+
+function icsDocument({ dateTime, end, recurrence, event, now }) {
+    const local = (dt) => `TZID=${dt.zoneName}:${dt.toFormat("yyyyMMdd'T'HHmmss")}`;
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//human-time-to-iso//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        ...vtimezone(dateTime),
+        "BEGIN:VEVENT",
+        `UID:${eventUid(dateTime, end, event)}@human-time-to-iso`,
+        `DTSTAMP:${utcStamp(now)}`,
+        `DTSTART;${local(dateTime)}`,
+        `DTEND;${local(end.setZone(dateTime.zoneName))}`,
+        ...(recurrence ? [recurrence.rrule] : []),
+        `SUMMARY:${escapeText(event.title)}`,
+        ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+        ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+        "END:VEVENT",
+        "END:VCALENDAR"
+    ];
+    return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// The zone's offsets, as a yearly rule per change when it changes twice in the event's year (see above)
+function vtimezone(dateTime) {
+    const observance = (type, from, to, start, rrule) => [
+        `BEGIN:${type}`,
+        `DTSTART:${start}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        ...(rrule ? [rrule] : []),
+        `END:${type}`
+    ];
+    const changes = offsetChanges(dateTime.zone, dateTime.year);
+    const observances = changes.length === 2
+        ? changes.flatMap(({ at, from, to }) => {
+            // The wall-clock time the change happens at, and which of the month's weekdays that is
+            const local = DateTime.fromMillis(at + from * MINUTE_MS, { zone: "UTC" });
+            const nth = local.day + 7 > local.daysInMonth ? -1 : Math.ceil(local.day / 7);
+            return observance(to > from ? "DAYLIGHT" : "STANDARD", from, to, firstOnset(local, nth).toFormat("yyyyMMdd'T'HHmmss"),
+                `RRULE:FREQ=YEARLY;BYMONTH=${local.month};BYDAY=${nth}${RRULE_DAYS[local.weekday]}`);
+        })
+        : observance(dateTime.isInDST ? "DAYLIGHT" : "STANDARD", dateTime.offset, dateTime.offset, "19700101T000000", null);
+    return ["BEGIN:VTIMEZONE", `TZID:${dateTime.zoneName}`, ...observances, "END:VTIMEZONE"];
+}
+
+// The instants in `year` at which the zone's UTC offset changes, to the minute, with the offsets either side
+function offsetChanges(zone, year) {
+    const changes = [];
+    const end = Date.UTC(year + 1, 0, 1);
+    for (let day = Date.UTC(year, 0, 1); day < end; day += DAY_MS) {
+        let [low, high] = [day, day + DAY_MS];
+        if (zone.offset(low) === zone.offset(high)) {
+            continue;
+        }
+        while (high - low > MINUTE_MS) {
+            const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+            if (zone.offset(middle) === zone.offset(low)) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        changes.push({ at: high, from: zone.offset(low), to: zone.offset(high) });
+    }
+    return changes;
+}
+
+// The same weekday of the month in 1970, where VTIMEZONE rules conventionally start
+function firstOnset(local, nth) {
+    const month = local.set({ year: 1970, day: 1 });
+    const day = nth > 0
+        ? month.plus({ days: ((local.weekday - month.weekday + 7) % 7) + (nth - 1) * 7 })
+        : month.endOf("month").startOf("day").minus({ days: (month.endOf("month").weekday - local.weekday + 7) % 7 });
+    return day.set({ hour: local.hour, minute: local.minute, second: local.second });
+}
+
+// -300 → "-0500"
+function formatOffset(minutes) {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? "-" : "+"}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+}
+
+// The same event gets the same UID, so importing it twice updates it instead of duplicating it
+function eventUid(start, end, event) {
+    return createHash("sha1").update(`${start.toMillis()}|${end.toMillis()}|${event.title}`).digest("hex").slice(0, 20);
+}
+
+function utcStamp(dt) {
+    return dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+function escapeText(text) {
+    return text.replace(/([\\;,])/g, "\\$1").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on lines starting with a space
+function fold(line) {
+    const parts = [];
+    let current = "";
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = "";
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
@@ -0,0 +1,722 @@
+// lib/parse-human-date-time.js — Natural language date + time → zoned luxon DateTime
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { describeHumanTime, parseHumanTimeRange, resolveTimePeriods } from "./time-parser.js";
+import { resolveRelativeMonthDate } from "./relative-month.js";
+import { createBusinessCalendar, resolveBusinessDayDate } from "./business-days.js";
+import { getHolidayCalendar, resolveHolidayDate } from "./holidays.js";
+import { resolvePeriodDate } from "./periods.js";
+import { resolveDayRangeDate, splitDateRange } from "./date-ranges.js";
+import { MAX_OCCURRENCES, expandRecurrence, formatRecurrence, parseRecurrence } from "./recurrence.js";
+import { MAX_TEXT_LENGTH, extractDateTime } from "./free-text.js";
+import { assessParse } from "./confidence.js";
+import { localDateTime, parseDstPolicy } from "./dst.js";
+import { createOpeningHours } from "./business-hours.js";
+import { checkFreeBusy, createBusyList, parseFreeSlotCount } from "./free-busy.js";
+import { formatOutputs, parseEventDetails, parseOutputFormats } from "./output-formats.js";
+import { describeInZones, findTimeZoneName, parseAlsoIn, resolveTimeZone } from "./time-zones.js";
+import { chooseReferenceTime, describeReferenceTime, parseMaxClockSkew, parseReferenceTimePolicy } from "./reference-time.js";
+import {
+    checkPastDate, floatingPeriod, parseDirection, parseNextWeekdayMode, parsePastPolicy, pickByDirection, resolveNextWeekday
+} from "./direction.js";
+import { detectLocale, localizeDate, localizeTime, parseLocale, parseWithChrono } from "./locales.js";
+import { suggestDateRewrites, suggestTimeRewrites } from "./rewrites.js";
+import { expandVocabulary, parseVocabulary } from "./vocabulary.js";
+
+/**
+ * Resolvers tried in order before falling back to chrono. Each takes
+ * (humanDate, nowZoned, context) and returns the start of the resolved day
+ * as a DateTime — or `{ date, period: { start, end } }` when the expression
+ * denotes a span to pick a day from, or `{ date, end }` when it spans from
+ * `date` to `end` — or null when the expression is not one it handles.
+ * `context.calendar` is the request's working calendar, `context.holidays`
+ * its holiday calendar and `context.locale` its language code.
+ */
+const DATE_RESOLVERS = [
+    resolveRelativeMonthDate,
+    resolveDayRangeDate,
+    resolveBusinessDayDate,
+    resolveHolidayDate,
+    resolvePeriodDate
+];
+
+/**
+ * Convert a natural language date and time into a datetime in an IANA timezone.
+ *
+ * This is the single implementation shared by the Vercel handler, the dev
+ * server and the test script. It does no I/O and only reads the system clock
+ * when `now` is omitted or `referenceTimePolicy` asks for the server's.
+ *
+ * @param {object} input
+ * @param {string} [input.text]      A whole sentence ("can we do next monday around 10am?") to take the date
+ *                                   and time from, instead of `humanDate` and `humanTime`
+ * @param {string} input.humanDate   Natural language date like "next week monday", or a recurrence like "every other tuesday"
+ * @param {string} input.humanTime   Time like "2pm", "14:30", "quarter past 3" or "afternoon",
+ *                                   or an interval like "2-4pm" or "2pm for 90 minutes"; a zone after the
+ *                                   time ("3pm Eastern", "10:00 CET") replaces `timeZone`
+ * @param {string} input.timeZone    IANA timezone (e.g., "America/Chicago"), or an abbreviation, Windows zone name,
+ *                                   offset or city that resolves to one ("EST", "UTC-05:00", "Chicago")
+ * @param {string[]} [input.alsoIn]  More timezones to express the result in (see lib/time-zones.js)
+ * @param {string|Date|DateTime} [input.now]  Reference "current time"; ISO strings keep their offset
+ * @param {string} [input.referenceTimePolicy]  Whose clock `now` is: "client" (default), "server" or
+ *                                              "client-with-skew-check" (see lib/reference-time.js)
+ * @param {number} [input.maxClockSkewSeconds]  For "client-with-skew-check": how far `now` may be from the server's clock
+ * @param {string} [input.direction]  Which way a time alone, a bare weekday, a day of the month or a month and day resolve:
+ *                                    "future" (default), "past" or "nearest" (see lib/direction.js)
+ * @param {string} [input.nextWeekdayMode]  What "next friday" means: "next-week" (default) or "next-occurrence"
+ * @param {string} [input.pastPolicy]  A result before `now`: "warn" (default, DATE_IN_PAST) or "reject"
+ * @param {Object<string, string|{ date?: string|string[], time?: string }>} [input.vocabulary]
+ *        The caller's own phrases, expanded before anything else reads the inputs (see lib/vocabulary.js)
+ * @param {string} [input.vocabularyProfile]  A registered vocabulary to use, under `vocabulary`'s entries
+ * @param {Object<string, string>} [input.timePeriods]  Overrides for named periods, e.g. { morning: "8am" }
+ * @param {Array<string|number>|string} [input.workWeek]  Working weekdays for business-day math (default Mon–Fri)
+ * @param {string[]} [input.closureDates]  ISO dates the business is closed
+ * @param {string} [input.holidayCalendar]  Country holiday rules ("US", "UK", "CA") for holiday names and closures
+ * @param {number} [input.occurrences]  For recurring dates, how many upcoming occurrences to list (1–100)
+ * @param {string} [input.locale]  Language of the inputs: "en", "es", "de", "fr" or "pt" (region suffixes
+ *                                 like "pt-BR" are accepted); detected from the words used when omitted
+ * @param {Object<string, string|string[]>} [input.businessHours]  Opening hours per weekday, e.g. { "mon-fri": "9am-5pm" }
+ * @param {string[]} [input.blackoutDates]  ISO dates or intervals when nothing can be booked (see lib/business-hours.js)
+ * @param {boolean} [input.suggestSlots]  When the result is outside opening hours, suggest the nearest open slots
+ * @param {Array<string|{ start: string, end: string }>} [input.busy]  ISO intervals already taken (see lib/free-busy.js)
+ * @param {string} [input.icalendar]  An iCalendar document whose VEVENTs and VFREEBUSY periods are taken
+ * @param {number} [input.freeSlots]  With busy or icalendar, how many free slots of the same length to list (1–20)
+ * @param {string[]} [input.outputFormats]  Extra shapes of the result: "utc", "epoch", "rfc2822", "ics"… (see lib/output-formats.js)
+ * @param {{ title?: string, description?: string, location?: string }} [input.event]  For the calendar formats
+ * @param {string} [input.dstPolicy]  For times a daylight saving change skips or repeats:
+ *                                    "shift-forward" (default), "earlier", "later" or "reject" (see lib/dst.js)
+ * @returns {{ convertedDate: string, dateTime: DateTime, referenceTime: DateTime, timeZone: string, locale: string,
+ *            reference: { time: string, source: "client"|"server", policy: string, clockSkewSeconds?: number },
+ *            vocabulary: { profile: string|null, applied: object[] }|null,
+ *            timeZoneResolution: { input: string, timeZone: string, source: string, candidates?: string[] }|null,
+ *            namedTimeZone: { text: string, timeZone: string, candidates?: string[] }|null, period: { start: string, end: string }|null,
+ *            interval: { start: string, end: string, durationMinutes: number }|null,
+ *            recurrence: { dtstart: string, rrule: string, occurrences?: string[] }|null,
+ *            extracted: { humanDate: { text: string, index: number }|null, humanTime: { text: string, index: number } }|null,
+ *            availability: { open: boolean, reason: string|null, suggestions?: { before: string|null, after: string|null } }|null,
+ *            freeBusy: { conflict: boolean, conflicts: Array<{ start: string, end: string, summary?: string }>,
+ *                        freeSlots?: Array<{ start: string, end: string }> }|null,
+ *            formats: object|null,
+ *            alsoIn: Array<{ timeZone: string, convertedDate: string, end?: string, offset: string,
+ *                            abbreviation: string, dateDiffers: boolean }>|null,
+ *            dstAdjustments: Array<{ requested: string, transition: "gap"|"overlap", convertedDate: string }>,
+ *            assessment: { confidence: number, components: { certain: string[], implied: string[] },
+ *                          alternatives: object[], warnings: Array<{ code: string, message: string, suggestions?: string[] }> } }}
+ *          `timeZone` is the zone the result is in: the request's, or the one the time names (`namedTimeZone`);
+ *          `reference` is the reference time used and where it came from;
+ *          `vocabulary` is set when one was given: the phrases it replaced (see expandVocabulary());
+ *          `timeZoneResolution` is set when the request's `timeZone` was not written as the IANA zone it resolved to;
+ *          `locale` is the language the inputs were read in;
+ *          `period` is the range of days the date expression denotes ("early summer", "Q3"), when it denotes one;
+ *          `interval` is set when the inputs describe a span of time ("monday" + "2-4pm", "from the 3rd to the 5th");
+ *          `recurrence` is set for recurring dates, whose first occurrence is `convertedDate`;
+ *          `extracted` is set in `text` mode: the substrings used as the date and the time, with their offsets;
+ *          `availability` is set when `businessHours` or `blackoutDates` are: whether the result is bookable;
+ *          `freeBusy` is set when `busy` or `icalendar` are: the busy time the result overlaps, and free slots;
+ *          `alsoIn` is the result in the `alsoIn` zones, preceded by the request's when the time named another;
+ *          `formats` holds the requested `outputFormats`, keyed by name;
+ *          `dstAdjustments` lists the wall-clock times (start, end, occurrences) that fell in a daylight saving
+ *          gap or overlap, with the instant `dstPolicy` chose;
+ *          `assessment` says how sure the parse is (see lib/confidence.js)
+ * @throws {ParseDateError} when an input is missing, invalid or cannot be understood; errors reading the date or
+ *         the time carry the `field` and `span` read, and rewrites to retry with as `suggestions`
+ */
+export function parseHumanDateTime(input = {}) {
+    const vocabulary = parseVocabulary(input.vocabulary, input.vocabularyProfile);
+    if (!vocabulary) {
+        return { ...convertHumanDateTime(input), vocabulary: null };
+    }
+
+    // A phrase standing for several dates ("payday") gives a variant per date; `direction` picks among those that convert
+    const { variants, applied } = expandVocabulary(vocabulary, input);
+    const results = [];
+    let firstError = null;
+    for (const variant of variants) {
+        try {
+            results.push(convertHumanDateTime({ ...input, ...variant }));
+        } catch (error) {
+            if (!(error instanceof ParseDateError) || variants.length === 1) {
+                throw error;
+            }
+            firstError = firstError || error;
+        }
+    }
+    if (!results.length) {
+        throw firstError;
+    }
+    results.sort((a, b) => a.dateTime.toMillis() - b.dateTime.toMillis());
+    const result = pickByDirection(results, results[0].referenceTime, parseDirection(input.direction));
+    return { ...result, vocabulary: { profile: vocabulary.profile, applied } };
+}
+
+/**
+ * parseHumanDateTime() for inputs whose vocabulary has been expanded.
+ */
+function convertHumanDateTime({
+    text, humanDate, humanTime, timeZone, now, timePeriods, workWeek, closureDates, holidayCalendar, occurrences, dstPolicy, locale,
+    businessHours, blackoutDates, suggestSlots, busy, icalendar, freeSlots, outputFormats, event, alsoIn,
+    referenceTimePolicy, maxClockSkewSeconds, direction, nextWeekdayMode, pastPolicy
+} = {}) {
+    const textMode = text !== undefined && text !== null;
+    if (textMode) {
+        validateText(text, { humanDate, humanTime });
+    } else {
+        if (!humanDate || typeof humanDate !== "string") {
+            throw new ParseDateError(
+                "Missing or invalid 'humanDate' parameter",
+                "Please provide a natural language date request (e.g., 'next week monday')",
+                { code: "PARAMETER_INVALID", field: "humanDate" }
+            );
+        }
+
+        if (!humanTime || typeof humanTime !== "string") {
+            throw new ParseDateError(
+                "Missing or invalid 'humanTime' parameter",
+                "Please provide a time (e.g., '2pm', '14:30')",
+                { code: "PARAMETER_INVALID", field: "humanTime" }
+            );
+        }
+    }
+
+    // Errors reading the date or the time point at the field they came from, and the characters of it
+    let dateSource = !textMode && { field: "humanDate", span: { start: 0, end: humanDate.length } };
+    let timeSource = !textMode && { field: "humanTime", span: { start: 0, end: humanTime.length } };
+
+    const resolution = resolveTimeZone(timeZone);
+    timeZone = resolution.timeZone;
+
+    // "3pm Eastern": the named zone replaces the request's; in text mode it is blanked so offsets still hold
+    const requestedTimeZone = timeZone;
+    const namedTimeZone = findTimeZoneName(textMode ? text : humanTime);
+    if (namedTimeZone) {
+        const { text: zoneText, index } = namedTimeZone;
+        if (textMode) {
+            text = text.slice(0, index) + " ".repeat(zoneText.length) + text.slice(index + zoneText.length);
+        } else {
+            humanTime = (humanTime.slice(0, index) + humanTime.slice(index + zoneText.length)).replace(/\s+/g, " ").trim();
+        }
+        timeZone = namedTimeZone.timeZone;
+    }
+    const alsoInZones = [
+        ...(timeZone !== requestedTimeZone ? [requestedTimeZone] : []),
+        ...parseAlsoIn(alsoIn)
+    ];
+
+    const occurrenceCount = parseOccurrenceCount(occurrences);
+    const policy = parseDstPolicy(dstPolicy);
+    const resolveDirection = parseDirection(direction);
+    const pastDates = parsePastPolicy(pastPolicy, resolveDirection);
+    const language = parseLocale(locale) || detectLocale(textMode ? text : `${humanDate} ${humanTime}`);
+    const periods = resolveTimePeriods(timePeriods);
+    const holidays = getHolidayCalendar(holidayCalendar);
+    const calendar = createBusinessCalendar({ workWeek, closureDates, holidays });
+    const reference = chooseReferenceTime({
+        now,
+        policy: parseReferenceTimePolicy(referenceTimePolicy),
+        maxClockSkewSeconds: parseMaxClockSkew(maxClockSkewSeconds)
+    });
+    const nowZoned = reference.dateTime.setZone(timeZone);
+    const openingHours = createOpeningHours({ businessHours, blackoutDates, calendar, timeZone });
+    const busyList = createBusyList({ busy, icalendar, timeZone });
+    const freeSlotCount = parseFreeSlotCount(freeSlots);
+    const formatNames = parseOutputFormats(outputFormats);
+    const eventDetails = parseEventDetails(event);
+    const context = { calendar, holidays, locale: language, nextWeekdayMode: parseNextWeekdayMode(nextWeekdayMode) };
+    const recurrenceContext = {
+        calendar,
+        resolveDay: (phrase) => {
+            const day = resolveDateSide(phrase, nowZoned, context);
+            return day && nowZoned.set(dayOf(day));
+        }
+    };
+
+    let extracted = null;
+    let unusedText = [];
+    if (textMode) {
+        const { unused, ...mentions } = locating({ field: "text", span: null }, () => extractDateTime(text, {
+            periods,
+            locale: language,
+            isDate: (candidate) => {
+                const phrase = localizeDate(candidate, language);
+                try {
+                    return Boolean(parseRecurrence(phrase, nowZoned, recurrenceContext)
+                        || resolveDate(phrase, nowZoned, context, { exact: true }));
+                } catch (error) {
+                    // A complete expression that fails later (an unknown holiday) still counts
+                    return error instanceof ParseDateError && error.code !== "DATE_UNPARSEABLE";
+                }
+            }
+        }));
+        extracted = mentions;
+        unusedText = unused.map(({ text: phrase }) => phrase);
+        humanDate = extracted.humanDate && extracted.humanDate.text;
+        humanTime = extracted.humanTime.text;
+        dateSource = extracted.humanDate && { field: "text", span: spanOf(extracted.humanDate) };
+        timeSource = { field: "text", span: spanOf(extracted.humanTime) };
+    }
+
+    // Localized phrases are rewritten into ones the date pipeline and the time grammar read
+    const dateText = humanDate && localizeDate(humanDate, language);
+    const timeText = localizeTime(humanTime, language);
+
+    // Whether a rewrite of the date reads in full, or of the time at all; suggested when the input does not
+    const readsAsDate = (phrase) => {
+        const localized = localizeDate(phrase, language);
+        try {
+            if (parseRecurrence(localized, nowZoned, recurrenceContext)) {
+                return true;
+            }
+            const { chronoResults: results } = resolveDate(localized, nowZoned, context);
+            return !results || (results.length === 1 && coversWholeText(results[0], localized));
+        } catch (error) {
+            if (error instanceof ParseDateError) {
+                return false;
+            }
+            throw error;
+        }
+    };
+    const readsAsTime = (phrase) => {
+        try {
+            return Boolean(parseHumanTimeRange(localizeTime(phrase, language), { periods }));
+        } catch (error) {
+            if (error instanceof ParseDateError) {
+                return false;
+            }
+            throw error;
+        }
+    };
+    const dateRewrites = (code) => (!textMode && code === "DATE_UNPARSEABLE" ? suggestDateRewrites(humanDate, readsAsDate) : []);
+    const timeRewrites = (code) => (!textMode && ["TIME_UNPARSEABLE", "TIME_OUT_OF_RANGE"].includes(code)
+        ? suggestTimeRewrites(humanTime, Object.keys(periods), readsAsTime)
+        : []);
+
+    const { rule, start, end: endDate, period, chronoResults = null } = locating(dateSource, () => {
+        const recurring = dateText && parseRecurrence(dateText, nowZoned, recurrenceContext);
+        return recurring
+            ? { ...NO_DATE, rule: recurring }
+            : dateText
+                ? resolveDate(dateText, nowZoned, context)
+                : { ...NO_DATE, start: timeOnlyComponents(nowZoned) };
+    }, dateRewrites);
+    const { start: time, end: endTime, durationMinutes } = locating(timeSource, () => parseHumanTimeRange(timeText, { periods }), timeRewrites);
+
+    // Every wall-clock time goes through the DST policy; skipped or repeated ones are reported
+    const adjustments = [];
+    const atTime = (day, timeOfDay) => {
+        const fields = { ...day, hour: timeOfDay.hour, minute: timeOfDay.minute, second: timeOfDay.second };
+        const resolved = locating(timeSource, () => localDateTime(fields, timeZone, policy));
+        if (resolved.transition) {
+            adjustments.push({ ...resolved, requested: DateTime.fromObject(fields, { zone: "UTC" }).toFormat("yyyy-MM-dd'T'HH:mm:ss") });
+        }
+        return resolved.dateTime;
+    };
+
+    // A time alone, a bare weekday, a day of the month or a month and day move a period either way, as `direction` says
+    const directedDay = (components, chronoResult, timeOnly) => {
+        const day = dayOf(components);
+        const floatBy = floatingPeriod(components, chronoResult, timeOnly);
+        if (!floatBy) {
+            return { day, step: 0 };
+        }
+        const candidates = [-1, 0, 1].map((step) => {
+            const candidate = shiftDay(day, floatBy, step);
+            return { day: candidate, step, dateTime: localDateTime({ ...candidate, ...time }, timeZone, "shift-forward").dateTime };
+        });
+        return pickByDirection(candidates, nowZoned, resolveDirection);
+    };
+
+    let dt;
+    let upcoming = null;
+    let rolled = false;
+    if (rule) {
+        // The first occurrence (DTSTART) is the converted date
+        upcoming = locating(dateSource, () => expandRecurrence(rule, time, {
+            now: nowZoned,
+            limit: occurrenceCount || 1,
+            atTime: (day, timeOfDay) => atTime(dayOfDateTime(day), timeOfDay)
+        }));
+        dt = upcoming[0];
+    } else {
+        // Handle case where user only specified time (e.g., "2pm")
+        const onlyTimeSpecified = !start.isCertain("day") && !start.isCertain("month") && !start.isCertain("year")
+            && !start.isCertain("weekday");
+
+        const chosen = directedDay(start, chronoResults && chronoResults[0], onlyTimeSpecified);
+        rolled = onlyTimeSpecified && chosen.step === 1;
+
+        // Build the date object
+        dt = atTime(chosen.day, time);
+    }
+
+    // Ensure we have a valid date
+    if (!dt.isValid) {
+        throw new ParseDateError(
+            "Invalid date generated",
+            "Could not generate a valid date from the provided inputs",
+            { code: "DATE_INVALID", ...(dateSource || timeSource) }
+        );
+    }
+
+    if (!rule) {
+        locating(dateSource || timeSource, () => checkPastDate(dt, nowZoned, pastDates));
+    }
+
+    const end = locating(dateSource || timeSource, () => resolveEnd(dt, { endDate, endTime, durationMinutes, time, atTime }));
+    const convertedDate = dt.toISO({ suppressMilliseconds: true });
+    const availability = openingHours && checkAvailability(openingHours, dt, end, { now: nowZoned, suggestSlots });
+    const freeBusy = busyList && checkFreeBusy(busyList, dt, end, { now: nowZoned, freeSlots: freeSlotCount, openingHours });
+    const startAdjustment = adjustments.find((adjustment) => adjustment.dateTime.equals(dt)) || null;
+    // Further dates humanDate mentions, resolved as the first was; in the future direction, only those still ahead
+    const otherDates = (chronoResults || []).slice(1)
+        .map((result) => ({ text: result.text, dateTime: dt.set(directedDay(applyNextWeekdayMode(result, nowZoned, context).start, result, false).day) }))
+        .filter(({ dateTime }) => resolveDirection !== "future" || dateTime >= nowZoned);
+    const recurrence = rule ? {
+        ...formatRecurrence(rule, dt),
+        ...(occurrenceCount && { occurrences: upcoming.map((occurrence) => occurrence.toISO({ suppressMilliseconds: true })) })
+    } : null;
+
+    return {
+        convertedDate,
+        dateTime: dt,
+        referenceTime: nowZoned,
+        reference: describeReferenceTime(reference, nowZoned),
+        timeZone,
+        timeZoneResolution: resolution.timeZone !== resolution.input ? resolution : null,
+        namedTimeZone: namedTimeZone && {
+            text: namedTimeZone.text,
+            timeZone: namedTimeZone.timeZone,
+            ...(namedTimeZone.candidates && { candidates: namedTimeZone.candidates })
+        },
+        locale: language,
+        period: period && { start: period.start.toISODate(), end: period.end.toISODate() },
+        interval: end && {
+            start: dt.toISO({ suppressMilliseconds: true }),
+            end: end.toISO({ suppressMilliseconds: true }),
+            durationMinutes: Math.round(end.diff(dt, "minutes").minutes)
+        },
+        recurrence,
+        extracted,
+        availability,
+        freeBusy,
+        alsoIn: alsoInZones.length ? describeInZones(alsoInZones, dt, end) : null,
+        formats: formatOutputs(formatNames, { dateTime: dt, end, recurrence, event: eventDetails, now: nowZoned }),
+        dstAdjustments: adjustments.map(({ requested, transition, dateTime }) => ({
+            requested,
+            transition,
+            convertedDate: dateTime.toISO({ suppressMilliseconds: true })
+        })),
+        assessment: assessParse({
+            humanDate: dateText,
+            humanTime,
+            start,
+            chronoResults,
+            otherDates,
+            rewrites: !textMode && chronoResults && !coversWholeText(chronoResults[0], dateText)
+                ? suggestDateRewrites(humanDate, readsAsDate)
+                : [],
+            unusedText,
+            rolled,
+            recurring: Boolean(rule),
+            time,
+            timeDescription: describeHumanTime(timeText, { periods }),
+            dateTime: dt,
+            dstAdjustment: startAdjustment,
+            zoneAmbiguity: describeZoneAmbiguity(namedTimeZone || resolution),
+            clockSkewSeconds: reference.skewed ? reference.clockSkewSeconds : null,
+            pastExpected: resolveDirection === "past",
+            now: nowZoned
+        })
+    };
+}
+
+/**
+ * Run `read`, pointing a ParseDateError it throws at `source`, the input being read (see ParseDateError#locate).
+ */
+function locating(source, read, suggest) {
+    try {
+        return read();
+    } catch (error) {
+        if (error instanceof ParseDateError && source) {
+            error.locate(source.field, source.span, suggest);
+        }
+        throw error;
+    }
+}
+
+function spanOf({ text, index }) {
+    return { start: index, end: index + text.length };
+}
+
+// The zone the result is in, when it was written ambiguously ("CST", "3pm IST"); null otherwise
+function describeZoneAmbiguity(zone) {
+    return zone.candidates ? { text: zone.text || zone.input, candidates: zone.candidates } : null;
+}
+
+function validateText(text, { humanDate, humanTime }) {
+    if (typeof text !== "string" || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+        throw new ParseDateError(
+            "Missing or invalid 'text' parameter",
+            `Please provide a sentence of up to ${MAX_TEXT_LENGTH} characters (e.g., 'can we do next monday around 10am?')`,
+            { code: "PARAMETER_INVALID", field: "text" }
+        );
+    }
+    if (humanDate !== undefined || humanTime !== undefined) {
+        throw new ParseDateError(
+            "Conflicting parameters",
+            "Please provide either 'text' or 'humanDate' and 'humanTime', not both",
+            { code: "PARAMETERS_CONFLICT" }
+        );
+    }
+}
+
+const NO_DATE = { start: null, end: null, period: null };
+
+function parseOccurrenceCount(occurrences) {
+    if (occurrences === undefined || occurrences === null) {
+        return null;
+    }
+    if (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > MAX_OCCURRENCES) {
+        throw new ParseDateError(
+            "Invalid 'occurrences' parameter",
+            `Please provide the number of occurrences to list, from 1 to ${MAX_OCCURRENCES}`,
+            { code: "PARAMETER_INVALID", field: "occurrences" }
+        );
+    }
+    return occurrences;
+}
+
+/**
+ * Whether `dt` (to `end`) is within opening hours, with the nearest open slots when it isn't and they were asked for.
+ */
+function checkAvailability(openingHours, dt, end, { now, suggestSlots }) {
+    const { open, reason } = openingHours.check(dt, end);
+    if (open || !suggestSlots) {
+        return { open, reason };
+    }
+    const { before, after } = openingHours.suggest(dt, end, now);
+    return {
+        open,
+        reason,
+        suggestions: {
+            before: before && before.toISO({ suppressMilliseconds: true }),
+            after: after && after.toISO({ suppressMilliseconds: true })
+        }
+    };
+}
+
+/**
+ * End of the interval starting at `dt`, or null when the inputs describe a single instant.
+ * A time range with no end date whose end time is not after its start time runs past midnight ("10pm-2am").
+ * `atTime(day, time)` builds the end in the request's timezone.
+ */
+function resolveEnd(dt, { endDate, endTime, durationMinutes, time, atTime }) {
+    if (durationMinutes) {
+        return dt.plus({ minutes: durationMinutes });
+    }
+    if (!endDate && !endTime) {
+        return null;
+    }
+
+    let end;
+    if (endDate) {
+        end = atTime(dayOf(endDate), endTime || time);
+    } else {
+        const startDay = dayOfDateTime(dt);
+        end = atTime(secondsOf(endTime) > secondsOf(time) ? startDay : nextDay(startDay), endTime);
+    }
+    if (!end.isValid || end <= dt) {
+        throw new ParseDateError(
+            "Invalid date range",
+            "The range must end after it starts",
+            { code: "DATE_RANGE_INVALID" }
+        );
+    }
+    return end;
+}
+
+/**
+ * Resolve the date part to chrono-style components (`get`, `isCertain`) for
+ * its first day, plus its last day when it spans several ("monday to
+ * wednesday") and the range of days it denotes when a resolver reports one.
+ */
+function resolveDate(humanDate, nowZoned, context, { exact = false } = {}) {
+    const known = resolveKnownDate(humanDate, nowZoned, context);
+    if (known) {
+        return known;
+    }
+
+    // "from monday to wednesday", "between christmas and new year's day":
+    // the end is resolved relative to the start
+    for (const [from, to] of splitDateRange(humanDate)) {
+        const start = resolveDateSide(from, nowZoned, context);
+        const end = start && resolveDateSide(to, nowZoned.set(dayOf(start)), context);
+        if (end) {
+            return { start, end: laterDay(start, end, humanDate), period: null };
+        }
+    }
+
+    // Use chrono-node for all other date patterns
+    const dateResults = parseWithChrono(humanDate, nowZoned.toJSDate(), context.locale);
+    if (!dateResults.length) {
+        throw new ParseDateError(
+            "Could not parse the date",
+            "Unable to understand the date: " + humanDate,
+            { code: "DATE_UNPARSEABLE" }
+        );
+    }
+
+    // In a sentence a run only counts when chrono reads all of it as a day ("morning" alone is a time)
+    if (exact && !(coversWholeText(dateResults[0], humanDate) && namesDay(dateResults[0].start))) {
+        throw new ParseDateError(
+            "Could not parse the date",
+            "Unable to understand the date: " + humanDate,
+            { code: "DATE_UNPARSEABLE" }
+        );
+    }
+
+    const { start, end } = applyNextWeekdayMode(dateResults[0], nowZoned, context);
+    return { start, end: end && laterDay(start, end, humanDate), period: null, chronoResults: dateResults };
+}
+
+/**
+ * Dates we resolve ourselves; null when chrono should have a go.
+ */
+function resolveKnownDate(humanDate, nowZoned, context) {
+    // Handle problematic cases manually for predictable behavior
+    const humanDateLower = humanDate.trim().toLowerCase();
+    if (humanDateLower === "tomorrow") {
+        // Manually calculate tomorrow based on client's current time
+        return { start: fixedComponents(nowZoned.plus({ days: 1 })), end: null, period: null };
+    }
+    if (humanDateLower === "today") {
+        // Manually handle "today" to ensure it uses the client's current date
+        // This prevents issues where chrono might interpret "today" differently
+        return { start: fixedComponents(nowZoned.startOf("day")), end: null, period: null };
+    }
+
+    // Expressions chrono gets wrong or doesn't know
+    for (const resolver of DATE_RESOLVERS) {
+        const resolved = resolver(humanDate, nowZoned, context);
+        if (DateTime.isDateTime(resolved)) {
+            return { start: fixedComponents(resolved), end: null, period: null };
+        }
+        if (resolved) {
+            return {
+                start: fixedComponents(resolved.date),
+                end: resolved.end ? fixedComponents(resolved.end) : null,
+                period: resolved.period || null
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * One side of a date range: our own expressions, or chrono when it reads the whole text.
+ */
+function resolveDateSide(text, now, context) {
+    const known = resolveKnownDate(text, now, context);
+    if (known) {
+        return known.start;
+    }
+    const [result] = parseWithChrono(text, now.toJSDate(), context.locale);
+    return result && coversWholeText(result, text) ? applyNextWeekdayMode(result, now, context).start : null;
+}
+
+/**
+ * Move "next <weekday>" to the day `context.nextWeekdayMode` gives it; its day stays implied, as chrono left it.
+ */
+function applyNextWeekdayMode(result, now, context) {
+    const day = resolveNextWeekday(result, now, context.nextWeekdayMode);
+    if (day) {
+        result.start.imply("year", day.year).imply("month", day.month).imply("day", day.day);
+    }
+    return result;
+}
+
+function coversWholeText(result, text) {
+    return result.index === 0 && result.text.length === text.trim().length;
+}
+
+function namesDay(components) {
+    return ["day", "weekday", "month", "year"].some((field) => components.isCertain(field));
+}
+
+/**
+ * `end` when it falls on a later day than `start`, null when on the same day
+ * (chrono reports an end for "monday 2-4pm"; the times come from humanTime).
+ * @throws {ParseDateError} when the range ends before it starts
+ */
+function laterDay(start, end, humanDate) {
+    const first = DateTime.fromObject(dayOf(start));
+    const last = DateTime.fromObject(dayOf(end));
+    if (last < first) {
+        throw new ParseDateError(
+            "Invalid date range",
+            `'${humanDate}' ends before it starts`,
+            { code: "DATE_RANGE_INVALID" }
+        );
+    }
+    return last > first ? end : null;
+}
+
+// `day` moved by `period` times `step`
+function shiftDay(day, period, step) {
+    const by = (times) => Object.fromEntries(Object.entries(period).map(([unit, count]) => [unit, count * times]));
+    if (!period.months && !period.years) {
+        const shifted = DateTime.fromObject(day).plus(by(step));
+        return { year: shifted.year, month: shifted.month, day: shifted.day };
+    }
+    // A month (or year) without the day, "the 31st" or "february 29", is passed over for the next one with it
+    for (let times = step; ; times += Math.sign(step)) {
+        const month = DateTime.fromObject({ ...day, day: 1 }).plus(by(times));
+        if (day.day <= month.daysInMonth) {
+            return { year: month.year, month: month.month, day: day.day };
+        }
+    }
+}
+
+function dayOf(components) {
+    return { year: components.get("year"), month: components.get("month"), day: components.get("day") };
+}
+
+function dayOfDateTime({ year, month, day }) {
+    return { year, month, day };
+}
+
+function nextDay(day) {
+    return dayOfDateTime(DateTime.utc(day.year, day.month, day.day).plus({ days: 1 }));
+}
+
+function secondsOf({ hour, minute, second = 0 }) {
+    return hour * 3600 + minute * 60 + second;
+}
+
+/**
+ * Components for a sentence that names only a time: today, rolling over to
+ * tomorrow once the time has passed (like chrono's result for "2pm").
+ */
+function timeOnlyComponents(nowZoned) {
+    return { ...fixedComponents(nowZoned), isCertain: () => false };
+}
+
+/**
+ * Wrap a luxon DateTime in the subset of chrono's ParsingComponents we use.
+ */
+function fixedComponents(dt) {
+    return {
+        get: (field) => {
+            switch (field) {
+                case "year": return dt.year;
+                case "month": return dt.month;
+                case "day": return dt.day;
+                case "hour": return dt.hour;
+                case "minute": return dt.minute;
+                case "second": return dt.second;
+                default: return 0;
+            }
+        },
+        isCertain: () => true
+    };
+}
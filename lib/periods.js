@@ -0,0 +1,245 @@
+// lib/periods.js — Seasons, quarters and part-of-period date expressions
+import { normalizeDateText, monthStart } from "./relative-month.js";
+import { workWeekRange } from "./business-days.js";
+
+/*
+ * Supported expressions:
+ *   seasons   "spring", "next summer", "winter 2026", "early summer", "late fall", "mid-autumn"
+ *   quarters  "Q3", "q1 2026", "third quarter", "next quarter", "beginning of Q3", "end of next quarter"
+ *   parts     "mid-month", "mid next month", "middle of june", "early next month", "late june",
+ *             "end of next week", "beginning of next week", "mid next week",
+ *             "end of the year", "early next year", "mid 2026"
+ *
+ * Each resolves to a concrete anchor day plus the range the expression denotes:
+ *   - a period is split in thirds: "beginning of"/"early" is the first third,
+ *     "mid"/"middle of" the second, "end of"/"late" the last third;
+ *   - "beginning of"/"early"/"late" anchor on the first business day of their
+ *     third, "mid" on the middle day (the 15th for months), "end of" on the
+ *     last business day of the period; a bare season or quarter anchors on
+ *     its first business day;
+ *   - when the anchor has passed but its range is still under way, the anchor
+ *     moves to today (or the next business day).
+ *
+ * Weeks are work weeks (see `workWeek`). Seasons are meteorological and
+ * follow the hemisphere of the request's `timeZone`:
+ *   northern: spring Mar–May, summer Jun–Aug, autumn Sep–Nov, winter Dec–Feb
+ *   southern: spring Sep–Nov, summer Dec–Feb, autumn Mar–May, winter Jun–Aug
+ * A season is named by the year it starts in ("winter 2026" is Dec 2026 – Feb 2027).
+ * A bare season or quarter means the one under way, else the next one.
+ */
+
+const SEASON_START_MONTHS = { spring: 3, summer: 6, autumn: 9, fall: 9, winter: 12 };
+
+const QUARTER_WORDS = { first: 1, "1st": 1, second: 2, "2nd": 2, third: 3, "3rd": 3, fourth: 4, "4th": 4 };
+
+const PARTS = {
+    beginning: "start", start: "start", early: "start",
+    mid: "mid", middle: "mid",
+    end: "end", late: "late"
+};
+
+// IANA zones south of the equator (prefix match on "Area/" or exact name)
+const SOUTHERN_ZONES = [
+    "Australia/", "Antarctica/", "America/Argentina/", "America/Buenos_Aires", "America/Santiago",
+    "America/Sao_Paulo", "America/Montevideo", "America/Asuncion", "America/La_Paz", "America/Lima",
+    "America/Punta_Arenas", "America/Campo_Grande", "America/Cuiaba", "America/Porto_Velho",
+    "Africa/Johannesburg", "Africa/Maputo", "Africa/Harare", "Africa/Windhoek", "Africa/Gaborone",
+    "Africa/Maseru", "Africa/Mbabane", "Africa/Lusaka", "Africa/Lubumbashi", "Africa/Blantyre",
+    "Indian/Antananarivo", "Indian/Mauritius", "Indian/Reunion", "Pacific/Auckland",
+    "Pacific/Chatham", "Pacific/Fiji", "Pacific/Tongatapu", "Pacific/Apia", "Pacific/Noumea",
+    "Pacific/Efate", "Pacific/Rarotonga", "Pacific/Tahiti", "Pacific/Easter", "Atlantic/Stanley",
+    "Asia/Jakarta", "Asia/Dili", "NZ", "Chile/", "Brazil/East"
+];
+
+/**
+ * Whether a timezone lies in the southern hemisphere (for season names).
+ */
+export function isSouthernHemisphere(timeZone) {
+    return SOUTHERN_ZONES.some((zone) => zone.endsWith("/") ? timeZone.startsWith(zone) : timeZone === zone);
+}
+
+/**
+ * Resolve a season, quarter or part-of-period expression.
+ *
+ * @param {string} humanDate
+ * @param {DateTime} now  Reference time, already in the request's timezone
+ * @param {{ calendar: object }} context  `calendar` from createBusinessCalendar()
+ * @returns {{ date: DateTime, period: { start: DateTime, end: DateTime } }|null}
+ */
+export function resolvePeriodDate(humanDate, now, { calendar }) {
+    const text = normalizeDateText(humanDate);
+    const today = now.startOf("day");
+
+    const partMatch = text.match(/^(beginning|start|early|mid|middle|end|late)(?:\s+of)?[\s-]+(?:the\s+)?(.+)$/);
+    const part = partMatch ? PARTS[partMatch[1]] : null;
+    const reference = partMatch ? partMatch[2] : text;
+
+    // Bare weeks, months and years are left to chrono
+    const period = findPeriod(reference, today, { calendar, part });
+    if (!period) {
+        return null;
+    }
+
+    const range = part ? partOfPeriod(period, part) : period;
+    let date = anchorDay(period, range, part, calendar);
+
+    if (date < today && range.end >= today) {
+        date = snapForward(today, range.end, calendar);
+    }
+
+    return { date, period: range };
+}
+
+function findPeriod(reference, today, { calendar, part }) {
+    return seasonPeriod(reference, today, part)
+        || quarterPeriod(reference, today, part)
+        || (part && (weekPeriod(reference, today, calendar) || monthPeriod(reference, today, part) || yearPeriod(reference, today)))
+        || null;
+}
+
+function seasonPeriod(reference, today, part) {
+    const match = reference.match(/^(?:(this|next|last)\s+)?(spring|summer|autumn|fall|winter)(?:\s+(?:of\s+)?(\d{4}))?$/);
+    if (!match) {
+        return null;
+    }
+    const [, modifier, season, year] = match;
+
+    let startMonth = SEASON_START_MONTHS[season];
+    if (isSouthernHemisphere(today.zoneName)) {
+        startMonth = ((startMonth + 5) % 12) + 1;
+    }
+    const occurrence = (y) => {
+        const start = today.set({ year: y, month: startMonth, day: 1 });
+        return { start, end: start.plus({ months: 3 }).minus({ days: 1 }) };
+    };
+
+    return year ? occurrence(Number(year)) : pickOccurrence(occurrence, modifier, today, part);
+}
+
+function quarterPeriod(reference, today, part) {
+    const occurrence = (quarter) => (y) => {
+        const start = today.set({ year: y, month: (quarter - 1) * 3 + 1, day: 1 });
+        return { start, end: start.plus({ months: 3 }).minus({ days: 1 }) };
+    };
+
+    let match = reference.match(/^(?:(this|next|last)\s+)?(?:q([1-4])|(first|second|third|fourth|1st|2nd|3rd|4th)\s+quarter)(?:\s+(?:of\s+)?(\d{4}))?$/);
+    if (match) {
+        const [, modifier, digit, word, year] = match;
+        const quarter = digit ? Number(digit) : QUARTER_WORDS[word];
+        return year ? occurrence(quarter)(Number(year)) : pickOccurrence(occurrence(quarter), modifier, today, part);
+    }
+
+    match = reference.match(/^(this|next|last|current|previous)\s+quarter$/);
+    if (match) {
+        const current = Math.ceil(today.month / 3);
+        const start = occurrence(current)(today.year).start
+            .plus({ months: { next: 3, last: -3, previous: -3 }[match[1]] || 0 });
+        return { start, end: start.plus({ months: 3 }).minus({ days: 1 }) };
+    }
+
+    return null;
+}
+
+function weekPeriod(reference, today, calendar) {
+    const offsets = { week: 0, "this week": 0, "next week": 1, "last week": -1, "previous week": -1, "week after next": 2 };
+    if (!Object.hasOwn(offsets, reference)) {
+        return null;
+    }
+    return workWeekRange(today.plus({ weeks: offsets[reference] }), calendar);
+}
+
+function monthPeriod(reference, today, part) {
+    const start = monthStart(reference, today);
+    if (!start) {
+        return null;
+    }
+    const period = { start, end: start.endOf("month").startOf("day") };
+
+    // "early august" said on August 19th means next August
+    if (/^[a-z]+$/.test(reference) && reference !== "month" && partOfPeriod(period, part).end < today) {
+        const next = start.plus({ years: 1 });
+        return { start: next, end: next.endOf("month").startOf("day") };
+    }
+    return period;
+}
+
+function yearPeriod(reference, today) {
+    const offsets = { year: 0, "this year": 0, "next year": 1, "last year": -1 };
+    let year = null;
+    if (Object.hasOwn(offsets, reference)) {
+        year = today.year + offsets[reference];
+    } else if (/^\d{4}$/.test(reference)) {
+        year = Number(reference);
+    }
+    if (year === null) {
+        return null;
+    }
+    const start = today.set({ year, month: 1, day: 1 });
+    return { start, end: start.endOf("year").startOf("day") };
+}
+
+/**
+ * For yearly-repeating periods: "this"/bare = under way or next, "next" = next
+ * to start after today, "last" = most recent to have ended. A bare "early
+ * summer" skips to next year once this year's early summer is over.
+ */
+function pickOccurrence(occurrence, modifier, today, part) {
+    const candidates = [-1, 0, 1, 2].map((offset) => occurrence(today.year + offset));
+    if (modifier === "next") {
+        return candidates.find(({ start }) => start > today);
+    }
+    if (modifier === "last") {
+        return candidates.filter(({ end }) => end < today).pop();
+    }
+    if (modifier === "this") {
+        return candidates.find(({ end }) => end >= today);
+    }
+    return candidates.find((candidate) => (part ? partOfPeriod(candidate, part) : candidate).end >= today);
+}
+
+function partOfPeriod({ start, end }, part) {
+    const length = Math.round(end.diff(start, "days").days) + 1;
+    const third = Math.max(1, Math.round(length / 3));
+
+    if (part === "start") {
+        return { start, end: start.plus({ days: third - 1 }) };
+    }
+    if (part === "mid") {
+        return { start: start.plus({ days: third }), end: start.plus({ days: Math.min(2 * third, length) - 1 }) };
+    }
+    return { start: start.plus({ days: Math.min(2 * third, length - 1) }), end };
+}
+
+function anchorDay(period, range, part, calendar) {
+    if (part === "end") {
+        return snapBackward(period.end, range.start, calendar);
+    }
+    if (part === "mid") {
+        const isMonth = period.start.day === 1 && period.end.hasSame(period.start, "month") && period.end.plus({ days: 1 }).day === 1;
+        const middle = isMonth
+            ? period.start.set({ day: 15 })
+            : period.start.plus({ days: Math.floor(Math.round(period.end.diff(period.start, "days").days) / 2) });
+        return snapForward(middle, range.end, calendar);
+    }
+    return snapForward(range.start, range.end, calendar);
+}
+
+// First business day in [day, limit], or `day` itself if there is none
+function snapForward(day, limit, calendar) {
+    for (let d = day; d <= limit; d = d.plus({ days: 1 })) {
+        if (calendar.isBusinessDay(d)) {
+            return d;
+        }
+    }
+    return day;
+}
+
+// Last business day in [limit, day], or `day` itself if there is none
+function snapBackward(day, limit, calendar) {
+    for (let d = day; d >= limit; d = d.minus({ days: 1 })) {
+        if (calendar.isBusinessDay(d)) {
+            return d;
+        }
+    }
+    return day;
+}
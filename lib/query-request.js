@@ -0,0 +1,130 @@
+// lib/query-request.js — GET query strings → request bodies, and responses as one plain-text or CSV value
+import { ParseDateError } from "./errors.js";
+
+/*
+ * GET /api/parse-date takes the POST body's fields as query parameters:
+ *   strings    as they are                        humanDate=next%20friday
+ *   numbers    occurrences, freeSlots, maxClockSkewSeconds
+ *   booleans   suggestSlots: "true"/"false" (or "1"/"0")
+ *   lists      repeated, or separated by commas   alsoIn=Europe/London,Asia/Tokyo
+ *              (a JSON array for busy's { start, end, summary } objects)
+ *   objects    JSON                               vocabulary={"after%20lunch":"1:30pm"}
+ * Unknown parameters are ignored, as unknown body fields are.
+ *
+ * `format` picks the response, for either method:
+ *   json  the usual body (the default)
+ *   text  convertedDate alone, as text/plain, for a spreadsheet cell or a chat reply
+ *   csv   the same as a one-cell text/csv document, for IMPORTDATA and the like
+ * In text and CSV an error is "ERROR <code>: <message>", with the usual status.
+ */
+
+export const RESPONSE_FORMATS = ["json", "text", "csv"];
+
+const NUMBER_PARAMETERS = ["occurrences", "freeSlots", "maxClockSkewSeconds"];
+
+const BOOLEAN_PARAMETERS = ["suggestSlots"];
+
+const LIST_PARAMETERS = ["alsoIn", "outputFormats", "closureDates", "blackoutDates", "busy"];
+
+const OBJECT_PARAMETERS = ["timePeriods", "businessHours", "event", "vocabulary"];
+
+const STRING_PARAMETERS = [
+    "text", "humanDate", "humanTime", "timeZone", "clientCurrentTime", "referenceTimePolicy", "workWeek",
+    "holidayCalendar", "dstPolicy", "direction", "nextWeekdayMode", "pastPolicy", "locale", "icalendar", "vocabularyProfile"
+];
+
+/**
+ * The request body a query string stands for.
+ *
+ * @param {Object<string, string|string[]>} query  as parsed by the platform; repeated parameters are arrays
+ * @returns {object}  the body, as for POST
+ * @throws {ParseDateError} when a parameter that takes one value is repeated, or an object is not JSON
+ */
+export function requestFromQuery(query) {
+    const body = {};
+    for (const [name, value] of Object.entries(query || {})) {
+        const values = Array.isArray(value) ? value : [value];
+        if (LIST_PARAMETERS.includes(name)) {
+            body[name] = values.flatMap((item) => (item.trim().startsWith("[") ? parseJson(name, item) : splitList(item)));
+            continue;
+        }
+        if (![...STRING_PARAMETERS, ...NUMBER_PARAMETERS, ...BOOLEAN_PARAMETERS, ...OBJECT_PARAMETERS].includes(name)) {
+            continue;
+        }
+        if (values.length > 1) {
+            throw new ParseDateError(
+                `Invalid '${name}' parameter`,
+                `Please give '${name}' once`,
+                { code: "PARAMETER_INVALID", field: name }
+            );
+        }
+        body[name] = readValue(name, values[0]);
+    }
+    return body;
+}
+
+// Numbers and booleans that don't read as one are passed on as text, for validation to turn down
+function readValue(name, value) {
+    if (NUMBER_PARAMETERS.includes(name)) {
+        return /^-?\d+(?:\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+    }
+    if (BOOLEAN_PARAMETERS.includes(name)) {
+        return { true: true, 1: true, false: false, 0: false }[value.trim().toLowerCase()] ?? value;
+    }
+    if (OBJECT_PARAMETERS.includes(name)) {
+        return parseJson(name, value);
+    }
+    return value;
+}
+
+function splitList(value) {
+    return value.split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+function parseJson(name, value) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new ParseDateError(
+            `Invalid '${name}' parameter`,
+            `Please give '${name}' as JSON in the query string`,
+            { code: "PARAMETER_INVALID", field: name }
+        );
+    }
+}
+
+/**
+ * Validate `format`, defaulting to "json".
+ */
+export function parseResponseFormat(format) {
+    if (format === undefined || format === null || format === "") {
+        return "json";
+    }
+    if (!RESPONSE_FORMATS.includes(format)) {
+        throw new ParseDateError(
+            "Invalid 'format' parameter",
+            `Please provide one of: ${RESPONSE_FORMATS.map((name) => `'${name}'`).join(", ")}`,
+            { code: "PARAMETER_INVALID", field: "format" }
+        );
+    }
+    return format;
+}
+
+/**
+ * A response body in a text `format`.
+ *
+ * @param {string} format  "text" or "csv"
+ * @param {{ convertedDate?: string, code?: string, message?: string }} body  a response, or an error's toJSON()
+ * @returns {{ contentType: string, content: string }}
+ */
+export function formatTextResponse(format, body) {
+    const value = body.convertedDate !== undefined ? body.convertedDate : `ERROR ${body.code}: ${body.message}`;
+    if (format === "csv") {
+        return { contentType: "text/csv; charset=utf-8", content: `${csvField(value)}\r\n` };
+    }
+    return { contentType: "text/plain; charset=utf-8", content: value };
+}
+
+function csvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+}
@@ -0,0 +1,389 @@
+// lib/recurrence.js — Recurring date expressions → RFC 5545 RRULE and occurrences
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { DAY_ORDINAL, MONTH_NAMES, WEEKDAY_NAMES, monthStart, normalizeDateText, parseDayOrdinal } from "./relative-month.js";
+
+/*
+ * Supported expressions:
+ *   daily      "every day", "daily", "every other day", "every 3 days"
+ *   weekly     "every tuesday", "every other tuesday", "mondays and wednesdays",
+ *              "every mon, wed and fri", "every weekday", "every weekend", "weekly",
+ *              "every 2 weeks on tuesday and thursday"
+ *   monthly    "first monday of each month", "every last friday of the month",
+ *              "monthly on the 15th", "the 1st of every month", "last day of each month",
+ *              "every other month on the 2nd tuesday"
+ *   yearly     "every year on march 3", "every march 3rd", "annually", "every 3rd of march"
+ * followed by optional bounds, in this order:
+ *   "starting next month" / "from september 1", "until december 31", "10 times" / "for 3 weeks"
+ * A month as a bound means its first day when starting, its last day for "until".
+ * A length becomes a count of the occurrences it spans in the rule's own unit:
+ * "every monday for 3 weeks" is 3 times, "every other day for 2 weeks" 7 times.
+ * Intervals and counts start at 1; "every 0 days" and "0 times" never repeat.
+ *
+ * "every weekday" follows `workWeek`. Weeks start on Monday (WKST=MO). The
+ * first occurrence (DTSTART) is the first matching day at or after now (or the
+ * "starting" day) whose time hasn't passed; "every other …" counts from it.
+ * Occurrences keep their wall-clock time across daylight-saving changes, and
+ * days that don't exist in a month (the 31st) are skipped, as RFC 5545 does.
+ */
+
+export const MAX_OCCURRENCES = 100;
+
+export const RRULE_DAYS = { 1: "MO", 2: "TU", 3: "WE", 4: "TH", 5: "FR", 6: "SA", 7: "SU" };
+
+const INTERVAL_WORDS = {
+    other: 2, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6,
+    two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12
+};
+
+const COUNT_WORDS = { once: 1, twice: 2, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+
+const LENGTH_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+
+// The units a length may be given in for each frequency, in that frequency's own unit
+const LENGTH_UNITS = { DAILY: { day: 1, week: 7 }, WEEKLY: { week: 1 }, MONTHLY: { month: 1, year: 12 }, YEARLY: { year: 1 } };
+
+const FREQUENCIES = { day: "DAILY", week: "WEEKLY", month: "MONTHLY", year: "YEARLY" };
+const ADVERBS = { daily: "DAILY", weekly: "WEEKLY", monthly: "MONTHLY", yearly: "YEARLY", annually: "YEARLY" };
+
+const EVERY = "(?:every|each)";
+const INTERVAL = `(other|\\d{1,2}(?:st|nd|rd|th)?|${Object.keys(INTERVAL_WORDS).join("|")})`;
+const WEEK_ORDINAL = "(\\d(?:st|nd|rd|th)|first|second|third|fourth|fifth|last)";
+const MONTH = `(${Object.keys(MONTH_NAMES).sort((a, b) => b.length - a.length).join("|")})`;
+const WEEKDAY_LIST = "([a-z]+(?:\\s*(?:,|and|&|\\/)\\s*[a-z]+)*)";
+const OF_EACH_MONTH = `(?:of|in)\\s+(?:each|every|the)\\s+month`;
+
+/**
+ * Parse a recurring date expression.
+ *
+ * @param {string} humanDate
+ * @param {DateTime} now  Reference time, already in the request's timezone
+ * @param {object} context
+ * @param {{ workWeek: number[] }} context.calendar  `calendar` from createBusinessCalendar()
+ * @param {(text: string) => DateTime|null} context.resolveDay  Resolves a "starting …"/"until …" date to its day
+ * @returns {object|null} the rule, or null when the expression doesn't recur
+ * @throws {ParseDateError} when a bound is not understood, or the rule never repeats
+ */
+export function parseRecurrence(humanDate, now, { calendar, resolveDay }) {
+    let text = normalizeDateText(humanDate);
+    let count = null;
+    let length = null;
+    let until = null;
+    let from = null;
+
+    let match = text.match(new RegExp(`^(.+?),?\\s+(?:(\\d{1,3}|${Object.keys(COUNT_WORDS).join("|")})\\s+times|(once|twice))$`));
+    if (match) {
+        const token = match[2] || match[3];
+        count = Object.hasOwn(COUNT_WORDS, token) ? COUNT_WORDS[token] : Number(token);
+        text = match[1];
+    } else if ((match = text.match(new RegExp(`^(.+?),?\\s+for\\s+(\\d{1,3}|${Object.keys(LENGTH_WORDS).join("|")})\\s+(day|week|month|year)s?$`)))) {
+        length = { amount: Object.hasOwn(LENGTH_WORDS, match[2]) ? LENGTH_WORDS[match[2]] : Number(match[2]), unit: match[3] };
+        text = match[1];
+    }
+    match = text.match(/^(.+?),?\s+(?:until|till|through|ending(?:\s+on)?)\s+(.+)$/);
+    if (match) {
+        until = match[2];
+        text = match[1];
+    }
+    match = text.match(/^(.+?),?\s+(?:starting|beginning|from|as of)(?:\s+on)?\s+(.+)$/);
+    if (match) {
+        from = match[2];
+        text = match[1];
+    }
+
+    const rule = parseRule(text, calendar);
+    if (!rule) {
+        return null;
+    }
+    if (length) {
+        count = countOver(rule, length);
+    }
+    if (count === 0) {
+        throw new ParseDateError(
+            "Invalid recurrence",
+            "A recurrence has to happen at least once: " + humanDate,
+            { code: "RECURRENCE_INVALID" }
+        );
+    }
+
+    const bound = (phrase, edge) => {
+        const month = monthStart(phrase, now);
+        if (month) {
+            return edge === "start" ? month : month.endOf("month").startOf("day");
+        }
+        const day = resolveDay(phrase);
+        if (!day) {
+            throw new ParseDateError(
+                "Could not parse the date",
+                "Unable to understand the date: " + phrase,
+                { code: "DATE_UNPARSEABLE" }
+            );
+        }
+        return day.startOf("day");
+    };
+
+    return {
+        ...rule,
+        count,
+        until: until ? bound(until, "end") : null,
+        from: from ? bound(from, "start") : now.startOf("day")
+    };
+}
+
+/**
+ * The first `limit` occurrences of `rule` at `time` of day, starting with the
+ * first one at or after `now` (DTSTART).
+ *
+ * @param {object} rule  from parseRecurrence()
+ * @param {{ hour: number, minute: number, second: number }} time
+ * @param {{ now: DateTime, limit: number, atTime?: (day: DateTime, time: object) => DateTime }} options
+ *        `atTime` builds each listed occurrence, e.g. to apply a daylight saving policy
+ * @returns {DateTime[]}
+ * @throws {ParseDateError} when the rule has no occurrence after now
+ */
+export function expandRecurrence(rule, time, { now, limit, atTime = null }) {
+    const zone = now.zone;
+    const max = rule.count ? Math.min(rule.count, limit) : limit;
+    // Room for a yearly February 29th
+    const searchDays = 366 * rule.interval * (max + 4);
+    const occurrences = [];
+    let anchor = null;
+    let constraints = rule;
+
+    let day = rule.from > now.startOf("day") ? rule.from : now.startOf("day");
+    for (let i = 0; i <= searchDays && occurrences.length < max; i++, day = day.plus({ days: 1 })) {
+        if (rule.until && day > rule.until) {
+            break;
+        }
+        if (!matchesDay(day, constraints) || (anchor && !onInterval(day, anchor, rule))) {
+            continue;
+        }
+        const occurrence = DateTime.fromObject({ year: day.year, month: day.month, day: day.day, ...time }, { zone });
+        if (occurrence < now) {
+            continue;
+        }
+        if (!anchor) {
+            anchor = day;
+            constraints = withImpliedConstraints(rule, day);
+        }
+        occurrences.push(atTime ? atTime(day, time) : occurrence);
+    }
+
+    if (!occurrences.length) {
+        throw new ParseDateError(
+            "Invalid recurrence",
+            "The recurrence has no occurrences after the current time",
+            { code: "RECURRENCE_INVALID" }
+        );
+    }
+    return occurrences;
+}
+
+/**
+ * RFC 5545 DTSTART and RRULE lines for `rule` starting at `dtstart`.
+ */
+export function formatRecurrence(rule, dtstart) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byMonth) {
+        parts.push(`BYMONTH=${rule.byMonth}`);
+    }
+    if (rule.byMonthDay) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    }
+    if (rule.byWeekday) {
+        parts.push(`BYDAY=${rule.byWeekday.map((d) => RRULE_DAYS[d]).join(",")}`);
+    }
+    if (rule.byNthWeekday) {
+        parts.push(`BYDAY=${rule.byNthWeekday.nth}${RRULE_DAYS[rule.byNthWeekday.weekday]}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+    if (rule.until) {
+        // UNTIL must be UTC when DTSTART has a TZID; the whole last day is included
+        parts.push(`UNTIL=${rule.until.endOf("day").toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'")}`);
+    }
+
+    return {
+        dtstart: `DTSTART;TZID=${dtstart.zoneName}:${dtstart.toFormat("yyyyMMdd'T'HHmmss")}`,
+        rrule: `RRULE:${parts.join(";")}`
+    };
+}
+
+function parseRule(text, calendar) {
+    const base = { interval: 1, byWeekday: null, byNthWeekday: null, byMonthDay: null, byMonth: null };
+    let match;
+
+    // "daily", "weekly", "annually"
+    if (Object.hasOwn(ADVERBS, text)) {
+        return { ...base, freq: ADVERBS[text] };
+    }
+
+    // "every weekday", "weekdays", "every weekend"
+    if (new RegExp(`^(?:${EVERY}\\s+)?(?:weekday|work\\s*day|working day|business day)s?$`).test(text)
+        && (text.startsWith("every") || text.startsWith("each") || text.endsWith("s"))) {
+        return { ...base, freq: "WEEKLY", byWeekday: [...calendar.workWeek] };
+    }
+    if (new RegExp(`^${EVERY}\\s+weekend$|^weekends$`).test(text)) {
+        return { ...base, freq: "WEEKLY", byWeekday: [6, 7] };
+    }
+
+    // "every day", "every other week", "every 3 months", "every 2 weeks on tuesday", "every month on the 15th"
+    // (yearly dates are matched further down)
+    match = text.match(new RegExp(`^(?:${EVERY}|(weekly|monthly))(?:\\s+${INTERVAL})?\\s*(days?|weeks?|months?|years?)?(?:\\s+on\\s+(?:the\\s+)?(.+))?$`));
+    if (match && Boolean(match[1]) !== Boolean(match[3])) {
+        const [, adverb, interval, unit, on] = match;
+        const freq = adverb ? ADVERBS[adverb] : FREQUENCIES[unit.replace(/s$/, "")];
+        const rule = { ...base, freq, interval: parseInterval(interval) };
+        if (!on) {
+            return rule;
+        }
+        if (freq === "WEEKLY") {
+            const weekdays = parseWeekdays(on);
+            return weekdays && { ...rule, byWeekday: weekdays };
+        }
+        if (freq === "MONTHLY") {
+            return withMonthDay(rule, on);
+        }
+    }
+
+    // "first monday of each month", "every last friday of the month", "the 15th of every month"
+    match = text.match(new RegExp(`^(?:${EVERY}\\s+)?(?:the\\s+)?(.+?)\\s+${OF_EACH_MONTH}$`));
+    if (match) {
+        return withMonthDay({ ...base, freq: "MONTHLY" }, match[1]);
+    }
+
+    // "every year on march 3", "every march 3rd", "annually on the 3rd of march"
+    match = text.match(new RegExp(`^(?:${EVERY}\\s+year\\s+on\\s+|(?:yearly|annually)\\s+on\\s+|${EVERY}\\s+)(?:the\\s+)?(?:${MONTH}\\s+(\\d{1,2}(?:st|nd|rd|th)?)|${DAY_ORDINAL}\\s+(?:of\\s+)?${MONTH})$`));
+    if (match) {
+        const [, monthA, dayA, dayB, monthB] = match;
+        return { ...base, freq: "YEARLY", byMonth: MONTH_NAMES[monthA || monthB], byMonthDay: parseDayOrdinal(dayA || dayB) };
+    }
+
+    // "every tuesday", "every other tuesday", "mondays and wednesdays", "every mon, wed and fri"
+    match = text.match(new RegExp(`^(?:${EVERY}(?:\\s+${INTERVAL})?\\s+)?(?:on\\s+)?${WEEKDAY_LIST}$`));
+    if (match) {
+        const [, interval, list] = match;
+        const weekdays = parseWeekdays(list, { plural: !text.startsWith("every") && !text.startsWith("each") });
+        return weekdays && { ...base, freq: "WEEKLY", interval: parseInterval(interval), byWeekday: weekdays };
+    }
+
+    return null;
+}
+
+// "15th", "last day", "first monday", "2nd tuesday" within a month
+function withMonthDay(rule, phrase) {
+    let match = phrase.match(new RegExp(`^${DAY_ORDINAL}(?:\\s+day)?$`));
+    if (match) {
+        return { ...rule, byMonthDay: parseDayOrdinal(match[1]) };
+    }
+    if (/^last\s+day$/.test(phrase)) {
+        return { ...rule, byMonthDay: -1 };
+    }
+    match = phrase.match(new RegExp(`^${WEEK_ORDINAL}\\s+([a-z]+)$`));
+    if (match && Object.hasOwn(WEEKDAY_NAMES, match[2])) {
+        return { ...rule, byNthWeekday: { nth: match[1] === "last" ? -1 : parseDayOrdinal(match[1]), weekday: WEEKDAY_NAMES[match[2]] } };
+    }
+    return null;
+}
+
+/**
+ * "tuesday and thursday", "mon, wed & fri", "mondays/fridays" → weekday numbers,
+ * or null when any item isn't a weekday. Bare lists must be plural ("mondays").
+ */
+function parseWeekdays(list, { plural = false } = {}) {
+    const days = [];
+    for (const item of list.split(/\s*(?:,|\band\b|&|\/)\s*/).filter(Boolean)) {
+        const isPlural = !Object.hasOwn(WEEKDAY_NAMES, item) && item.endsWith("s") && Object.hasOwn(WEEKDAY_NAMES, item.slice(0, -1));
+        const day = isPlural ? WEEKDAY_NAMES[item.slice(0, -1)] : Object.hasOwn(WEEKDAY_NAMES, item) && WEEKDAY_NAMES[item];
+        if (!day || (plural && !isPlural)) {
+            return null;
+        }
+        days.push(day);
+    }
+    return days.length ? [...new Set(days)].sort((a, b) => a - b) : null;
+}
+
+function parseInterval(token) {
+    if (!token) {
+        return 1;
+    }
+    if (Object.hasOwn(INTERVAL_WORDS, token)) {
+        return INTERVAL_WORDS[token];
+    }
+    const interval = parseInt(token, 10);
+    if (interval < 1) {
+        throw new ParseDateError(
+            "Invalid recurrence",
+            `An interval of ${interval} never repeats; the interval has to be 1 or more`,
+            { code: "RECURRENCE_INVALID" }
+        );
+    }
+    return interval;
+}
+
+// "for 3 weeks" → the occurrences that spans: 3 for "every monday", 2 for "every other monday", 6 for "mondays and fridays"
+function countOver(rule, { amount, unit }) {
+    const units = LENGTH_UNITS[rule.freq];
+    if (!Object.hasOwn(units, unit)) {
+        throw new ParseDateError(
+            "Invalid recurrence",
+            `A ${rule.freq.toLowerCase()} recurrence can't be given a length in ${unit}s; `
+                + `give a number of times ("10 times") or an end ("until december 31") instead`,
+            { code: "RECURRENCE_INVALID" }
+        );
+    }
+    return Math.ceil((amount * units[unit]) / rule.interval) * (rule.byWeekday ? rule.byWeekday.length : 1);
+}
+
+function matchesDay(day, { byWeekday, byNthWeekday, byMonthDay, byMonth }) {
+    if (byMonth && day.month !== byMonth) {
+        return false;
+    }
+    if (byMonthDay && day.day !== (byMonthDay > 0 ? byMonthDay : day.daysInMonth + byMonthDay + 1)) {
+        return false;
+    }
+    if (byWeekday && !byWeekday.includes(day.weekday)) {
+        return false;
+    }
+    if (byNthWeekday) {
+        const { nth, weekday } = byNthWeekday;
+        const position = nth > 0 ? Math.ceil(day.day / 7) : -Math.ceil((day.daysInMonth - day.day + 1) / 7);
+        return day.weekday === weekday && position === nth;
+    }
+    return true;
+}
+
+// A rule without a day constraint repeats on its DTSTART's weekday / day / date
+function withImpliedConstraints(rule, anchor) {
+    if (rule.byWeekday || rule.byNthWeekday || rule.byMonthDay) {
+        return rule;
+    }
+    switch (rule.freq) {
+        case "WEEKLY": return { ...rule, byWeekday: [anchor.weekday] };
+        case "MONTHLY": return { ...rule, byMonthDay: anchor.day };
+        case "YEARLY": return { ...rule, byMonth: anchor.month, byMonthDay: anchor.day };
+        default: return rule;
+    }
+}
+
+function onInterval(day, anchor, { freq, interval }) {
+    let elapsed;
+    switch (freq) {
+        case "DAILY":
+            elapsed = Math.round(day.diff(anchor, "days").days);
+            break;
+        case "WEEKLY":
+            elapsed = Math.round(day.startOf("week").diff(anchor.startOf("week"), "weeks").weeks);
+            break;
+        case "MONTHLY":
+            elapsed = (day.year - anchor.year) * 12 + day.month - anchor.month;
+            break;
+        default:
+            elapsed = day.year - anchor.year;
+    }
+    return elapsed % interval === 0;
+}
@@ -0,0 +1,151 @@
+// lib/reference-time.js — Whose clock "now" is: the client's, the server's, or the client's when it agrees
+import { DateTime } from "luxon";
+import { ParseDateError } from "./errors.js";
+
+/*
+ * Relative expressions ("tomorrow", "in 2 hours") count from a reference
+ * time. `referenceTimePolicy` says where it comes from:
+ *   client                  `now` (the API's clientCurrentTime), required by the API;
+ *                           the library falls back to the system clock (the default)
+ *   server                  the server's clock; `now` is only compared with it
+ *   client-with-skew-check  `now`, unless it is more than `maxClockSkewSeconds`
+ *                           (default 300) away from the server's clock, or missing:
+ *                           then the server's clock, with a CLIENT_CLOCK_SKEW warning
+ *                           when it was skewed
+ * A server reference time takes the request's timezone like a client's does.
+ * `clockSkewSeconds` is the client's clock minus the server's, whenever both
+ * were read; positive when the client is ahead.
+ */
+
+export const REFERENCE_TIME_POLICIES = ["client", "server", "client-with-skew-check"];
+
+export const DEFAULT_MAX_CLOCK_SKEW_SECONDS = 300;
+
+/**
+ * Validate `referenceTimePolicy`, defaulting to "client".
+ */
+export function parseReferenceTimePolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return "client";
+    }
+    if (!REFERENCE_TIME_POLICIES.includes(policy)) {
+        throw new ParseDateError(
+            "Invalid 'referenceTimePolicy' parameter",
+            `Please provide one of: ${REFERENCE_TIME_POLICIES.map((name) => `'${name}'`).join(", ")}`,
+            { code: "PARAMETER_INVALID", field: "referenceTimePolicy" }
+        );
+    }
+    return policy;
+}
+
+/**
+ * Validate `maxClockSkewSeconds`, defaulting to DEFAULT_MAX_CLOCK_SKEW_SECONDS.
+ */
+export function parseMaxClockSkew(seconds) {
+    if (seconds === undefined || seconds === null) {
+        return DEFAULT_MAX_CLOCK_SKEW_SECONDS;
+    }
+    if (!Number.isInteger(seconds) || seconds < 1) {
+        throw new ParseDateError(
+            "Invalid 'maxClockSkewSeconds' parameter",
+            "Please provide how far the client's clock may be from the server's, as a whole number of seconds (e.g., 300)",
+            { code: "PARAMETER_INVALID", field: "maxClockSkewSeconds" }
+        );
+    }
+    return seconds;
+}
+
+/**
+ * The API's check on clientCurrentTime: required, as an ISO string, unless
+ * `referenceTimePolicy` lets the server's clock stand in for it. The library
+ * falls back to the system clock instead.
+ *
+ * @throws {ParseDateError} "Missing or invalid 'clientCurrentTime' parameter"
+ */
+export function requireClientCurrentTime(clientCurrentTime, referenceTimePolicy) {
+    const clientTimeRequired = referenceTimePolicy === undefined || referenceTimePolicy === null || referenceTimePolicy === "client";
+    const clientTimeGiven = clientCurrentTime !== undefined && clientCurrentTime !== null;
+    if ((clientTimeRequired || clientTimeGiven) && (!clientCurrentTime || typeof clientCurrentTime !== "string")) {
+        throw new ParseDateError(
+            "Missing or invalid 'clientCurrentTime' parameter",
+            "Please provide the client's current time in ISO format (e.g., '2024-01-15T10:00:00Z'), " +
+            "or set referenceTimePolicy to 'server' to use the server's clock",
+            { code: "PARAMETER_INVALID", field: "clientCurrentTime" }
+        );
+    }
+}
+
+/**
+ * The reference time `policy` picks.
+ *
+ * @param {object} input
+ * @param {string|Date|DateTime} [input.now]  the client's current time
+ * @param {string} input.policy  one of REFERENCE_TIME_POLICIES
+ * @param {number} input.maxClockSkewSeconds
+ * @returns {{ dateTime: DateTime, source: "client"|"server", policy: string, clockSkewSeconds: number|null, skewed: boolean }}
+ * @throws {ParseDateError} when `now` is given but is not a valid datetime
+ */
+export function chooseReferenceTime({ now, policy, maxClockSkewSeconds }) {
+    const client = now === undefined || now === null ? null : resolveReferenceTime(now);
+    if (policy === "client") {
+        return { dateTime: client || DateTime.now(), source: "client", policy, clockSkewSeconds: null, skewed: false };
+    }
+
+    const server = DateTime.now();
+    const clockSkewSeconds = client && Math.round(client.diff(server, "seconds").seconds);
+    const skewed = client !== null && Math.abs(clockSkewSeconds) > maxClockSkewSeconds;
+    const useClient = policy === "client-with-skew-check" && client !== null && !skewed;
+    return {
+        dateTime: useClient ? client : server,
+        source: useClient ? "client" : "server",
+        policy,
+        clockSkewSeconds,
+        skewed: policy === "client-with-skew-check" && skewed
+    };
+}
+
+/**
+ * The reference time as responses report it, in the request's timezone.
+ *
+ * @param {{ source: string, policy: string, clockSkewSeconds: number|null }} reference  from chooseReferenceTime()
+ * @param {DateTime} zoned  its dateTime in the request's timezone
+ * @returns {{ time: string, source: "client"|"server", policy: string, clockSkewSeconds?: number }}
+ */
+export function describeReferenceTime(reference, zoned) {
+    return {
+        time: zoned.toISO({ suppressMilliseconds: true }),
+        source: reference.source,
+        policy: reference.policy,
+        ...(reference.clockSkewSeconds !== null && { clockSkewSeconds: reference.clockSkewSeconds })
+    };
+}
+
+/**
+ * The reference "current time": an ISO string (keeping its offset), a Date or a DateTime; the system clock when omitted.
+ *
+ * @throws {ParseDateError} when it is not a valid datetime
+ */
+export function resolveReferenceTime(now) {
+    if (now === undefined || now === null) {
+        return DateTime.now();
+    }
+
+    let reference;
+    if (DateTime.isDateTime(now)) {
+        reference = now;
+    } else if (now instanceof Date) {
+        reference = DateTime.fromJSDate(now);
+    } else if (typeof now === "string") {
+        reference = DateTime.fromISO(now, { setZone: true });
+    }
+
+    if (!reference || !reference.isValid) {
+        throw new ParseDateError(
+            "Invalid clientCurrentTime format",
+            "Please provide a valid ISO datetime string (e.g., '2024-01-15T10:00:00Z')",
+            { code: "PARAMETER_INVALID", field: "clientCurrentTime" }
+        );
+    }
+
+    return reference;
+}
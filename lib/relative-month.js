@@ -0,0 +1,243 @@
+// lib/relative-month.js — Ordinal / relative-month dates chrono gets wrong
+import { ParseDateError } from "./errors.js";
+
+/*
+ * chrono-node parses "15th of next month" or "first monday of next month" but
+ * returns the wrong day (it applies "next month" to today and ignores the
+ * ordinal). These expressions are resolved here instead, before chrono runs.
+ *
+ * Supported shapes (case-insensitive, optional leading "the"/"on the"):
+ *   "15th of next month", "the 3rd of the month after next", "20th of this month"
+ *   "next month 20th", "next month's 20th", "in 2 months on the 5th"
+ *   "first day of next month", "last day of month", "last day of february"
+ *   "first monday of next month", "2nd tuesday of this month", "last friday of june"
+ *
+ * Month references: "month" / "this month", "next month", "last month",
+ * "the month after next", "in N months", "N months from now", and for the
+ * day/weekday forms also month names ("february", "june 2026"). A month name
+ * without a year means its next occurrence, counting the current month.
+ */
+
+const ORDINAL_UNITS = {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+    sixth: 6, seventh: 7, eighth: 8, ninth: 9
+};
+
+const ORDINAL_WORDS = {
+    ...ORDINAL_UNITS,
+    tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14,
+    fifteenth: 15, sixteenth: 16, seventeenth: 17, eighteenth: 18,
+    nineteenth: 19, twentieth: 20, thirtieth: 30, "thirty-first": 31, "thirty first": 31
+};
+for (const [word, value] of Object.entries(ORDINAL_UNITS)) {
+    ORDINAL_WORDS[`twenty-${word}`] = 20 + value;
+    ORDINAL_WORDS[`twenty ${word}`] = 20 + value;
+}
+
+const COUNT_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+export const MONTH_NAMES = {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4,
+    may: 5, june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8,
+    september: 9, sep: 9, sept: 9, october: 10, oct: 10, november: 11, nov: 11,
+    december: 12, dec: 12
+};
+
+export const WEEKDAY_NAMES = {
+    monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4, friday: 5, fri: 5,
+    saturday: 6, sat: 6, sunday: 7, sun: 7
+};
+
+const alternation = (words) => Object.keys(words).sort((a, b) => b.length - a.length).join("|");
+
+export const DAY_ORDINAL = `(\\d{1,2}(?:st|nd|rd|th)|${alternation(ORDINAL_WORDS)})`;
+const WEEK_ORDINAL = `(\\d(?:st|nd|rd|th)|first|second|third|fourth|fifth|last)`;
+const WEEKDAY = `(${alternation(WEEKDAY_NAMES)})`;
+const RELATIVE_MONTH_ALTERNATIVES = [
+    "(?:this|the|the current|current)\\s+month",
+    "month",
+    "(?:the\\s+)?(?:next|following)\\s+month",
+    "(?:last|previous|the previous)\\s+month",
+    "the month after next",
+    "in\\s+\\S+\\s+months?",
+    "\\S+\\s+months?\\s+from\\s+(?:now|today)"
+].join("|");
+const NAMED_MONTH_ALTERNATIVES = `(?:${alternation(MONTH_NAMES)})(?:\\s+\\d{4})?`;
+const RELATIVE_MONTH = `(${RELATIVE_MONTH_ALTERNATIVES})`;
+export const ANY_MONTH = `(${RELATIVE_MONTH_ALTERNATIVES}|${NAMED_MONTH_ALTERNATIVES})`;
+
+const PATTERNS = [
+    // "15th of next month", "the 3rd of the month after next"
+    {
+        regex: new RegExp(`^${DAY_ORDINAL}(?:\\s+day)?\\s+of\\s+(?:the\\s+)?${RELATIVE_MONTH}$`),
+        resolve: ([, day, month], now) => dayOfMonth(monthStart(month, now), parseDayOrdinal(day))
+    },
+    // "next month 20th", "next month's 20th", "in 1 month 15th", "next month on the 5th"
+    {
+        regex: new RegExp(`^${RELATIVE_MONTH}(?:'s)?,?\\s+(?:on\\s+)?(?:the\\s+)?${DAY_ORDINAL}$`),
+        resolve: ([, month, day], now) => dayOfMonth(monthStart(month, now), parseDayOrdinal(day))
+    },
+    // "first day of next month", "last day of month", "last day of february"
+    {
+        regex: new RegExp(`^(first|last)\\s+day\\s+(?:of|in)\\s+(?:the\\s+)?${ANY_MONTH}$`),
+        resolve: ([, which, month], now) => {
+            const start = monthStart(month, now);
+            if (!start || which === "first") {
+                return start;
+            }
+            return start.endOf("month").startOf("day");
+        }
+    },
+    // "first monday of next month", "last friday of june"
+    {
+        regex: new RegExp(`^${WEEK_ORDINAL}\\s+${WEEKDAY}\\s+(?:of|in)\\s+(?:the\\s+)?${ANY_MONTH}$`),
+        resolve: ([, nth, weekday, month], now) =>
+            nthWeekdayOfMonth(monthStart(month, now), WEEKDAY_NAMES[weekday], parseWeekOrdinal(nth))
+    }
+];
+
+/**
+ * Resolve an ordinal/relative-month date expression.
+ *
+ * @param {string} humanDate
+ * @param {DateTime} now  Reference time, already in the request's timezone
+ * @returns {DateTime|null} start of the resolved day, or null if the expression isn't one of ours
+ * @throws {ParseDateError} when the expression matches but names a day that doesn't exist
+ */
+export function resolveRelativeMonthDate(humanDate, now) {
+    const text = normalizeDateText(humanDate);
+
+    for (const { regex, resolve } of PATTERNS) {
+        const match = text.match(regex);
+        if (match) {
+            const result = resolve(match, now);
+            if (result) {
+                return result;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Lowercase, collapse whitespace and drop leading "the"/"on the" and trailing punctuation.
+ */
+export function normalizeDateText(text) {
+    return text
+        .trim()
+        .toLowerCase()
+        .replace(/[’`]/g, "'")
+        .replace(/\s+/g, " ")
+        .replace(/^(?:on\s+)?(?:the\s+)?/, "")
+        .replace(/[.!?]+$/, "");
+}
+
+/**
+ * Start of the month a month reference points to, or null if it isn't one.
+ */
+export function monthStart(reference, now) {
+    const text = reference.replace(/^the\s+/, "");
+    const current = now.startOf("month");
+
+    if (/^(?:(?:this|current)\s+)?month$/.test(text)) {
+        return current;
+    }
+    if (/^(?:next|following)\s+month$/.test(text)) {
+        return current.plus({ months: 1 });
+    }
+    if (/^(?:last|previous)\s+month$/.test(text)) {
+        return current.minus({ months: 1 });
+    }
+    if (text === "month after next") {
+        return current.plus({ months: 2 });
+    }
+
+    const ahead = text.match(/^(?:in\s+(\S+)\s+months?|(\S+)\s+months?\s+from\s+(?:now|today))$/);
+    if (ahead) {
+        const count = parseCount(ahead[1] || ahead[2]);
+        return count === null ? null : current.plus({ months: count });
+    }
+
+    const named = text.match(new RegExp(`^(${alternation(MONTH_NAMES)})(?:\\s+(\\d{4}))?$`));
+    if (named) {
+        const month = MONTH_NAMES[named[1]];
+        if (named[2]) {
+            return current.set({ year: Number(named[2]), month });
+        }
+        const candidate = current.set({ month });
+        return candidate < current ? candidate.plus({ years: 1 }) : candidate;
+    }
+
+    return null;
+}
+
+/**
+ * The `nth` (1-5, or -1 for last) `weekday` (1 = Monday) of the month starting at `start`.
+ */
+export function nthWeekdayOfMonth(start, weekday, nth) {
+    if (!start) {
+        return null;
+    }
+
+    if (nth === -1) {
+        const last = start.endOf("month").startOf("day");
+        return last.minus({ days: (last.weekday - weekday + 7) % 7 });
+    }
+
+    const first = start.plus({ days: (weekday - start.weekday + 7) % 7 });
+    const result = first.plus({ weeks: nth - 1 });
+    if (result.month !== start.month) {
+        throw new ParseDateError(
+            "Invalid date generated",
+            `${start.toFormat("LLLL yyyy")} has no ${ordinalSuffix(nth)} ${first.toFormat("cccc")}`,
+            { code: "DATE_INVALID" }
+        );
+    }
+    return result;
+}
+
+/**
+ * Day `day` of the month starting at `start`, or null when either is missing.
+ * @throws {ParseDateError} when the month has no such day
+ */
+export function dayOfMonth(start, day) {
+    if (!start || day === null) {
+        return null;
+    }
+    if (day < 1 || day > start.daysInMonth) {
+        throw new ParseDateError(
+            "Invalid date generated",
+            `${start.toFormat("LLLL yyyy")} has no day ${day}`,
+            { code: "DATE_INVALID" }
+        );
+    }
+    return start.set({ day });
+}
+
+export function parseDayOrdinal(token) {
+    if (Object.hasOwn(ORDINAL_WORDS, token)) {
+        return ORDINAL_WORDS[token];
+    }
+    const value = parseInt(token, 10);
+    return Number.isNaN(value) ? null : value;
+}
+
+function parseWeekOrdinal(token) {
+    return token === "last" ? -1 : parseDayOrdinal(token);
+}
+
+function parseCount(token) {
+    if (Object.hasOwn(COUNT_WORDS, token)) {
+        return COUNT_WORDS[token];
+    }
+    return /^\d+$/.test(token) ? Number(token) : null;
+}
+
+function ordinalSuffix(n) {
+    const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+    return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? "th" : suffixes[n % 10] || "th"}`;
+}
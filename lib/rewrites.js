@@ -0,0 +1,132 @@
+// lib/rewrites.js — Rewrites of a date or time that could not be read, for clients to retry with
+
+/*
+ * When humanDate or humanTime cannot be read, or only part of humanDate
+ * can, these rules propose versions that might be:
+ *   possessives         "next week's friday"   → "next week friday"
+ *   week after weekday  "next week friday"     → "friday next week"
+ *   leading filler      "on wendesday"         → "wendesday"
+ *   spelling            "wendesday"            → "wednesday"
+ *   meridiem letter     "2p"                   → "2pm"
+ *   24-hour with pm     "13pm"                 → "13:00"
+ * Rules apply one after another, so each rewrite builds on the last; only
+ * the ones the caller's `reads` accepts are suggested.
+ */
+
+const MAX_REWRITES = 3;
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+const MONTHS = [
+    "january", "february", "march", "april", "may", "june",
+    "july", "august", "september", "october", "november", "december"
+];
+
+const DATE_WORDS = [
+    ...WEEKDAYS, ...MONTHS,
+    "today", "tomorrow", "yesterday", "tonight", "next", "last", "this", "coming", "following", "previous",
+    "week", "weekend", "month", "year", "days", "weeks", "months", "years", "every", "other", "business",
+    "morning", "afternoon", "evening", "christmas", "easter", "thanksgiving"
+];
+
+const TIME_WORDS = [
+    "noon", "midnight", "morning", "afternoon", "evening", "night", "tonight", "lunch", "lunchtime",
+    "quarter", "half", "past", "hour", "hours", "minutes", "o'clock", "around", "about"
+];
+
+const WEEKDAY_PATTERN = WEEKDAYS.join("|");
+
+const DATE_RULES = [
+    (text) => text.replace(/\b(week|month|year)['’]s\s+/gi, "$1 "),
+    (text) => text.replace(new RegExp(`^(next|this|last) (week)\\s+(${WEEKDAY_PATTERN})$`, "i"), "$3 $1 $2"),
+    (text) => text.replace(/^(?:on|by|for)\s+/i, ""),
+    (text) => respell(text, DATE_WORDS)
+];
+
+const TIME_RULES = [
+    (text) => text.replace(/^(\d{1,2}(?::\d{2})?)\s*([ap])\.?$/i, "$1$2m"),
+    (text) => text.replace(/^(1[3-9]|2[0-3])(?::(\d{2}))?\s*(?:[ap]\.?m\.?)$/i, (match, hour, minute) => `${hour}:${minute || "00"}`),
+    (text, words) => respell(text, [...TIME_WORDS, ...words])
+];
+
+/**
+ * Rewrites of `humanDate` that `reads` accepts.
+ *
+ * @param {string} humanDate
+ * @param {function(string): boolean} reads  whether a rewrite reads in full
+ * @returns {string[]}  up to MAX_REWRITES, the first rewritten least
+ */
+export function suggestDateRewrites(humanDate, reads) {
+    return rewrite(humanDate, DATE_RULES, reads);
+}
+
+/**
+ * Rewrites of `humanTime` that `reads` accepts.
+ *
+ * @param {string} humanTime
+ * @param {string[]} periodNames  the request's named periods, spelled as written
+ * @param {function(string): boolean} reads
+ * @returns {string[]}
+ */
+export function suggestTimeRewrites(humanTime, periodNames, reads) {
+    return rewrite(humanTime, TIME_RULES.map((rule) => (text) => rule(text, periodNames)), reads);
+}
+
+function rewrite(input, rules, reads) {
+    const original = input.trim().replace(/\s+/g, " ");
+    const rewrites = [];
+    let text = original;
+    for (const rule of rules) {
+        const next = rule(text);
+        if (next !== text) {
+            text = next;
+            if (text.toLowerCase() !== original.toLowerCase() && !rewrites.includes(text) && reads(text)) {
+                rewrites.push(text);
+            }
+        }
+    }
+    return rewrites.slice(0, MAX_REWRITES);
+}
+
+// Words of at least four letters that are a typo or two away from one of `words` are replaced by it
+function respell(text, words) {
+    return text.replace(/\p{L}[\p{L}']{3,}/gu, (word) => {
+        const key = word.toLowerCase();
+        if (words.includes(key)) {
+            return word;
+        }
+        const limit = key.length >= 7 ? 2 : 1;
+        let best = null;
+        for (const candidate of words) {
+            const distance = editDistance(key, candidate);
+            if (distance <= limit && (!best || distance < best.distance)) {
+                best = { candidate, distance };
+            }
+        }
+        return best ? best.candidate : word;
+    });
+}
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and
+ * swaps of neighbouring characters; Infinity when the lengths differ by more than 3.
+ */
+export function editDistance(a, b) {
+    if (Math.abs(a.length - b.length) > 3) {
+        return Infinity;
+    }
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
@@ -0,0 +1,444 @@
+// lib/time-parser.js — Natural language time of day → { hour, minute, second }
+import { ParseDateError } from "./errors.js";
+
+/**
+ * Default clock times for named periods of the day.
+ * Callers can override any of these (or add their own names) via `periods`.
+ */
+export const DEFAULT_TIME_PERIODS = Object.freeze({
+    morning: "9am",
+    afternoon: "2pm",
+    evening: "7pm",
+    night: "9pm",
+    tonight: "9pm",
+    lunchtime: "12pm",
+    lunch: "12pm"
+});
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20, "twenty-five": 25, "twenty five": 25,
+    thirty: 30, forty: 40, "forty-five": 45, "forty five": 45, fifty: 50
+};
+
+const NUMBER_ALTERNATIVES = `\\d{1,2}|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join("|")}`;
+const NUMBER = `(${NUMBER_ALTERNATIVES})`;
+
+const FIXED_DURATIONS = {
+    "half an hour": 30, "half hour": 30, "a half hour": 30,
+    "quarter of an hour": 15, "a quarter of an hour": 15, "quarter hour": 15, "a quarter hour": 15
+};
+
+// Words people put around a time that carry no meaning for us
+const LEADING_FILLER = /^(?:at|around|about|approximately|approx\.?|circa|by|~)\s*/;
+const TRAILING_FILLER = /\s*(?:-?ish|or so|sharp|on the dot)$/;
+
+// Suffixes that fix the half of the day
+const MERIDIEM_SUFFIXES = [
+    [/\s*(a\.?m\.?)$/, "am"],
+    [/\s*(p\.?m\.?)$/, "pm"],
+    [/\s+in the morning$/, "am"],
+    [/\s+in the (?:afternoon|evening)$/, "pm"],
+    [/\s+(?:at night|tonight)$/, "night"]
+];
+
+/**
+ * Parse a human time of day.
+ *
+ * Understands "2pm", "2:30 p.m.", "2.30pm", "14", "14:30", "1430", "noon",
+ * "midnight", "quarter past 3", "half 4" (British: 4:30), "20 to 5",
+ * "3 o'clock", "3 in the afternoon" and named periods like "afternoon".
+ *
+ * @param {string} humanTime
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.periods]  Named period → time overrides, e.g. { morning: "8am" }
+ * @returns {{ hour: number, minute: number, second: number }}
+ * @throws {ParseDateError} when the time is not understood or out of range
+ */
+export function parseHumanTime(humanTime, { periods } = {}) {
+    const text = normalize(humanTime);
+
+    const named = resolveNamedPeriod(text, periods);
+    if (named) {
+        return named;
+    }
+
+    const time = parseClockTime(text, humanTime);
+    if (!time) {
+        throw new ParseDateError(
+            "Could not parse the time",
+            "Unable to understand the time: " + humanTime,
+            { code: "TIME_UNPARSEABLE" }
+        );
+    }
+    return time;
+}
+
+/**
+ * Parse a human time that may describe an interval instead of a single time.
+ *
+ * Ranges: "2-4pm", "2pm to 4pm", "from 9 until noon", "between 2 and 4pm",
+ * "14:00–15:30", "10pm-2am". A side without am/pm borrows it from the other
+ * when that keeps the range in order ("2-4pm" is 14:00–16:00, "11-1pm" is
+ * 11:00–13:00, "9-5" is 9:00–17:00).
+ * Durations: "2pm for 90 minutes", "9am for an hour and a half", "noon for 2h30".
+ *
+ * @param {string} humanTime
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.periods]  Named period → time overrides, e.g. { morning: "8am" }
+ * @returns {{ start: { hour: number, minute: number, second: number },
+ *             end: { hour: number, minute: number, second: number }|null,
+ *             durationMinutes: number|null }}
+ *          `end` may be earlier than `start` when the range runs past midnight
+ * @throws {ParseDateError} when the time, range or duration is not understood
+ */
+export function parseHumanTimeRange(humanTime, { periods } = {}) {
+    const text = normalize(humanTime);
+
+    const duration = text.match(/^(.+?)\s+for\s+(.+)$/);
+    if (duration) {
+        return {
+            start: parseHumanTime(duration[1], { periods }),
+            end: null,
+            durationMinutes: parseDuration(duration[2], humanTime)
+        };
+    }
+
+    try {
+        return { start: parseHumanTime(humanTime, { periods }), end: null, durationMinutes: null };
+    } catch (error) {
+        const range = error.code === "TIME_UNPARSEABLE" && parseTimeRange(text, periods);
+        if (!range) {
+            throw error;
+        }
+        if (toMinutes(range.start) === toMinutes(range.end)) {
+            throw new ParseDateError(
+                "Invalid time range",
+                `'${humanTime}' starts and ends at the same time`,
+                { code: "TIME_RANGE_INVALID" }
+            );
+        }
+        return { ...range, durationMinutes: null };
+    }
+}
+
+/**
+ * What a human time states outright, for confidence reporting: whether it is
+ * a named period ("afternoon"), and whether it fixes the minutes and the half
+ * of the day ("2:30pm" does both, "3" neither, "09:00" and "14" the latter).
+ *
+ * @param {string} humanTime  A time or interval parseHumanTimeRange() accepts
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.periods]  Named period → time overrides
+ * @returns {{ named: boolean, minuteGiven: boolean, meridiemGiven: boolean }}
+ */
+export function describeHumanTime(humanTime, { periods } = {}) {
+    const text = normalize(humanTime).replace(/\s+for\s+.+$/, "");
+    if (resolveNamedPeriod(text, periods)) {
+        return { named: true, minuteGiven: false, meridiemGiven: true };
+    }
+    // In "20 to 5" the 20 is minutes, not a 24-hour clock
+    const hours = text.replace(/^\S+(?:\s+minutes?)?\s+(?:past|after|to|till|til|before|of)\s+/, "");
+    return {
+        named: false,
+        minuteGiven: /\d\s*[:.h]\s*\d{2}|\b\d{3,4}\b|past|half|quarter|o'?\s*clock|\b(?:noon|midday|midnight)\b/.test(text),
+        meridiemGiven: /\d\s*(?:a\.?m\.?|p\.?m\.?)(?![a-z])|in the (?:morning|afternoon|evening)|at night|tonight|noon|midday|midnight/.test(text)
+            || /(?:^|[^\d:.h])(?:0\d|1[3-9]|2[0-3])(?!\d)/.test(hours)
+    };
+}
+
+/**
+ * Validate caller-supplied period overrides and merge them over the defaults.
+ * Every value must itself be a plain clock time ("8am", "13:30").
+ */
+export function resolveTimePeriods(periods) {
+    if (periods === undefined || periods === null) {
+        return DEFAULT_TIME_PERIODS;
+    }
+    if (typeof periods !== "object" || Array.isArray(periods)) {
+        throw new ParseDateError(
+            "Invalid 'timePeriods' parameter",
+            "Please provide an object mapping period names to times (e.g., { \"morning\": \"8am\" })",
+            { code: "PARAMETER_INVALID", field: "timePeriods" }
+        );
+    }
+
+    const merged = { ...DEFAULT_TIME_PERIODS };
+    for (const [name, value] of Object.entries(periods)) {
+        if (typeof value !== "string" || !parseClockTime(normalize(value), value)) {
+            throw new ParseDateError(
+                "Invalid 'timePeriods' parameter",
+                `The time for '${name}' must be a clock time like '8am' or '13:30'`,
+                { code: "PARAMETER_INVALID", field: "timePeriods" }
+            );
+        }
+        merged[normalize(name)] = value;
+    }
+    return merged;
+}
+
+function normalize(text) {
+    return text
+        .trim()
+        .toLowerCase()
+        .replace(/[’`]/g, "'")
+        .replace(/\s+/g, " ")
+        .replace(LEADING_FILLER, "")
+        .replace(TRAILING_FILLER, "")
+        .trim();
+}
+
+function resolveNamedPeriod(text, periods) {
+    const table = resolveTimePeriods(periods);
+    const name = text.replace(/^(?:this|the|in the|at)\s+/, "");
+    if (!Object.prototype.hasOwnProperty.call(table, name)) {
+        return null;
+    }
+    return parseClockTime(normalize(table[name]), table[name]);
+}
+
+/**
+ * Parse anything that names a clock time (no named periods).
+ * Returns null when the grammar doesn't match; throws when it matches but is out of range.
+ */
+function parseClockTime(text, original) {
+    if (/^(?:12\s*)?(?:noon|midday)$/.test(text)) {
+        return { hour: 12, minute: 0, second: 0 };
+    }
+    if (/^(?:12\s*)?midnight$/.test(text)) {
+        return { hour: 0, minute: 0, second: 0 };
+    }
+
+    let meridiem = null;
+    let rest = text;
+    for (const [pattern, value] of MERIDIEM_SUFFIXES) {
+        if (pattern.test(rest)) {
+            meridiem = value;
+            rest = rest.replace(pattern, "").trim();
+            break;
+        }
+    }
+
+    const parts = parseRelativeTime(rest) || parseDigitalTime(rest);
+    if (!parts) {
+        return null;
+    }
+
+    return applyMeridiem(parts, meridiem, original);
+}
+
+/**
+ * "quarter past 3", "half past four", "20 to 5", "half 4", "3 o'clock"
+ */
+function parseRelativeTime(text) {
+    let match = text.match(new RegExp(`^${NUMBER}\\s*o'?\\s*clock$`));
+    if (match) {
+        return { hour: toNumber(match[1]), minute: 0, second: 0 };
+    }
+
+    match = text.match(new RegExp(`^(a quarter|quarter|half|${NUMBER_ALTERNATIVES})(\\s+minutes?)?\\s+(past|after|to|till|til|before|of)\\s+${NUMBER}(?:\\s*o'?\\s*clock)?$`));
+    if (match) {
+        const [, offsetToken, minutesWord, connector, hourToken] = match;
+        // "10 to 4" is a range (see parseTimeRange); "10 minutes to 4" and "ten to four" are 3:50
+        if (/^\d+$/.test(offsetToken) && Number(offsetToken) <= 12 && !minutesWord && ["to", "till", "til"].includes(connector)) {
+            return null;
+        }
+        const offset = offsetToken.endsWith("quarter") ? 15 : offsetToken === "half" ? 30 : toNumber(offsetToken);
+        const hour = toNumber(hourToken);
+        if (["past", "after"].includes(connector)) {
+            return { hour, minute: offset, second: 0 };
+        }
+        if (offsetToken === "half") {
+            return null;
+        }
+        // "to" — count back from the named hour once am/pm is known
+        return { hour, minute: 0, second: 0, minutesBefore: offset };
+    }
+
+    // British "half 4" means 4:30
+    match = text.match(new RegExp(`^half\\s+${NUMBER}$`));
+    if (match) {
+        return { hour: toNumber(match[1]), minute: 30, second: 0 };
+    }
+
+    match = text.match(new RegExp(`^${NUMBER}$`));
+    if (match && isNaN(Number(match[1]))) {
+        return { hour: toNumber(match[1]), minute: 0, second: 0 };
+    }
+
+    return null;
+}
+
+/**
+ * "2", "14", "2:30", "2.30", "14h30", "14:30:15", "930", "1430"
+ */
+function parseDigitalTime(text) {
+    let match = text.match(/^(\d{1,2})(?:\s*[:.h]\s*(\d{2})(?::(\d{2}))?)?h?$/);
+    if (match) {
+        return {
+            hour: Number(match[1]),
+            minute: match[2] ? Number(match[2]) : 0,
+            second: match[3] ? Number(match[3]) : 0
+        };
+    }
+
+    // Military style without separator: "930", "0930", "1430"
+    match = text.match(/^(\d{1,2})(\d{2})$/);
+    if (match) {
+        return { hour: Number(match[1]), minute: Number(match[2]), second: 0 };
+    }
+
+    return null;
+}
+
+/**
+ * Split "2-4pm" / "from 2 to 4pm" / "between 2 and 4pm" at the first connector
+ * whose two sides both parse. Returns null when none does.
+ */
+function parseTimeRange(text, periods) {
+    const between = text.match(/^between\s+(.+)$/);
+    const body = between ? between[1] : text.replace(/^from\s+/, "");
+    const connector = between ? /\s+and\s+/g : /\s*(?:-|–|—)\s*|\s+(?:to|until|till|til|through|thru)\s+/g;
+
+    for (const match of body.matchAll(connector)) {
+        const left = body.slice(0, match.index);
+        const right = body.slice(match.index + match[0].length);
+        const start = tryParseTime(left, periods);
+        let end = tryParseTime(right, periods);
+        if (!start || !end) {
+            continue;
+        }
+
+        // "2-4pm": the start borrows the end's am/pm unless that would put it after the end
+        const endMeridiem = meridiemOf(right);
+        const borrowed = !meridiemOf(left) && endMeridiem && tryParseTime(`${left} ${endMeridiem}`, periods);
+        const from = borrowed && toMinutes(borrowed) < toMinutes(end) ? borrowed : start;
+
+        // "2pm-4", "9-5": a bare end hour before the start is in the afternoon
+        if (!endMeridiem && end.hour >= 1 && end.hour < 12 && toMinutes(end) <= toMinutes(from)
+            && toMinutes(end) + 12 * 60 > toMinutes(from)) {
+            end = { ...end, hour: end.hour + 12 };
+        }
+        return { start: from, end };
+    }
+    return null;
+}
+
+/**
+ * "90 minutes", "1.5 hours", "an hour", "half an hour", "an hour and a half",
+ * "2 hours 30 minutes", "2h30", "45 min" → minutes
+ */
+function parseDuration(text, original) {
+    const phrase = text.replace(/^(?:about|around|roughly)\s+/, "");
+    const minutes = FIXED_DURATIONS[phrase] ?? halfHourDuration(phrase) ?? compactDuration(phrase) ?? unitDuration(phrase);
+    if (!minutes || minutes < 0) {
+        throw new ParseDateError(
+            "Could not parse the duration",
+            `Unable to understand the duration in '${original}' (e.g., '90 minutes', '1.5 hours', 'an hour and a half')`,
+            { code: "DURATION_UNPARSEABLE" }
+        );
+    }
+    return Math.round(minutes);
+}
+
+// "an hour and a half", "2 and a half hours"
+function halfHourDuration(phrase) {
+    const match = phrase.match(/^(.+?)\s+(?:and\s+a\s+half\s+(?:hours?|hrs?)|(?:hours?|hrs?)\s+and\s+a\s+half)$/);
+    const count = match && durationCount(match[1]);
+    return count === null || count === undefined ? null : (count + 0.5) * 60;
+}
+
+// "2h30", "1h 15m"
+function compactDuration(phrase) {
+    const match = phrase.match(/^(\d{1,2})\s*h\s*(\d{1,2})\s*m?$/);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// "90 minutes", "1.5 hours", "2 hours 30 minutes", "2 hrs and 15 mins", "45m"
+function unitDuration(phrase) {
+    const unit = /(?:\s*,?\s*(?:and\s+)?)(\d+(?:\.\d+)?|[a-z]+(?:[ -][a-z]+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/y;
+    let total = 0;
+    let match;
+    while (unit.lastIndex < phrase.length && (match = unit.exec(phrase))) {
+        const count = durationCount(match[1]);
+        if (count === null) {
+            return null;
+        }
+        total += count * (match[2].startsWith("h") ? 60 : 1);
+    }
+    return unit.lastIndex === phrase.length && total > 0 ? total : null;
+}
+
+function durationCount(token) {
+    if (token === "a" || token === "an") {
+        return 1;
+    }
+    if (token in NUMBER_WORDS) {
+        return NUMBER_WORDS[token];
+    }
+    return /^\d+(?:\.\d+)?$/.test(token) ? Number(token) : null;
+}
+
+function applyMeridiem({ hour, minute, second, minutesBefore = 0 }, meridiem, original) {
+    if (!meridiem && hour > 23) {
+        throw outOfRange(original, "the hour must be between 0 and 23");
+    }
+    if (meridiem && (hour < 1 || hour > 12)) {
+        throw outOfRange(original, `the hour must be between 1 and 12 when using ${meridiem === "night" ? "'at night'" : meridiem}`);
+    }
+    if (minute > 59 || second > 59 || minutesBefore > 59) {
+        throw outOfRange(original, "minutes and seconds must be between 00 and 59");
+    }
+
+    if (meridiem) {
+        if (meridiem === "night") {
+            // "11 at night" is 23:00, "12 at night" is midnight, "2 at night" is 2am
+            meridiem = hour === 12 || hour < 5 ? "am" : "pm";
+        }
+        if (meridiem === "pm" && hour !== 12) {
+            hour += 12;
+        } else if (meridiem === "am" && hour === 12) {
+            hour = 0;
+        }
+    }
+
+    if (minutesBefore) {
+        // "quarter to 12" is 11:45; "10 to 12am" wraps back to 23:50
+        const total = (hour * 60 - minutesBefore + 24 * 60) % (24 * 60);
+        return { hour: Math.floor(total / 60), minute: total % 60, second };
+    }
+
+    return { hour, minute, second };
+}
+
+function tryParseTime(text, periods) {
+    try {
+        return parseHumanTime(text, { periods });
+    } catch {
+        return null;
+    }
+}
+
+// The am/pm a time's suffix pins it to, if any
+function meridiemOf(text) {
+    const match = MERIDIEM_SUFFIXES.find(([pattern, value]) => value !== "night" && pattern.test(text));
+    return match ? match[1] : null;
+}
+
+function toMinutes({ hour, minute }) {
+    return hour * 60 + minute;
+}
+
+function toNumber(token) {
+    return token in NUMBER_WORDS ? NUMBER_WORDS[token] : Number(token);
+}
+
+function outOfRange(original, detail) {
+    return new ParseDateError(
+        "Time out of range",
+        `'${original}' is not a valid time: ${detail}`,
+        { code: "TIME_OUT_OF_RANGE" }
+    );
+}
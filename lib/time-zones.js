@@ -0,0 +1,419 @@
+// lib/time-zones.js — Zones as people write them, zones named in the expression, and the result in other zones
+import { IANAZone } from "luxon";
+import { ParseDateError } from "./errors.js";
+import { editDistance } from "./rewrites.js";
+
+/*
+ * A time may name its own zone: "3pm Eastern", "10:00 CET", "9am PT",
+ * "15 Uhr MEZ", "noon Pacific time". The zone must follow the clock time;
+ * it then replaces the request's `timeZone` for the whole conversion. The
+ * two-letter abbreviations (ET, CT, MT, PT) count only in capitals, so the
+ * French "et" in "entre 15h et 16h" is not Eastern time.
+ *
+ * Abbreviations stand for their region, whatever the season: "3pm EST" in
+ * July is 3pm New York time (EDT), as people writing it mean.
+ *
+ * The request's `timeZone` (and each alsoIn zone) may be written the way
+ * forms send it, and is resolved to an IANA zone, trying in order:
+ *   abbreviation  "EST", "CET", "IST"         → America/New_York, Europe/Berlin, Asia/Kolkata
+ *   iana          "America/Chicago", "us/central" (any case; links kept)
+ *   windows       "Pacific Standard Time", "W. Europe Standard Time"
+ *   name          "Pacific Time", "Central European Time", "Eastern"
+ *   offset        "GMT+2", "UTC-05:00", "+0530" → Etc/GMT-2, Etc/GMT+5, UTC+5:30
+ *   city          "Chicago", "São Paulo", "Mumbai" (the city part of IANA names, and a few more)
+ * Some abbreviations stand for several zones ("CST" is Central, China and
+ * Cuba Standard Time); the first listed is used and the others are reported
+ * as candidates. Whole-hour offsets become Etc/GMT zones, whose sign is
+ * reversed by convention; others become fixed-offset zones without DST.
+ * An input nothing matches fails with the closest spellings as suggestions.
+ *
+ * alsoIn lists zones to express the result in as well. Each entry has
+ * the instant in that zone, its offset and abbreviation, and whether its
+ * calendar date differs from the result's.
+ */
+
+export const MAX_ALSO_IN = 20;
+
+const ZONE_NAMES = {
+    "eastern": "America/New_York", "est": "America/New_York", "edt": "America/New_York", "ET": "America/New_York",
+    "central": "America/Chicago", "cst": "America/Chicago", "cdt": "America/Chicago", "CT": "America/Chicago",
+    "mountain": "America/Denver", "mst": "America/Denver", "mdt": "America/Denver", "MT": "America/Denver",
+    "pacific": "America/Los_Angeles", "pst": "America/Los_Angeles", "pdt": "America/Los_Angeles", "PT": "America/Los_Angeles",
+    "alaska": "America/Anchorage", "akst": "America/Anchorage", "akdt": "America/Anchorage",
+    "hawaii": "Pacific/Honolulu", "hst": "Pacific/Honolulu",
+    "utc": "UTC", "gmt": "UTC",
+    "bst": "Europe/London",
+    "wet": "Europe/Lisbon", "west": "Europe/Lisbon",
+    "cet": "Europe/Berlin", "cest": "Europe/Berlin", "mez": "Europe/Berlin", "mesz": "Europe/Berlin",
+    "eet": "Europe/Athens", "eest": "Europe/Athens",
+    "jst": "Asia/Tokyo",
+    "aest": "Australia/Sydney", "aedt": "Australia/Sydney"
+};
+
+// Abbreviations that stand for several zones; the first is used
+const AMBIGUOUS_ABBREVIATIONS = {
+    "cst": ["America/Chicago", "Asia/Shanghai", "America/Havana"],
+    "mst": ["America/Denver", "America/Phoenix"],
+    "ist": ["Asia/Kolkata", "Europe/Dublin", "Asia/Jerusalem"],
+    "bst": ["Europe/London", "Asia/Dhaka"],
+    "ast": ["America/Halifax", "Asia/Riyadh"]
+};
+
+// Accepted as a whole `timeZone`, though too common as words to follow a clock time ("15 Uhr ist gut")
+const ABBREVIATIONS = {
+    "ist": "Asia/Kolkata", "ast": "America/Halifax", "adt": "America/Halifax",
+    "nst": "America/St_Johns", "ndt": "America/St_Johns",
+    "msk": "Europe/Moscow", "gst": "Asia/Dubai", "pkt": "Asia/Karachi",
+    "ict": "Asia/Bangkok", "wib": "Asia/Jakarta", "sgt": "Asia/Singapore",
+    "hkt": "Asia/Hong_Kong", "pht": "Asia/Manila", "kst": "Asia/Seoul",
+    "awst": "Australia/Perth", "acst": "Australia/Adelaide", "acdt": "Australia/Adelaide",
+    "nzst": "Pacific/Auckland", "nzdt": "Pacific/Auckland",
+    "brt": "America/Sao_Paulo", "art": "America/Buenos_Aires",
+    "wat": "Africa/Lagos", "cat": "Africa/Maputo", "eat": "Africa/Nairobi", "sast": "Africa/Johannesburg"
+};
+
+// Names used with "time": "Pacific Time", "Central European Summer Time"
+const ZONE_WORDS = {
+    "atlantic": "America/Halifax", "newfoundland": "America/St_Johns", "arizona": "America/Phoenix",
+    "coordinated universal": "UTC", "universal": "UTC", "greenwich mean": "UTC", "british summer": "Europe/London",
+    "western european": "Europe/Lisbon", "central european": "Europe/Berlin", "eastern european": "Europe/Athens",
+    "moscow": "Europe/Moscow", "india": "Asia/Kolkata", "indian": "Asia/Kolkata", "china": "Asia/Shanghai",
+    "japan": "Asia/Tokyo", "korea": "Asia/Seoul", "singapore": "Asia/Singapore",
+    "australian eastern": "Australia/Sydney", "australian central": "Australia/Adelaide",
+    "australian western": "Australia/Perth", "new zealand": "Pacific/Auckland"
+};
+
+// Windows zone IDs (as sent by .NET and Outlook) for the zones people book in most
+const WINDOWS_ZONES = {
+    "Dateline Standard Time": "Etc/GMT+12",
+    "Hawaiian Standard Time": "Pacific/Honolulu",
+    "Alaskan Standard Time": "America/Anchorage",
+    "Pacific Standard Time": "America/Los_Angeles",
+    "Pacific Standard Time (Mexico)": "America/Tijuana",
+    "US Mountain Standard Time": "America/Phoenix",
+    "Mountain Standard Time": "America/Denver",
+    "Mountain Standard Time (Mexico)": "America/Mazatlan",
+    "Central America Standard Time": "America/Guatemala",
+    "Central Standard Time": "America/Chicago",
+    "Central Standard Time (Mexico)": "America/Mexico_City",
+    "Canada Central Standard Time": "America/Regina",
+    "SA Pacific Standard Time": "America/Bogota",
+    "Eastern Standard Time": "America/New_York",
+    "US Eastern Standard Time": "America/Indianapolis",
+    "Venezuela Standard Time": "America/Caracas",
+    "Atlantic Standard Time": "America/Halifax",
+    "SA Western Standard Time": "America/La_Paz",
+    "Pacific SA Standard Time": "America/Santiago",
+    "Newfoundland Standard Time": "America/St_Johns",
+    "E. South America Standard Time": "America/Sao_Paulo",
+    "Argentina Standard Time": "America/Buenos_Aires",
+    "UTC": "UTC",
+    "GMT Standard Time": "Europe/London",
+    "Greenwich Standard Time": "Atlantic/Reykjavik",
+    "W. Europe Standard Time": "Europe/Berlin",
+    "Central Europe Standard Time": "Europe/Budapest",
+    "Romance Standard Time": "Europe/Paris",
+    "Central European Standard Time": "Europe/Warsaw",
+    "W. Central Africa Standard Time": "Africa/Lagos",
+    "GTB Standard Time": "Europe/Bucharest",
+    "Egypt Standard Time": "Africa/Cairo",
+    "South Africa Standard Time": "Africa/Johannesburg",
+    "FLE Standard Time": "Europe/Kiev",
+    "Israel Standard Time": "Asia/Jerusalem",
+    "Turkey Standard Time": "Europe/Istanbul",
+    "Arab Standard Time": "Asia/Riyadh",
+    "Russian Standard Time": "Europe/Moscow",
+    "E. Africa Standard Time": "Africa/Nairobi",
+    "Iran Standard Time": "Asia/Tehran",
+    "Arabian Standard Time": "Asia/Dubai",
+    "Pakistan Standard Time": "Asia/Karachi",
+    "India Standard Time": "Asia/Kolkata",
+    "Nepal Standard Time": "Asia/Kathmandu",
+    "Bangladesh Standard Time": "Asia/Dhaka",
+    "SE Asia Standard Time": "Asia/Bangkok",
+    "China Standard Time": "Asia/Shanghai",
+    "Singapore Standard Time": "Asia/Singapore",
+    "Taipei Standard Time": "Asia/Taipei",
+    "W. Australia Standard Time": "Australia/Perth",
+    "Tokyo Standard Time": "Asia/Tokyo",
+    "Korea Standard Time": "Asia/Seoul",
+    "Cen. Australia Standard Time": "Australia/Adelaide",
+    "E. Australia Standard Time": "Australia/Brisbane",
+    "AUS Eastern Standard Time": "Australia/Sydney",
+    "New Zealand Standard Time": "Pacific/Auckland"
+};
+
+// Cities that are not the city part of an IANA name
+const CITY_ZONES = {
+    "san francisco": "America/Los_Angeles", "seattle": "America/Los_Angeles", "las vegas": "America/Los_Angeles",
+    "salt lake city": "America/Denver", "dallas": "America/Chicago", "houston": "America/Chicago",
+    "austin": "America/Chicago", "minneapolis": "America/Chicago", "atlanta": "America/New_York",
+    "boston": "America/New_York", "miami": "America/New_York", "philadelphia": "America/New_York",
+    "washington": "America/New_York", "washington dc": "America/New_York", "montreal": "America/Toronto",
+    "rio de janeiro": "America/Sao_Paulo", "munich": "Europe/Berlin", "frankfurt": "Europe/Berlin",
+    "hamburg": "Europe/Berlin", "barcelona": "Europe/Madrid", "milan": "Europe/Rome",
+    "geneva": "Europe/Zurich", "edinburgh": "Europe/London", "manchester": "Europe/London",
+    "kyiv": "Europe/Kiev", "st petersburg": "Europe/Moscow", "mumbai": "Asia/Kolkata",
+    "delhi": "Asia/Kolkata", "new delhi": "Asia/Kolkata", "bangalore": "Asia/Kolkata",
+    "bengaluru": "Asia/Kolkata", "kolkata": "Asia/Kolkata", "chennai": "Asia/Kolkata",
+    "beijing": "Asia/Shanghai", "shenzhen": "Asia/Shanghai", "abu dhabi": "Asia/Dubai",
+    "tel aviv": "Asia/Jerusalem", "osaka": "Asia/Tokyo", "ho chi minh city": "Asia/Ho_Chi_Minh",
+    "canberra": "Australia/Sydney", "wellington": "Pacific/Auckland", "cape town": "Africa/Johannesburg"
+};
+
+// "UTC-05:00", "GMT+2", "+0530"
+const OFFSET = /^(?:(?:utc|gmt)\s*)?([+\-−])\s*(\d{1,2})(?::?(\d{2}))?$/i;
+
+const MAX_SUGGESTIONS = 3;
+
+// A zone name after a clock time ("3pm", "10:00", "15h", "15 Uhr", "noon"), optionally followed by "time"
+const ZONE_AFTER_CLOCK = new RegExp(
+    "(?<=(?:\\d|[ap]\\.?m\\.?|\\bnoon|\\bmidnight|\\buhr|\\dh)\\s*)" +
+    `(?<name>${Object.keys(ZONE_NAMES).sort((a, b) => b.length - a.length).join("|")})` +
+    "(?:\\s+(?:(?:standard|daylight)\\s+)?time)?(?![\\p{L}\\d])",
+    "giu"
+);
+
+/**
+ * Resolve a timezone as people write it to an IANA zone.
+ *
+ * @param {string} input
+ * @returns {{ input: string, timeZone: string, source: "abbreviation"|"iana"|"windows"|"name"|"offset"|"city",
+ *             candidates?: string[] }}  `candidates` lists every zone an ambiguous input may mean, the used one first
+ * @throws {ParseDateError} when it is missing or matches no zone; the error carries the closest matches as `suggestions`
+ */
+export function resolveTimeZone(input) {
+    if (!input || typeof input !== "string" || !input.trim()) {
+        throw new ParseDateError(
+            "Missing or invalid 'timeZone' parameter",
+            "Please provide a valid IANA timezone (e.g., 'America/Chicago', 'Europe/London')",
+            { code: "PARAMETER_INVALID", field: "timeZone" }
+        );
+    }
+    const resolution = matchTimeZone(input.trim());
+    if (!resolution) {
+        const suggestions = suggestTimeZones(input);
+        throw new ParseDateError(
+            "Invalid timezone",
+            `'${input}' is not a timezone we recognize. Please use an IANA timezone like 'America/Chicago', ` +
+            "an abbreviation like 'EST', an offset like 'UTC-05:00' or a city like 'Chicago'",
+            { code: "TZ_UNKNOWN", field: "timeZone", suggestions }
+        );
+    }
+    return { input, ...resolution };
+}
+
+function matchTimeZone(input) {
+    const key = normalize(input);
+
+    const ambiguous = lookup(AMBIGUOUS_ABBREVIATIONS, key);
+    if (ambiguous) {
+        return { timeZone: ambiguous[0], source: "abbreviation", candidates: ambiguous };
+    }
+    // Legacy IANA names like "EST" and "CET" are fixed offsets; people mean the region
+    const abbreviation = key.length <= 5 && (lookup(ZONE_NAMES, key) || lookup(ZONE_NAMES, key.toUpperCase()) || lookup(ABBREVIATIONS, key));
+    if (abbreviation) {
+        return { timeZone: abbreviation, source: "abbreviation" };
+    }
+
+    if (IANAZone.isValidZone(input)) {
+        return { timeZone: canonicalZoneName(input), source: "iana" };
+    }
+
+    const windows = windowsZones().get(key);
+    if (windows) {
+        return { timeZone: windows, source: "windows" };
+    }
+
+    const words = key.replace(/\s+(?:(?:standard|daylight|summer)\s+)?time$/, "");
+    const named = lookup(ZONE_WORDS, words) || lookup(ZONE_NAMES, words);
+    if (named) {
+        return { timeZone: named, source: "name" };
+    }
+
+    const offset = offsetZone(input);
+    if (offset) {
+        return { timeZone: offset, source: "offset" };
+    }
+
+    const cities = cityZones().get(key);
+    if (cities) {
+        return { timeZone: cities[0], source: "city", ...(cities.length > 1 && { candidates: cities }) };
+    }
+    return null;
+}
+
+// A table's own entry for `key`; "constructor" and the like are not zone names
+function lookup(table, key) {
+    return Object.hasOwn(table, key) ? table[key] : undefined;
+}
+
+// Lowercase, without accents, apostrophes or periods; underscores and runs of spaces as one space
+function normalize(text) {
+    return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase()
+        .replace(/['’.]/g, "").replace(/[_\s]+/g, " ").trim();
+}
+
+// "us/central" → "America/Chicago"; names written with capitals are kept, links included ("Asia/Kolkata")
+function canonicalZoneName(name) {
+    const known = ianaZones().get(name.toLowerCase());
+    if (known || name !== name.toLowerCase()) {
+        return known || name;
+    }
+    return new Intl.DateTimeFormat("en-US", { timeZone: name }).resolvedOptions().timeZone;
+}
+
+// Whole hours as Etc/GMT zones (sign reversed), others as fixed offsets; null when out of range
+function offsetZone(input) {
+    const match = input.match(OFFSET);
+    if (!match) {
+        return null;
+    }
+    const [, sign, hours, minutes = "00"] = match;
+    const negative = sign !== "+";
+    const total = Number(hours) * 60 + Number(minutes);
+    if (Number(minutes) >= 60 || total > (negative ? 12 * 60 : 14 * 60)) {
+        return null;
+    }
+    if (total === 0) {
+        return "UTC";
+    }
+    if (minutes === "00") {
+        return `Etc/GMT${negative ? "+" : "-"}${Number(hours)}`;
+    }
+    return `UTC${negative ? "-" : "+"}${Number(hours)}:${minutes}`;
+}
+
+let ianaZoneMap = null;
+let cityZoneMap = null;
+let windowsZoneMap = null;
+
+// Lowercased IANA names → their canonical spelling
+function ianaZones() {
+    ianaZoneMap ||= new Map(Intl.supportedValuesOf("timeZone").map((name) => [name.toLowerCase(), name]));
+    return ianaZoneMap;
+}
+
+// City → the zones named after it; Etc/ zones name no city
+function cityZones() {
+    if (!cityZoneMap) {
+        cityZoneMap = new Map(Object.entries(CITY_ZONES).map(([city, zone]) => [city, [zone]]));
+        for (const name of ianaZones().values()) {
+            if (name.includes("/") && !name.startsWith("Etc/")) {
+                const city = normalize(name.slice(name.lastIndexOf("/") + 1));
+                const zones = cityZoneMap.get(city);
+                if (!zones) {
+                    cityZoneMap.set(city, [name]);
+                } else if (!zones.includes(name) && !CITY_ZONES[city]) {
+                    zones.push(name);
+                }
+            }
+        }
+    }
+    return cityZoneMap;
+}
+
+function windowsZones() {
+    windowsZoneMap ||= new Map(Object.entries(WINDOWS_ZONES).map(([name, zone]) => [normalize(name), zone]));
+    return windowsZoneMap;
+}
+
+/**
+ * The zones whose names are spelled closest to `input`, for an error message.
+ */
+function suggestTimeZones(input) {
+    const key = typeof input === "string" ? normalize(input) : "";
+    if (!key) {
+        return [];
+    }
+    const spellings = [
+        ...[...ianaZones()].map(([name, zone]) => [normalize(name), zone]),
+        ...[...cityZones()].map(([city, zones]) => [city, zones[0]]),
+        ...windowsZones(),
+        ...Object.entries({ ...ZONE_NAMES, ...ZONE_WORDS })
+            .filter(([words]) => words.length > 5)
+            .map(([words, zone]) => [`${words} time`, zone])
+    ];
+    const limit = Math.max(1, Math.floor(key.length / 4));
+    const close = spellings
+        .map(([spelling, zone]) => ({ zone, distance: editDistance(key, spelling) }))
+        .filter(({ distance }) => distance <= limit)
+        .sort((a, b) => a.distance - b.distance || a.zone.localeCompare(b.zone));
+    return [...new Set(close.map(({ zone }) => zone))].slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * The zone named after a clock time in `phrase`, or null.
+ *
+ * @param {string} phrase
+ * @returns {{ text: string, index: number, timeZone: string, candidates?: string[] }|null}
+ *          `text` is the zone as written, with its "time"; `candidates` as in resolveTimeZone()
+ */
+export function findTimeZoneName(phrase) {
+    for (const match of phrase.matchAll(ZONE_AFTER_CLOCK)) {
+        const { name } = match.groups;
+        const key = name.length === 2 ? name : name.toLowerCase();
+        if (lookup(ZONE_NAMES, key)) {
+            const candidates = lookup(AMBIGUOUS_ABBREVIATIONS, key);
+            return { text: match[0], index: match.index, timeZone: ZONE_NAMES[key], ...(candidates && { candidates }) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate `alsoIn`, the zones to express the result in too, and resolve each; an empty list when omitted.
+ */
+export function parseAlsoIn(alsoIn) {
+    if (alsoIn === undefined || alsoIn === null) {
+        return [];
+    }
+    const invalid = (suggestions) => new ParseDateError(
+        "Invalid 'alsoIn' parameter",
+        `Please provide a list of up to ${MAX_ALSO_IN} timezones (e.g., ["Europe/London", "Asia/Tokyo"])`,
+        { code: "PARAMETER_INVALID", field: "alsoIn", suggestions }
+    );
+    if (!Array.isArray(alsoIn) || alsoIn.length > MAX_ALSO_IN) {
+        throw invalid();
+    }
+    return alsoIn.map((zone) => {
+        try {
+            return resolveTimeZone(zone).timeZone;
+        } catch (error) {
+            throw error instanceof ParseDateError ? invalid(error.suggestions) : error;
+        }
+    });
+}
+
+/**
+ * The result (and its interval's end) in each of `zones`.
+ *
+ * @param {string[]} zones
+ * @param {DateTime} dt
+ * @param {DateTime|null} end
+ * @returns {Array<{ timeZone: string, convertedDate: string, end?: string, offset: string, abbreviation: string, dateDiffers: boolean }>}
+ */
+export function describeInZones(zones, dt, end) {
+    return [...new Set(zones)].map((zone) => {
+        const local = dt.setZone(zone);
+        return {
+            timeZone: zone,
+            convertedDate: local.toISO({ suppressMilliseconds: true }),
+            ...(end && { end: end.setZone(zone).toISO({ suppressMilliseconds: true }) }),
+            offset: local.toFormat("ZZ"),
+            abbreviation: zoneAbbreviation(local),
+            dateDiffers: local.toISODate() !== dt.toISODate()
+        };
+    });
+}
+
+// English locales disagree on which zones have abbreviations ("CDT" in en-US, "BST" in en-GB, "IST" in en-IN)
+const ABBREVIATION_LOCALES = ["en-US", "en-GB", "en-AU", "en-IN"];
+
+/**
+ * "CDT", "BST", "CEST"; "GMT+9" for zones without a common abbreviation.
+ */
+export function zoneAbbreviation(dt) {
+    const names = ABBREVIATION_LOCALES.map((locale) => dt.setLocale(locale).offsetNameShort);
+    return names.find((name) => name && !/^(?:GMT|UTC)[+-−]/.test(name)) || names[0];
+}
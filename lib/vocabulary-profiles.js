@@ -0,0 +1,18 @@
+// lib/vocabulary-profiles.js — Vocabularies deployed with the API, named by a request's `vocabularyProfile`
+
+/*
+ * Each profile maps phrases to what they stand for, as a request's
+ * `vocabulary` does (see lib/vocabulary.js). Add a business's here to deploy
+ * it; a request can still override any of its phrases inline:
+ *
+ *   "acme-salon": {
+ *       "after lunch": "1:30pm",
+ *       "close of business": { time: "5pm" },
+ *       "payday": { date: ["15th of this month", "last day of this month", "15th of next month"] },
+ *       "the usual slot": { date: "tuesday", time: "10am" }
+ *   }
+ *
+ * Library users can also call registerVocabularyProfile() at startup.
+ */
+
+export const VOCABULARY_PROFILES = {};
@@ -0,0 +1,233 @@
+// lib/vocabulary.js — A caller's own words for dates and times, expanded before anything else reads the input
+import { ParseDateError } from "./errors.js";
+import { VOCABULARY_PROFILES } from "./vocabulary-profiles.js";
+
+/*
+ * A vocabulary maps phrases to what they stand for:
+ *   "after lunch": "1:30pm"                    the phrase is replaced by the text
+ *   "close of business": { time: "5pm" }       in humanTime, or in the sentence
+ *   "the usual slot": { date: "tuesday", time: "10am" }
+ *   "payday": { date: ["15th of this month", "last day of this month", "15th of next month"] }
+ * An object says which field each part belongs in. Found in humanDate, the
+ * phrase becomes its `date`, and its `time` fills humanTime when that was
+ * left out; the other way round in humanTime. In `text` both parts replace
+ * the phrase. A list of dates means any of them: each is tried and
+ * `direction` picks one, as for "friday".
+ *
+ * It comes inline as `vocabulary`, or registered under an id and named by
+ * `vocabularyProfile` (see lib/vocabulary-profiles.js), or both. Precedence:
+ *   - the request's entries override the profile's for the same phrase;
+ *   - longer phrases match first ("close of business day" before "close of business");
+ *   - a replacement is not expanded again;
+ *   - aliases apply before the built-in grammar, so they can redefine "noon" or "morning".
+ * Phrases match whole words, ignoring case.
+ */
+
+export const MAX_VOCABULARY_ENTRIES = 100;
+
+const MAX_PHRASE_LENGTH = 60;
+
+const MAX_DATE_CHOICES = 5;
+
+// Each reading is converted in full, so a request stops at as many as one phrase may list
+const MAX_READINGS = MAX_DATE_CHOICES;
+
+const PROFILE_ID = /^[\w-]{1,64}$/;
+
+const profiles = new Map(Object.entries(VOCABULARY_PROFILES).map(([id, vocabulary]) => [id, parseEntries(vocabulary, "profile")]));
+
+/**
+ * Register a vocabulary under `id`, for requests to name as `vocabularyProfile`; replaces one already registered.
+ *
+ * @throws {ParseDateError} when the id or the vocabulary is invalid
+ */
+export function registerVocabularyProfile(id, vocabulary) {
+    if (typeof id !== "string" || !PROFILE_ID.test(id)) {
+        throw new ParseDateError(
+            "Invalid 'vocabularyProfile' parameter",
+            "Please use a profile id of up to 64 letters, digits, '_' and '-'",
+            { code: "PARAMETER_INVALID", field: "vocabularyProfile" }
+        );
+    }
+    profiles.set(id, parseEntries(vocabulary, "profile"));
+}
+
+/**
+ * The entries in effect: the profile's, overridden by the request's; null when neither is given.
+ *
+ * @param {object} [vocabulary]  the request's, phrase → replacement
+ * @param {string} [profileId]
+ * @returns {{ profile: string|null, entries: Array<{ alias: string, date?: string[], time?: string, text?: string,
+ *             source: "request"|"profile" }> }|null}  longest phrase first
+ * @throws {ParseDateError} when the vocabulary is invalid or the profile unknown
+ */
+export function parseVocabulary(vocabulary, profileId) {
+    const given = (value) => value !== undefined && value !== null;
+    if (!given(vocabulary) && !given(profileId)) {
+        return null;
+    }
+    if (given(profileId) && !profiles.has(profileId)) {
+        throw new ParseDateError(
+            "Invalid 'vocabularyProfile' parameter",
+            `No vocabulary is registered as '${profileId}'`,
+            { code: "PARAMETER_INVALID", field: "vocabularyProfile" }
+        );
+    }
+    const own = given(vocabulary) ? parseEntries(vocabulary, "request") : [];
+    const overridden = new Set(own.map(({ alias }) => alias));
+    const inherited = given(profileId) ? profiles.get(profileId).filter(({ alias }) => !overridden.has(alias)) : [];
+    return {
+        profile: given(profileId) ? profileId : null,
+        entries: [...own, ...inherited].sort((a, b) => b.alias.length - a.alias.length)
+    };
+}
+
+function parseEntries(vocabulary, source) {
+    const name = source === "request" ? "vocabulary" : "vocabularyProfile";
+    const invalid = (detail) => new ParseDateError(`Invalid '${name}' parameter`, detail, { code: "PARAMETER_INVALID", field: name });
+    if (!vocabulary || typeof vocabulary !== "object" || Array.isArray(vocabulary)) {
+        throw invalid("Please provide an object mapping phrases to what they mean (e.g., { \"after lunch\": \"1:30pm\" })");
+    }
+    const entries = Object.entries(vocabulary);
+    if (entries.length > MAX_VOCABULARY_ENTRIES) {
+        throw invalid(`A vocabulary holds up to ${MAX_VOCABULARY_ENTRIES} phrases`);
+    }
+    return entries.map(([phrase, meaning]) => {
+        const alias = phrase.trim().replace(/\s+/g, " ").toLowerCase();
+        if (!alias || alias.length > MAX_PHRASE_LENGTH) {
+            throw invalid(`Phrases must be 1 to ${MAX_PHRASE_LENGTH} characters long`);
+        }
+        if (typeof meaning === "string" && meaning.trim()) {
+            return { alias, text: meaning.trim(), source };
+        }
+        const dates = meaning && typeof meaning.date === "string" ? [meaning.date] : meaning && meaning.date;
+        const validDates = dates === undefined || (Array.isArray(dates) && dates.length >= 1 && dates.length <= MAX_DATE_CHOICES &&
+            dates.every((date) => typeof date === "string" && date.trim()));
+        const validTime = !meaning || meaning.time === undefined || (typeof meaning.time === "string" && meaning.time.trim());
+        const known = meaning && typeof meaning === "object" && !Array.isArray(meaning) &&
+            Object.keys(meaning).every((key) => key === "date" || key === "time");
+        if (!known || !validDates || !validTime || (dates === undefined && meaning.time === undefined)) {
+            throw invalid(
+                `'${phrase}' must stand for a text, or for a { date, time } with either or both ` +
+                `(the date may be a list of up to ${MAX_DATE_CHOICES} to pick from)`
+            );
+        }
+        return {
+            alias,
+            ...(dates && { date: dates.map((date) => date.trim()) }),
+            ...(meaning.time !== undefined && { time: meaning.time.trim() }),
+            source
+        };
+    });
+}
+
+/**
+ * Expand the vocabulary's phrases in the inputs.
+ *
+ * @param {{ entries: object[] }} vocabulary  from parseVocabulary()
+ * @param {{ text?: string, humanDate?: string, humanTime?: string }} inputs  only strings are read
+ * @returns {{ variants: Array<{ text?: string, humanDate?: string, humanTime?: string }>,
+ *             applied: Array<{ alias: string, text: string, field: string, index: number,
+ *                              replacement: string|string[], filled?: object, source: string }> }}
+ *          one variant per combination of listed dates; `applied` lists each phrase replaced, at its
+ *          offset in the original field, with what replaced it (every choice, for a list of dates) and
+ *          what its other part `filled` in
+ * @throws {ParseDateError} when the listed dates would make more than MAX_READINGS variants
+ */
+export function expandVocabulary({ entries }, inputs) {
+    const applied = [];
+    let variants = [{ ...inputs }];
+
+    for (const field of ["text", "humanDate", "humanTime"]) {
+        if (typeof inputs[field] !== "string") {
+            continue;
+        }
+        // From the end, so the offsets of earlier phrases still hold
+        for (const match of findPhrases(inputs[field], entries).reverse()) {
+            const { entry } = match;
+            const other = field === "humanDate" ? "humanTime" : field === "humanTime" ? "humanDate" : null;
+            const choices = meanings(entry).map((meaning) => ({
+                replacement: meaning.text !== undefined
+                    ? meaning.text
+                    : field === "text" ? [meaning.humanDate, meaning.humanTime].filter(Boolean).join(" ") : meaning[field] || "",
+                filled: other && inputs[other] === undefined && meaning[other] !== undefined ? { [other]: meaning[other] } : null
+            }));
+            const filled = choices[0].filled && { [other]: unique(choices.map((choice) => choice.filled[other])) };
+            const replacement = unique(choices.map((choice) => choice.replacement));
+            applied.push({
+                alias: entry.alias,
+                text: match.text,
+                field,
+                index: match.index,
+                replacement,
+                ...(filled && { filled }),
+                source: entry.source
+            });
+            if (variants.length * choices.length > MAX_READINGS) {
+                throw new ParseDateError(
+                    `Invalid '${field}' parameter`,
+                    `Phrases standing for several dates make more than ${MAX_READINGS} readings of ${field} to try; ` +
+                    "please use one such phrase",
+                    { code: "PARAMETER_INVALID", field, span: { start: match.index, end: match.index + match.length } }
+                );
+            }
+            variants = variants.flatMap((variant) => choices.map((choice) => ({
+                ...variant,
+                ...choice.filled,
+                [field]: variant[field].slice(0, match.index) + choice.replacement + variant[field].slice(match.index + match.length)
+            })));
+        }
+    }
+
+    const fieldOrder = ["text", "humanDate", "humanTime"];
+    return {
+        variants: uniqueVariants(variants.map((variant) => Object.fromEntries(Object.entries(variant).map(([key, value]) => [
+            key,
+            typeof value === "string" && fieldOrder.includes(key) ? value.replace(/\s+/g, " ").trim() : value
+        ])))),
+        applied: applied.sort((a, b) => fieldOrder.indexOf(a.field) - fieldOrder.indexOf(b.field) || a.index - b.index)
+    };
+}
+
+// Each reading of an entry: a text alias has one in every field, a list of dates one per date
+function meanings(entry) {
+    if (entry.text !== undefined) {
+        return [{ text: entry.text }];
+    }
+    return (entry.date || [undefined]).map((date) => ({ humanDate: date, humanTime: entry.time }));
+}
+
+// A single value, or the distinct values when they differ
+function unique(values) {
+    const distinct = [...new Set(values)];
+    return distinct.length === 1 ? distinct[0] : distinct;
+}
+
+function uniqueVariants(variants) {
+    const seen = new Set();
+    return variants.filter((variant) => {
+        const key = JSON.stringify(variant);
+        return !seen.has(key) && seen.add(key);
+    });
+}
+
+// Non-overlapping whole-word matches, longest phrase first, in text order
+function findPhrases(value, entries) {
+    const matches = [];
+    const lower = value.toLowerCase();
+    for (const entry of entries) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(entry.alias).replace(/ /g, "\\s+")}(?![\\p{L}\\p{N}])`, "gu");
+        for (const found of lower.matchAll(pattern)) {
+            const start = found.index;
+            const end = start + found[0].length;
+            if (!matches.some((match) => start < match.index + match.length && match.index < end)) {
+                matches.push({ entry, index: start, length: found[0].length, text: value.slice(start, end) });
+            }
+        }
+    }
+    return matches.sort((a, b) => a.index - b.index);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
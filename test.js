@@ -1,119 +1,52 @@
 // Test script for the parse-date API
+import { readFileSync, readdirSync } from "node:fs";
 import { DateTime } from "luxon";
+import { parseHumanDateTime } from "./lib/parse-human-date-time.js";
+import { ParseDateError } from "./lib/errors.js";
+import { parseHumanTime } from "./lib/time-parser.js";
+import { MAX_BATCH_ITEMS, convertBatch } from "./lib/batch.js";
+import { humanizeDateTime } from "./lib/humanize-date.js";
+import { convertRequest } from "./lib/convert-request.js";
+import { MAX_BLACKOUT_DATES } from "./lib/business-hours.js";
+import { registerVocabularyProfile } from "./lib/vocabulary.js";
+import { formatTextResponse, parseResponseFormat, requestFromQuery } from "./lib/query-request.js";
+import { requireClientCurrentTime } from "./lib/reference-time.js";
+import parseDateHandler from "./api/parse-date.js";
+import { configureAccess, createAccessControl, guardRequest, readAccessConfig } from "./lib/access.js";
 
-// Mock the API function for testing
-async function testParseDate(humanDate, humanTime, timeZone = "America/Chicago", clientCurrentTime = null) {
-    // This simulates what the API would do
-    const chrono = await import("chrono-node");
-    const { DateTime, IANAZone } = await import("luxon");
-
-    const zone = (typeof timeZone === "string" && IANAZone.isValidZone(timeZone))
-        ? timeZone
-        : "America/Chicago";
-
-    // Get current time in requested zone
-    const nowZoned = clientCurrentTime
-        ? DateTime.fromISO(clientCurrentTime, { setZone: true }).setZone(zone)
-        : DateTime.now().setZone(zone);
+// Thin wrapper around the shared parsing library, logging like the API would respond
+function testParseDate(humanDate, humanTime, timeZone = "America/Chicago", clientCurrentTime = null) {
+    const nowZoned = (clientCurrentTime
+        ? DateTime.fromISO(clientCurrentTime, { setZone: true })
+        : DateTime.now()).setZone(timeZone);
 
     console.log(`\n🔍 Testing: "${humanDate}" at "${humanTime}"`);
-    console.log(`📍 Timezone: ${zone}`);
+    console.log(`📍 Timezone: ${timeZone}`);
     console.log(`📅 Current: ${nowZoned.toFormat('yyyy-MM-dd HH:mm:ss ZZZZ')}`);
 
-    // Parse the date using chrono
-    const dateResults = chrono.parse(humanDate, nowZoned.toJSDate(), { forwardDate: true });
-
-    if (!dateResults.length) {
-        console.log(`❌ FAILED: Could not parse date`);
-        return {
-            error: "Could not parse the date",
-            message: "Unable to understand the date: " + humanDate
-        };
-    }
+    try {
+        const { convertedDate, dateTime } = parseHumanDateTime({
+            humanDate,
+            humanTime,
+            timeZone,
+            now: nowZoned
+        });
 
-    const start = dateResults[0].start;
-    console.log(`📊 chrono-node result:`, {
-        year: start.get("year"),
-        month: start.get("month"),
-        day: start.get("day"),
-        hour: start.get("hour"),
-        minute: start.get("minute"),
-        second: start.get("second"),
-        isCertain: {
-            year: start.isCertain("year"),
-            month: start.isCertain("month"),
-            day: start.isCertain("day"),
-            hour: start.isCertain("hour"),
-            minute: start.isCertain("minute")
-        }
-    });
+        console.log(`✅ SUCCESS: ${dateTime.toFormat('yyyy-MM-dd HH:mm:ss ZZZZ')}`);
 
-    // Parse the time
-    let hour = 0;
-    let minute = 0;
-    let second = 0;
-
-    // Handle various time formats
-    const timeMatch = humanTime.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
-    if (timeMatch) {
-        // 12-hour format: "2pm", "2:30pm"
-        hour = parseInt(timeMatch[1]);
-        minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-
-        // Convert to 24-hour format
-        if (timeMatch[3].toLowerCase() === 'pm' && hour !== 12) {
-            hour += 12;
-        } else if (timeMatch[3].toLowerCase() === 'am' && hour === 12) {
-            hour = 0;
-        }
-    } else {
-        // 24-hour format: "14:30", "14"
-        const time24Match = humanTime.match(/(\d{1,2})(?::(\d{2}))?/);
-        if (time24Match) {
-            hour = parseInt(time24Match[1]);
-            minute = parseInt(time24Match[2]);
-        } else {
-            console.log(`❌ FAILED: Could not parse time`);
-            return {
-                error: "Could not parse the time",
-                message: "Unable to understand the time: " + humanTime
-            };
-        }
-    }
-
-    // Build the date object, preserving user's exact time
-    let dt = DateTime.fromObject(
-        {
-            year: start.get("year"),
-            month: start.get("month"),
-            day: start.get("day"),
-            hour, minute, second
-        },
-        { zone: timeZone }
-    );
-
-    // Handle case where user only specified time
-    const onlyTimeSpecified = !start.isCertain("day") && !start.isCertain("month") && !start.isCertain("year");
-
-    if (onlyTimeSpecified && dt < nowZoned) dt = dt.plus({ days: 1 });
-
-    if (!dt.isValid) {
-        console.log(`❌ FAILED: Invalid date generated`);
         return {
-            error: "Invalid date generated",
-            message: "Could not generate a valid date from the provided inputs"
+            convertedDate,
+            timeZone: timeZone,
+            humanDate: humanDate,
+            humanTime: humanTime,
+            clientCurrentTime: clientCurrentTime
         };
-    }
+    } catch (error) {
+        if (!(error instanceof ParseDateError)) throw error;
 
-    console.log(`✅ SUCCESS: ${dt.toFormat('yyyy-MM-dd HH:mm:ss ZZZZ')}`);
-
-    return {
-        convertedDate: dt.toISO({ suppressMilliseconds: true }),
-        timeZone: timeZone,
-        humanDate: humanDate,
-        humanTime: humanTime,
-        clientCurrentTime: clientCurrentTime
-    };
+        console.log(`❌ FAILED: ${error.error}`);
+        return error.toJSON();
+    }
 }
 
 // Test cases that show how ChatGPT should format input for chrono-node
@@ -169,37 +102,35 @@ const testCases = [
     // Edge Cases (that actually work)
     { date: "next friday the 13th", time: "1pm" },
 
-    // Absolute Dates
-    { date: "2025-09-15", time: "2pm" },
-    { date: "september 17th 2025", time: "3pm" },
-    { date: "17th september 2025", time: "4pm" },
-
-    // ❌ BROKEN PATTERNS (ChatGPT must avoid or convert)
+    // Relative Month References with Specific Days (resolved server-side)
+    { date: "15th of next month", time: "4:15pm" },
+    { date: "next month 15th", time: "4:15pm" },
+    { date: "in 1 month 15th", time: "4:15pm" },
 
-    // Relative Month References with Specific Days
-    { date: "15th of next month", time: "4:15pm", expectFail: true },
-    { date: "next month 15th", time: "4:15pm", expectFail: true },
-    { date: "in 1 month 15th", time: "4:15pm", expectFail: true },
+    // Business Logic Patterns (resolved server-side)
+    { date: "last day of month", time: "5pm" },
+    { date: "first monday of next month", time: "10am" },
 
-    // Business Logic Patterns
-    { date: "last day of month", time: "5pm", expectFail: true },
-    { date: "first monday of next month", time: "10am", expectFail: true },
+    // Business References (resolved server-side)
+    { date: "next business day", time: "9am" },
+    { date: "end of week", time: "5pm" },
+    { date: "end of month", time: "6pm" },
 
-    // Holiday/Event References
-    { date: "christmas", time: "12pm", expectFail: true },
-    { date: "new year", time: "12am", expectFail: true },
-    { date: "valentines day", time: "6pm", expectFail: true },
+    // Holiday/Event References (resolved server-side)
+    { date: "christmas", time: "12pm" },
+    { date: "new year", time: "12am" },
+    { date: "valentines day", time: "6pm" },
 
-    // Business References
-    { date: "next business day", time: "9am", expectFail: true },
-    { date: "end of week", time: "5pm", expectFail: true },
-    { date: "end of month", time: "6pm", expectFail: true },
+    // Absolute Dates
+    { date: "2025-09-15", time: "2pm" },
+    { date: "september 17th 2025", time: "3pm" },
+    { date: "17th september 2025", time: "4pm" },
 
-    // Seasonal References
-    { date: "spring", time: "10am", expectFail: true },
-    { date: "summer", time: "2pm", expectFail: true },
-    { date: "fall", time: "4pm", expectFail: true },
-    { date: "winter", time: "6pm", expectFail: true }
+    // Seasonal References (resolved server-side)
+    { date: "spring", time: "10am" },
+    { date: "summer", time: "2pm" },
+    { date: "fall", time: "4pm" },
+    { date: "winter", time: "6pm" }
 ];
 
 const conversionTestCases = [
@@ -262,6 +193,1816 @@ const conversionTestCases = [
     }
 ];
 
+// Exact-value checks: each case's `run()` must return `expect`, or throw a
+// ParseDateError whose `error` equals `expectError`. The factories below build
+// their cases with expectResult(); expectError() turns any of them into an
+// error case, e.g. expectError(dateCase("someday", "9am"), "Could not parse the date")
+function expectResult(name, run, expect) {
+    return { name, run, expect };
+}
+
+function expectError(testCase, error) {
+    return { ...testCase, expect: undefined, expectError: error };
+}
+
+function timeCase(time, expect, options) {
+    return expectResult(`"${time}"`, () => {
+        const { hour, minute } = parseHumanTime(time, options);
+        return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+    }, expect);
+}
+
+const timeTestCases = [
+    timeCase("2pm", "14:00"),
+    timeCase("2:30 p.m.", "14:30"),
+    timeCase("2.30pm", "14:30"),
+    timeCase("12am", "00:00"),
+    timeCase("12pm", "12:00"),
+    timeCase("14", "14:00"),
+    timeCase("14:30", "14:30"),
+    timeCase("1430", "14:30"),
+    timeCase("noon", "12:00"),
+    timeCase("midnight", "00:00"),
+    timeCase("quarter past 3", "03:15"),
+    timeCase("quarter to 12pm", "11:45"),
+    timeCase("twenty to five pm", "16:40"),
+    timeCase("half past four in the afternoon", "16:30"),
+    timeCase("half 4", "04:30"),
+    timeCase("3 o'clock", "03:00"),
+    timeCase("11 at night", "23:00"),
+    timeCase("around 10am", "10:00"),
+    timeCase("morning", "09:00"),
+    timeCase("afternoon", "14:00"),
+    timeCase("this evening", "19:00"),
+    timeCase("morning", "08:30", { periods: { morning: "8:30am" } }),
+    expectError(timeCase("25:70"), "Time out of range"),
+    expectError(timeCase("13pm"), "Time out of range"),
+    expectError(timeCase("9:75"), "Time out of range"),
+    expectError(timeCase("whenever"), "Could not parse the time")
+];
+
+// Full date + time conversions against a fixed clock: Tuesday 2025-08-19, 10:00 in Chicago
+const FIXED_NOW = "2025-08-19T10:00:00-05:00";
+
+function dateCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}"`, () => parseHumanDateTime({
+        humanDate: date,
+        humanTime: time,
+        timeZone: "America/Chicago",
+        now: FIXED_NOW,
+        ...options
+    }).convertedDate, expect);
+}
+
+const relativeMonthTestCases = [
+    dateCase("15th of next month", "4:15pm", "2025-09-15T16:15:00-05:00"),
+    dateCase("the 15th of next month", "4:15pm", "2025-09-15T16:15:00-05:00"),
+    dateCase("next month 20th", "3pm", "2025-09-20T15:00:00-05:00"),
+    dateCase("next month's 20th", "3pm", "2025-09-20T15:00:00-05:00"),
+    dateCase("in 1 month 15th", "4:15pm", "2025-09-15T16:15:00-05:00"),
+    dateCase("in 2 months on the 3rd", "9am", "2025-10-03T09:00:00-05:00"),
+    dateCase("last day of month", "5pm", "2025-08-31T17:00:00-05:00"),
+    dateCase("last day of next month", "5pm", "2025-09-30T17:00:00-05:00"),
+    dateCase("first day of next month", "9am", "2025-09-01T09:00:00-05:00"),
+    dateCase("first monday of next month", "10am", "2025-09-01T10:00:00-05:00"),
+    dateCase("last friday of this month", "10am", "2025-08-29T10:00:00-05:00"),
+    dateCase("2nd tuesday of november", "10am", "2025-11-11T10:00:00-06:00"),
+    dateCase("last day of february", "noon", "2026-02-28T12:00:00-06:00"),
+    expectError(dateCase("31st of next month", "9am"), "Invalid date generated"),
+    expectError(dateCase("5th friday of next month", "9am"), "Invalid date generated"),
+    expectError(dateCase("in constructor months", "9am"), "Could not parse the date")
+];
+
+const businessDayTestCases = [
+    dateCase("next business day", "9am", "2025-08-20T09:00:00-05:00"),
+    dateCase("in 3 business days", "9am", "2025-08-22T09:00:00-05:00"),
+    dateCase("2 business days from now", "10am", "2025-08-21T10:00:00-05:00"),
+    dateCase("in 5 working days", "10am", "2025-08-26T10:00:00-05:00"),
+    dateCase("previous business day", "10am", "2025-08-18T10:00:00-05:00"),
+    dateCase("end of week", "5pm", "2025-08-22T17:00:00-05:00"),
+    dateCase("end of month", "5pm", "2025-08-29T17:00:00-05:00"),
+    dateCase("last business day of november", "5pm", "2025-11-28T17:00:00-06:00"),
+    dateCase("next business day", "9am", "2025-08-21T09:00:00-05:00", { closureDates: ["2025-08-20"] }),
+    dateCase("end of week", "5pm", "2025-08-21T17:00:00-05:00", { workWeek: "sun-thu" }),
+    dateCase("in 3 business days", "9am", "2025-08-24T09:00:00-05:00", { workWeek: ["sun", "mon", "tue", "wed", "thu"] }),
+    expectError(dateCase("next business day", "9am", undefined, { workWeek: "someday" }), "Invalid 'workWeek' parameter"),
+    expectError(dateCase("next business day", "9am", undefined, { workWeek: ["constructor"] }), "Invalid 'workWeek' parameter"),
+    expectError(dateCase("next business day", "9am", undefined, { closureDates: "2025-08-20" }), "Invalid 'closureDates' parameter")
+];
+
+const holidayTestCases = [
+    dateCase("christmas", "noon", "2025-12-25T12:00:00-06:00"),
+    dateCase("new year", "12am", "2026-01-01T00:00:00-06:00"),
+    dateCase("valentine's day", "6pm", "2026-02-14T18:00:00-06:00"),
+    dateCase("easter", "10am", "2026-04-05T10:00:00-05:00"),
+    dateCase("last easter", "10am", "2025-04-20T10:00:00-05:00"),
+    dateCase("2 days before christmas", "10am", "2025-12-23T10:00:00-06:00"),
+    dateCase("christmas 2026", "10am", "2026-12-25T10:00:00-06:00"),
+    dateCase("thanksgiving", "noon", "2025-11-27T12:00:00-06:00", { holidayCalendar: "US" }),
+    dateCase("the day after thanksgiving", "9am", "2025-11-28T09:00:00-06:00", { holidayCalendar: "US" }),
+    dateCase("thanksgiving", "noon", "2025-10-13T12:00:00-05:00", { holidayCalendar: "CA" }),
+    dateCase("victoria day", "noon", "2026-05-18T12:00:00-05:00", { holidayCalendar: "CA" }),
+    dateCase("boxing day", "noon", "2025-12-26T12:00:00-06:00", { holidayCalendar: "UK" }),
+    // Labor Day (Mon 1 Sep) is skipped as a closure only when the calendar is selected
+    dateCase("first business day of next month", "9am", "2025-09-01T09:00:00-05:00"),
+    dateCase("first business day of next month", "9am", "2025-09-02T09:00:00-05:00", { holidayCalendar: "US" }),
+    dateCase("next business day", "9am", "2025-12-29T09:00:00-06:00", { holidayCalendar: "UK", now: "2025-12-24T10:00:00Z" }),
+    expectError(dateCase("thanksgiving", "noon"), "Unknown holiday for calendar"),
+    expectError(dateCase("christmas", "noon", undefined, { holidayCalendar: "Narnia" }), "Invalid 'holidayCalendar' parameter")
+];
+
+function periodCase(date, expectDate, expectPeriod, options = {}) {
+    return expectResult(`"${date}"`, () => {
+        const { convertedDate, period } = parseHumanDateTime({
+            humanDate: date,
+            humanTime: "10am",
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            ...options
+        });
+        return { date: convertedDate.slice(0, 10), period };
+    }, { date: expectDate, period: expectPeriod });
+}
+
+const periodTestCases = [
+    periodCase("spring", "2026-03-02", { start: "2026-03-01", end: "2026-05-31" }),
+    periodCase("summer", "2025-08-19", { start: "2025-06-01", end: "2025-08-31" }),
+    periodCase("early summer", "2026-06-01", { start: "2026-06-01", end: "2026-07-01" }),
+    periodCase("next summer", "2026-06-01", { start: "2026-06-01", end: "2026-08-31" }),
+    periodCase("fall", "2025-09-01", { start: "2025-09-01", end: "2025-11-30" }),
+    periodCase("winter 2026", "2026-12-01", { start: "2026-12-01", end: "2027-02-28" }),
+    periodCase("spring", "2025-09-01", { start: "2025-09-01", end: "2025-11-30" }, { timeZone: "Australia/Sydney" }),
+    periodCase("mid next month", "2025-09-15", { start: "2025-09-11", end: "2025-09-20" }),
+    periodCase("late june", "2026-06-22", { start: "2026-06-21", end: "2026-06-30" }),
+    periodCase("end of next week", "2025-08-29", { start: "2025-08-29", end: "2025-08-29" }),
+    periodCase("end of next week", "2025-08-28", { start: "2025-08-28", end: "2025-08-28" }, { workWeek: "sun-thu" }),
+    periodCase("beginning of next week", "2025-08-25", { start: "2025-08-25", end: "2025-08-26" }),
+    periodCase("beginning of Q3", "2026-07-01", { start: "2026-07-01", end: "2026-07-31" }),
+    periodCase("Q4", "2025-10-01", { start: "2025-10-01", end: "2025-12-31" }),
+    periodCase("end of the year", "2025-12-31", { start: "2025-09-02", end: "2025-12-31" }),
+    periodCase("next week", "2025-08-26", null),
+    expectError(periodCase("end of constructor"), "Could not parse the date"),
+    expectError(periodCase("early constructor"), "Could not parse the date"),
+    expectError(periodCase("end of __proto__"), "Could not parse the date")
+];
+
+function intervalCase(date, time, expectInterval, options = {}) {
+    return expectResult(`"${date}" at "${time}"`, () => parseHumanDateTime({
+        humanDate: date,
+        humanTime: time,
+        timeZone: "America/Chicago",
+        now: FIXED_NOW,
+        ...options
+    }).interval, expectInterval);
+}
+
+const intervalTestCases = [
+    intervalCase("next monday", "2-4pm", { start: "2025-08-25T14:00:00-05:00", end: "2025-08-25T16:00:00-05:00", durationMinutes: 120 }),
+    intervalCase("next monday", "11-1pm", { start: "2025-08-25T11:00:00-05:00", end: "2025-08-25T13:00:00-05:00", durationMinutes: 120 }),
+    intervalCase("tomorrow", "between 9 and 5", { start: "2025-08-20T09:00:00-05:00", end: "2025-08-20T17:00:00-05:00", durationMinutes: 480 }),
+    intervalCase("tomorrow", "10 to 4pm", { start: "2025-08-20T10:00:00-05:00", end: "2025-08-20T16:00:00-05:00", durationMinutes: 360 }),
+    intervalCase("friday", "10pm-2am", { start: "2025-08-22T22:00:00-05:00", end: "2025-08-23T02:00:00-05:00", durationMinutes: 240 }),
+    intervalCase("today", "2pm for 90 minutes", { start: "2025-08-19T14:00:00-05:00", end: "2025-08-19T15:30:00-05:00", durationMinutes: 90 }),
+    intervalCase("tomorrow", "9am for an hour and a half", { start: "2025-08-20T09:00:00-05:00", end: "2025-08-20T10:30:00-05:00", durationMinutes: 90 }),
+    intervalCase("from the 3rd to the 5th", "9am", { start: "2025-09-03T09:00:00-05:00", end: "2025-09-05T09:00:00-05:00", durationMinutes: 2880 }),
+    intervalCase("the 28th to the 2nd", "9am-5pm", { start: "2025-08-28T09:00:00-05:00", end: "2025-09-02T17:00:00-05:00", durationMinutes: 7680 }),
+    intervalCase("september 3 to 5", "10am", { start: "2025-09-03T10:00:00-05:00", end: "2025-09-05T10:00:00-05:00", durationMinutes: 2880 }),
+    intervalCase("between christmas and new year's day", "10am", { start: "2025-12-25T10:00:00-06:00", end: "2026-01-01T10:00:00-06:00", durationMinutes: 10080 }),
+    // DST ends at 2am on Nov 2: the wall clock shows one hour, two have passed
+    intervalCase("november 2", "1am for 2 hours", { start: "2025-11-02T01:00:00-05:00", end: "2025-11-02T02:00:00-06:00", durationMinutes: 120 }),
+    intervalCase("next monday", "ten to four", null),
+    expectError(dateCase("tomorrow", "2pm-2pm"), "Invalid time range"),
+    expectError(dateCase("tomorrow", "2pm for a while"), "Could not parse the duration"),
+    expectError(dateCase("from friday to 2025-08-01", "9am"), "Invalid date range")
+];
+
+function recurrenceCase(date, time, expectRecurrence, options = {}) {
+    return expectResult(`"${date}" at "${time}"`, () => parseHumanDateTime({
+        humanDate: date,
+        humanTime: time,
+        timeZone: "America/Chicago",
+        now: FIXED_NOW,
+        occurrences: 3,
+        ...options
+    }).recurrence, expectRecurrence);
+}
+
+const recurrenceTestCases = [
+    recurrenceCase("every other tuesday", "3pm", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250819T150000",
+        rrule: "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU",
+        occurrences: ["2025-08-19T15:00:00-05:00", "2025-09-02T15:00:00-05:00", "2025-09-16T15:00:00-05:00"]
+    }),
+    recurrenceCase("every tuesday", "9am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250826T090000",
+        rrule: "RRULE:FREQ=WEEKLY;BYDAY=TU",
+        occurrences: ["2025-08-26T09:00:00-05:00", "2025-09-02T09:00:00-05:00", "2025-09-09T09:00:00-05:00"]
+    }),
+    recurrenceCase("first monday of each month", "9am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250901T090000",
+        rrule: "RRULE:FREQ=MONTHLY;BYDAY=1MO",
+        occurrences: ["2025-09-01T09:00:00-05:00", "2025-10-06T09:00:00-05:00", "2025-11-03T09:00:00-06:00"]
+    }),
+    recurrenceCase("every last friday of the month", "5pm", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250829T170000",
+        rrule: "RRULE:FREQ=MONTHLY;BYDAY=-1FR",
+        occurrences: ["2025-08-29T17:00:00-05:00", "2025-09-26T17:00:00-05:00", "2025-10-31T17:00:00-05:00"]
+    }),
+    // September has no 31st
+    recurrenceCase("monthly on the 31st", "9am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250831T090000",
+        rrule: "RRULE:FREQ=MONTHLY;BYMONTHDAY=31",
+        occurrences: ["2025-08-31T09:00:00-05:00", "2025-10-31T09:00:00-05:00", "2025-12-31T09:00:00-06:00"]
+    }),
+    recurrenceCase("every weekday", "8:30am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250820T083000",
+        rrule: "RRULE:FREQ=WEEKLY;BYDAY=SU,MO,TU,WE,TH",
+        occurrences: ["2025-08-20T08:30:00-05:00", "2025-08-21T08:30:00-05:00", "2025-08-24T08:30:00-05:00"]
+    }, { workWeek: "sun-thu" }),
+    recurrenceCase("mondays and wednesdays", "6pm", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250820T180000",
+        rrule: "RRULE:FREQ=WEEKLY;BYDAY=MO,WE",
+        occurrences: ["2025-08-20T18:00:00-05:00", "2025-08-25T18:00:00-05:00", "2025-08-27T18:00:00-05:00"]
+    }),
+    recurrenceCase("every year on march 3", "noon", {
+        dtstart: "DTSTART;TZID=America/Chicago:20260303T120000",
+        rrule: "RRULE:FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=3",
+        occurrences: ["2026-03-03T12:00:00-06:00", "2027-03-03T12:00:00-06:00", "2028-03-03T12:00:00-06:00"]
+    }),
+    recurrenceCase("every tuesday starting next month until september 16", "3pm", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250902T150000",
+        rrule: "RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20250917T045959Z",
+        occurrences: ["2025-09-02T15:00:00-05:00", "2025-09-09T15:00:00-05:00", "2025-09-16T15:00:00-05:00"]
+    }),
+    recurrenceCase("every day twice", "7am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250820T070000",
+        rrule: "RRULE:FREQ=DAILY;COUNT=2",
+        occurrences: ["2025-08-20T07:00:00-05:00", "2025-08-21T07:00:00-05:00"]
+    }),
+    // Clocks go back on Nov 2; the meeting stays at 9:00 local time
+    recurrenceCase("every sunday", "9am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20251026T090000",
+        rrule: "RRULE:FREQ=WEEKLY;BYDAY=SU",
+        occurrences: ["2025-10-26T09:00:00-05:00", "2025-11-02T09:00:00-06:00", "2025-11-09T09:00:00-06:00"]
+    }, { now: "2025-10-20T10:00:00-05:00" }),
+    recurrenceCase("every tuesday", "9am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250826T090000",
+        rrule: "RRULE:FREQ=WEEKLY;BYDAY=TU"
+    }, { occurrences: undefined }),
+    recurrenceCase("every monday for 3 weeks", "9am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250825T090000",
+        rrule: "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=3",
+        occurrences: ["2025-08-25T09:00:00-05:00", "2025-09-01T09:00:00-05:00", "2025-09-08T09:00:00-05:00"]
+    }),
+    recurrenceCase("every other day for a week", "7am", {
+        dtstart: "DTSTART;TZID=America/Chicago:20250820T070000",
+        rrule: "RRULE:FREQ=DAILY;INTERVAL=2;COUNT=4",
+        occurrences: ["2025-08-20T07:00:00-05:00", "2025-08-22T07:00:00-05:00", "2025-08-24T07:00:00-05:00"]
+    }),
+    recurrenceCase("next tuesday", "9am", null),
+    expectError(dateCase("every tuesday until last week", "3pm"), "Invalid recurrence"),
+    expectError(dateCase("every 0 days", "9am"), "Invalid recurrence"),
+    expectError(dateCase("every day 0 times", "9am"), "Invalid recurrence"),
+    expectError(dateCase("every monday for 2 days", "9am"), "Invalid recurrence"),
+    expectError(dateCase("every tuesday", "3pm", undefined, { occurrences: 500 }), "Invalid 'occurrences' parameter"),
+    expectError(dateCase("constructor", "9am"), "Could not parse the date"),
+    expectError(dateCase("every other constructor", "9am"), "Could not parse the date")
+];
+
+function textCase(text, expect, options = {}) {
+    return expectResult(JSON.stringify(text), () => {
+        const { convertedDate, extracted } = parseHumanDateTime({
+            text,
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            ...options
+        });
+        return {
+            convertedDate,
+            humanDate: extracted.humanDate && extracted.humanDate.text,
+            humanTime: extracted.humanTime.text
+        };
+    }, expect);
+}
+
+// Sentences that leave date words out of what was extracted
+function textWarningCase(text, expect) {
+    return expectResult(`warnings for ${JSON.stringify(text)}`, () => {
+        const { convertedDate, extracted, assessment } = parseHumanDateTime({ text, timeZone: "America/Chicago", now: FIXED_NOW });
+        return {
+            convertedDate,
+            humanDate: extracted.humanDate && extracted.humanDate.text,
+            confidence: assessment.confidence,
+            warnings: assessment.warnings.map(({ code, message }) => `${code} ${message}`)
+        };
+    }, expect);
+}
+
+const textTestCases = [
+    textCase("hmm, can we do next tuesday around 10am?", { convertedDate: "2025-08-26T10:00:00-05:00", humanDate: "next tuesday", humanTime: "around 10am" }),
+    textCase("How about tomorrow afternoon?", { convertedDate: "2025-08-20T14:00:00-05:00", humanDate: "tomorrow", humanTime: "afternoon" }),
+    textCase("Could we book the 15th of next month at 4:15pm please", { convertedDate: "2025-09-15T16:15:00-05:00", humanDate: "the 15th of next month", humanTime: "at 4:15pm" }),
+    textCase("good morning! tomorrow at 3pm?", { convertedDate: "2025-08-20T15:00:00-05:00", humanDate: "tomorrow", humanTime: "at 3pm" }),
+    textCase("in 3 business days at 10", { convertedDate: "2025-08-22T10:00:00-05:00", humanDate: "in 3 business days", humanTime: "at 10" }),
+    textCase("Can we do september 17th at noon.", { convertedDate: "2025-09-17T12:00:00-05:00", humanDate: "september 17th", humanTime: "at noon" }),
+    textCase("I'm free every other tuesday at 3pm", { convertedDate: "2025-08-19T15:00:00-05:00", humanDate: "every other tuesday", humanTime: "at 3pm" }),
+    textCase("is next monday 2-4pm ok?", { convertedDate: "2025-08-25T14:00:00-05:00", humanDate: "next monday", humanTime: "2-4pm" }),
+    // No date: today, or tomorrow once the time has passed
+    textCase("what about 9am", { convertedDate: "2025-08-20T09:00:00-05:00", humanDate: null, humanTime: "about 9am" }),
+    textCase("¿podemos el próximo lunes a las 10?", {
+        convertedDate: "2025-08-25T10:00:00-05:00",
+        humanDate: "el próximo lunes",
+        humanTime: "a las 10"
+    }),
+    textCase("Können wir morgen um 14 Uhr?", {
+        convertedDate: "2025-08-20T14:00:00-05:00",
+        humanDate: "morgen",
+        humanTime: "um 14 Uhr"
+    }),
+    // A zone after the time sets the result's zone
+    textCase("can we do next monday at 3pm PT please", { convertedDate: "2025-08-25T15:00:00-07:00", humanDate: "next monday", humanTime: "at 3pm" }),
+    textWarningCase("hmm, can we do next tuesday around 10am?", {
+        convertedDate: "2025-08-26T10:00:00-05:00",
+        humanDate: "next tuesday",
+        confidence: 1,
+        warnings: []
+    }),
+    textWarningCase("can we do next week monday around 10am?", {
+        convertedDate: "2025-08-26T10:00:00-05:00",
+        humanDate: "next week",
+        confidence: 0.6,
+        warnings: ["UNUSED_TEXT 'monday' in the text was not used; the date was read from 'next week' alone"]
+    }),
+    textWarningCase("see you on the 25th at noon", {
+        convertedDate: "2025-08-25T12:00:00-05:00",
+        humanDate: "on the 25th",
+        confidence: 1,
+        warnings: []
+    }),
+    textWarningCase("see you on the 32nd at noon", {
+        convertedDate: "2025-08-19T12:00:00-05:00",
+        humanDate: null,
+        confidence: 0.6,
+        warnings: ["UNUSED_TEXT '32nd' in the text was not understood as a date and not used"]
+    }),
+    expectError(textCase("can we do the 3rd?"), "Could not find a time"),
+    expectError(textCase("tomorrow at 3pm", undefined, { humanDate: "tomorrow" }), "Conflicting parameters"),
+    expectError(textCase("x".repeat(301)), "Missing or invalid 'text' parameter")
+];
+
+function assessmentCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}"`, () => {
+        const { confidence, components, alternatives, warnings } = parseHumanDateTime({
+            humanDate: date,
+            humanTime: time,
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            ...options
+        }).assessment;
+        return {
+            confidence,
+            implied: components.implied,
+            alternatives: alternatives.map(({ convertedDate, reason }) => `${reason} ${convertedDate}`),
+            warnings: warnings.map(({ code }) => code)
+        };
+    }, expect);
+}
+
+const assessmentTestCases = [
+    assessmentCase("september 17th", "2:30pm", { confidence: 1, implied: ["year"], alternatives: [], warnings: [] }),
+    assessmentCase("15th of next month", "4:15pm", { confidence: 1, implied: [], alternatives: [], warnings: [] }),
+    assessmentCase("friday", "3pm", {
+        confidence: 0.8,
+        implied: ["year", "month", "day", "minute"],
+        alternatives: ["AMBIGUOUS_WEEKDAY 2025-08-29T15:00:00-05:00"],
+        warnings: ["AMBIGUOUS_WEEKDAY"]
+    }),
+    // A bare weekday resolves forward like a bare time: Monday is next Monday
+    assessmentCase("monday", "9am", {
+        confidence: 0.8,
+        implied: ["year", "month", "day", "minute"],
+        alternatives: ["AMBIGUOUS_WEEKDAY 2025-09-01T09:00:00-05:00"],
+        warnings: ["AMBIGUOUS_WEEKDAY"]
+    }),
+    // ...unless the nearest is asked for, which is yesterday
+    assessmentCase("monday", "9am", {
+        confidence: 0.5,
+        implied: ["year", "month", "day", "minute"],
+        alternatives: ["AMBIGUOUS_WEEKDAY 2025-08-25T09:00:00-05:00"],
+        warnings: ["AMBIGUOUS_WEEKDAY", "DATE_IN_PAST"]
+    }, { direction: "nearest" }),
+    // The past, when asked for, is no warning
+    assessmentCase("today", "9am", { confidence: 1, implied: ["minute"], alternatives: [], warnings: [] }, { direction: "past" }),
+    // Further dates resolve as the first one does, and in the future direction only those ahead are offered
+    assessmentCase("next week monday", "10am", {
+        confidence: 0.3,
+        implied: ["minute"],
+        alternatives: ["MULTIPLE_DATES 2025-08-25T10:00:00-05:00"],
+        warnings: ["UNUSED_TEXT", "MULTIPLE_DATES"]
+    }),
+    assessmentCase("march 3 or march 5", "10am", {
+        confidence: 0.3,
+        implied: ["year", "minute"],
+        alternatives: ["MULTIPLE_DATES 2026-03-05T10:00:00-06:00"],
+        warnings: ["UNUSED_TEXT", "MULTIPLE_DATES"]
+    }),
+    assessmentCase("september 1 or august 1 2025", "10am", {
+        confidence: 0.3,
+        implied: ["year", "minute"],
+        alternatives: [],
+        warnings: ["UNUSED_TEXT", "MULTIPLE_DATES"]
+    }),
+    assessmentCase("september 1 or august 1 2025", "10am", {
+        confidence: 0.3,
+        implied: ["year", "minute"],
+        alternatives: ["MULTIPLE_DATES 2025-08-01T10:00:00-05:00"],
+        warnings: ["UNUSED_TEXT", "MULTIPLE_DATES"]
+    }, { direction: "nearest" }),
+    assessmentCase("next friday", "at 3", {
+        confidence: 0.8,
+        implied: ["year", "month", "day", "minute"],
+        alternatives: ["AMBIGUOUS_MERIDIEM 2025-08-29T15:00:00-05:00"],
+        warnings: ["AMBIGUOUS_MERIDIEM"]
+    }),
+    assessmentCase("tomorrow", "afternoon", { confidence: 0.9, implied: ["hour", "minute"], alternatives: [], warnings: ["NAMED_PERIOD"] }),
+    assessmentCase("2pm", "9am", {
+        confidence: 0.9,
+        implied: ["year", "month", "day", "minute"],
+        alternatives: ["ROLLED_TO_TOMORROW 2025-08-19T09:00:00-05:00"],
+        warnings: ["ROLLED_TO_TOMORROW"]
+    }),
+    assessmentCase("today", "9am", { confidence: 0.7, implied: ["minute"], alternatives: [], warnings: ["DATE_IN_PAST"] })
+];
+
+function dstCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}"${options.dstPolicy ? ` (${options.dstPolicy})` : ""}`, () => {
+        const { convertedDate, interval, dstAdjustments } = parseHumanDateTime({
+            humanDate: date,
+            humanTime: time,
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            ...options
+        });
+        return { convertedDate, ...(interval && { end: interval.end }), dstAdjustments };
+    }, expect);
+}
+
+// Chicago springs forward at 2am on 2026-03-08 and falls back at 2am on 2026-11-01
+const dstTestCases = [
+    dstCase("2026-03-08", "2:30am", {
+        convertedDate: "2026-03-08T03:30:00-05:00",
+        dstAdjustments: [{ requested: "2026-03-08T02:30:00", transition: "gap", convertedDate: "2026-03-08T03:30:00-05:00" }]
+    }),
+    dstCase("2026-03-08", "2:30am", {
+        convertedDate: "2026-03-08T01:30:00-06:00",
+        dstAdjustments: [{ requested: "2026-03-08T02:30:00", transition: "gap", convertedDate: "2026-03-08T01:30:00-06:00" }]
+    }, { dstPolicy: "earlier" }),
+    dstCase("2026-03-08", "2:30am", {
+        convertedDate: "2026-03-08T03:30:00-05:00",
+        dstAdjustments: [{ requested: "2026-03-08T02:30:00", transition: "gap", convertedDate: "2026-03-08T03:30:00-05:00" }]
+    }, { dstPolicy: "later" }),
+    expectError(dstCase("2026-03-08", "2:30am", undefined, { dstPolicy: "reject" }), "Nonexistent local time"),
+    dstCase("2026-11-01", "1:30am", {
+        convertedDate: "2026-11-01T01:30:00-05:00",
+        dstAdjustments: [{ requested: "2026-11-01T01:30:00", transition: "overlap", convertedDate: "2026-11-01T01:30:00-05:00" }]
+    }),
+    dstCase("2026-11-01", "1:30am", {
+        convertedDate: "2026-11-01T01:30:00-06:00",
+        dstAdjustments: [{ requested: "2026-11-01T01:30:00", transition: "overlap", convertedDate: "2026-11-01T01:30:00-06:00" }]
+    }, { dstPolicy: "later" }),
+    expectError(dstCase("2026-11-01", "1:30am", undefined, { dstPolicy: "reject" }), "Ambiguous local time"),
+    dstCase("2026-03-08", "3am", { convertedDate: "2026-03-08T03:00:00-05:00", dstAdjustments: [] }, { dstPolicy: "reject" }),
+    dstCase("2026-03-07", "10pm-2:30am", {
+        convertedDate: "2026-03-07T22:00:00-06:00",
+        end: "2026-03-08T03:30:00-05:00",
+        dstAdjustments: [{ requested: "2026-03-08T02:30:00", transition: "gap", convertedDate: "2026-03-08T03:30:00-05:00" }]
+    }),
+    expectError(dstCase("2026-03-08", "2:30am", undefined, { dstPolicy: "nearest" }), "Invalid 'dstPolicy' parameter")
+];
+
+function localeCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}"${options.locale ? ` (${options.locale})` : ""}`, () => {
+        const { locale, convertedDate, interval } = parseHumanDateTime({
+            humanDate: date,
+            humanTime: time,
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            ...options
+        });
+        return { locale, convertedDate, ...(interval && { end: interval.end }) };
+    }, expect);
+}
+
+const localeTestCases = [
+    localeCase("mañana", "a las 3 de la tarde", { locale: "es", convertedDate: "2025-08-20T15:00:00-05:00" }),
+    localeCase("el próximo lunes", "10:30", { locale: "es", convertedDate: "2025-08-25T10:30:00-05:00" }),
+    localeCase("pasado mañana", "mediodía", { locale: "es", convertedDate: "2025-08-21T12:00:00-05:00" }),
+    localeCase("el viernes", "las 3 y media de la tarde", { locale: "es", convertedDate: "2025-08-22T15:30:00-05:00" }),
+    localeCase("hoy", "entre las 5 y las 7 de la tarde", { locale: "es", convertedDate: "2025-08-19T17:00:00-05:00", end: "2025-08-19T19:00:00-05:00" }),
+    localeCase("morgen", "14 Uhr", { locale: "de", convertedDate: "2025-08-20T14:00:00-05:00" }),
+    localeCase("nächsten Montag", "halb drei nachmittags", { locale: "de", convertedDate: "2025-08-25T14:30:00-05:00" }),
+    localeCase("übermorgen", "Viertel nach 9", { locale: "de", convertedDate: "2025-08-21T09:15:00-05:00" }),
+    localeCase("Freitag", "von 14 bis 16 Uhr", { locale: "de", convertedDate: "2025-08-22T14:00:00-05:00", end: "2025-08-22T16:00:00-05:00" }),
+    localeCase("demain", "à 15h", { locale: "fr", convertedDate: "2025-08-20T15:00:00-05:00" }),
+    localeCase("lundi prochain", "9h moins le quart", { locale: "fr", convertedDate: "2025-08-25T08:45:00-05:00" }),
+    localeCase("la semaine prochaine", "l'après-midi", { locale: "fr", convertedDate: "2025-08-26T14:00:00-05:00" }),
+    localeCase("amanhã", "às 15h", { locale: "pt", convertedDate: "2025-08-20T15:00:00-05:00" }),
+    localeCase("próxima segunda", "3 da tarde", { locale: "pt", convertedDate: "2025-08-25T15:00:00-05:00" }),
+    localeCase("sexta-feira", "das 14h às 16h", { locale: "pt", convertedDate: "2025-08-22T14:00:00-05:00", end: "2025-08-22T16:00:00-05:00" }),
+    localeCase("15 de setembro", "15h por 2 horas", { locale: "pt", convertedDate: "2025-09-15T15:00:00-05:00", end: "2025-09-15T17:00:00-05:00" }),
+    // English phrases work in every locale
+    localeCase("mañana", "3pm", { locale: "es", convertedDate: "2025-08-20T15:00:00-05:00" }),
+    localeCase("tomorrow", "3pm", { locale: "pt", convertedDate: "2025-08-20T15:00:00-05:00" }, { locale: "pt-BR" }),
+    localeCase("next friday", "noon", { locale: "en", convertedDate: "2025-08-29T12:00:00-05:00" }),
+    expectError(localeCase("tomorrow", "3pm", undefined, { locale: "klingon" }), "Invalid 'locale' parameter"),
+    expectError(localeCase("tomorrow", "3pm", undefined, { locale: "constructor" }), "Invalid 'locale' parameter")
+];
+
+const BUSINESS_HOURS = { "mon-fri": "9am-5pm", sat: "10:00-14:00" };
+
+function availabilityCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}"`, () => parseHumanDateTime({
+        humanDate: date,
+        humanTime: time,
+        timeZone: "America/Chicago",
+        now: FIXED_NOW,
+        businessHours: BUSINESS_HOURS,
+        suggestSlots: true,
+        ...options
+    }).availability, expect);
+}
+
+const availabilityTestCases = [
+    availabilityCase("tomorrow", "10am", { open: true, reason: null }),
+    availabilityCase("2025-08-24", "3am", {
+        open: false,
+        reason: "CLOSED_DAY",
+        suggestions: { before: "2025-08-23T13:30:00-05:00", after: "2025-08-25T09:00:00-05:00" }
+    }),
+    availabilityCase("friday", "8pm", {
+        open: false,
+        reason: "OUTSIDE_BUSINESS_HOURS",
+        suggestions: { before: "2025-08-22T16:30:00-05:00", after: "2025-08-23T10:00:00-05:00" }
+    }),
+    // An interval must fit whole
+    availabilityCase("tomorrow", "4:30-5:30pm", {
+        open: false,
+        reason: "OUTSIDE_BUSINESS_HOURS",
+        suggestions: { before: "2025-08-20T16:00:00-05:00", after: "2025-08-21T09:00:00-05:00" }
+    }),
+    // Suggestions never lie before now
+    availabilityCase("today", "8am", {
+        open: false,
+        reason: "OUTSIDE_BUSINESS_HOURS",
+        suggestions: { before: null, after: "2025-08-19T10:00:00-05:00" }
+    }),
+    availabilityCase("tomorrow", "12:30pm", {
+        open: false,
+        reason: "OUTSIDE_BUSINESS_HOURS",
+        suggestions: { before: "2025-08-20T11:30:00-05:00", after: "2025-08-20T13:00:00-05:00" }
+    }, { businessHours: { "mon-fri": ["9am-12pm", "1pm-5pm"] } }),
+    availabilityCase("friday", "1am", { open: true, reason: null }, { businessHours: { "thu-sat": "6pm-2am" } }),
+    availabilityCase("tomorrow", "10am", { open: true, reason: null }, { businessHours: { "mon to fri": "9-5" }, suggestSlots: false }),
+    availabilityCase("tomorrow", "1pm", {
+        open: false,
+        reason: "BLACKOUT",
+        suggestions: { before: "2025-08-20T11:30:00-05:00", after: "2025-08-20T14:00:00-05:00" }
+    }, { blackoutDates: ["2025-08-20T12:00/2025-08-20T14:00"] }),
+    availabilityCase("2025-12-25", "10am", {
+        open: false,
+        reason: "CLOSED_DAY",
+        suggestions: { before: "2025-12-24T16:30:00-06:00", after: "2025-12-26T09:00:00-06:00" }
+    }, { holidayCalendar: "US" }),
+    // Blackouts alone leave every other hour open
+    availabilityCase("next sunday", "3am", { open: true, reason: null }, { businessHours: undefined, blackoutDates: ["2025-12-24"] }),
+    availabilityCase("tomorrow", "10am", { open: false, reason: "BLACKOUT" }, { blackoutDates: ["2025-08-20"], suggestSlots: false }),
+    expectError(availabilityCase("tomorrow", "10am", undefined, { businessHours: { weekdays: "9-5" } }), "Invalid 'businessHours' parameter"),
+    expectError(availabilityCase("tomorrow", "10am", undefined, { businessHours: { mon: "9am" } }), "Invalid 'businessHours' parameter"),
+    expectError(availabilityCase("tomorrow", "10am", undefined, { businessHours: { "constructor-mon": "9am-5pm" } }), "Invalid 'businessHours' parameter"),
+    expectError(availabilityCase("tomorrow", "10am", undefined, { businessHours: { "mon-constructor": "9am-5pm" } }), "Invalid 'businessHours' parameter"),
+    expectError(availabilityCase("tomorrow", "10am", undefined, { businessHours: { constructor: "9am-5pm" } }), "Invalid 'businessHours' parameter"),
+    expectError(availabilityCase("tomorrow", "10am", undefined, { blackoutDates: ["christmas"] }), "Invalid 'blackoutDates' parameter"),
+    expectError(availabilityCase("tomorrow", "10am", undefined, { blackoutDates: Array(MAX_BLACKOUT_DATES + 1).fill("2025-12-24") }), "Invalid 'blackoutDates' parameter")
+];
+
+const BUSY_CALENDAR = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "SUMMARY:Dentist\\, downtown",
+    "DTSTART;TZID=America/Chicago:20250820T140000",
+    "DURATION:PT1H",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "SUMMARY:Focus time",
+    "DTSTART:20250820T200000Z",
+    "DTEND:20250820T203000Z",
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "DTSTART;VALUE=DATE:20250822",
+    "END:VEVENT",
+    "BEGIN:VFREEBUSY",
+    "FREEBUSY;FBTYPE=BUSY:20250820T200000Z/PT30M,20250821T140000Z/20250821T150000Z",
+    "FREEBUSY;FBTYPE=FREE:20250820T210000Z/PT1H",
+    "END:VFREEBUSY",
+    "END:VCALENDAR"
+].join("\r\n");
+
+function freeBusyCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}"`, () => parseHumanDateTime({
+        humanDate: date,
+        humanTime: time,
+        timeZone: "America/Chicago",
+        now: FIXED_NOW,
+        icalendar: BUSY_CALENDAR,
+        ...options
+    }).freeBusy, expect);
+}
+
+const freeBusyTestCases = [
+    freeBusyCase("tomorrow", "10am", { conflict: false, conflicts: [] }),
+    // A single time is checked as a 30-minute slot; transparent events and FBTYPE=FREE are free
+    freeBusyCase("tomorrow", "2:30pm", {
+        conflict: true,
+        conflicts: [{ start: "2025-08-20T14:00:00-05:00", end: "2025-08-20T15:00:00-05:00", summary: "Dentist, downtown" }],
+        freeSlots: [
+            { start: "2025-08-20T15:30:00-05:00", end: "2025-08-20T16:00:00-05:00" },
+            { start: "2025-08-20T16:00:00-05:00", end: "2025-08-20T16:30:00-05:00" }
+        ]
+    }, { freeSlots: 2 }),
+    freeBusyCase("tomorrow", "1:30pm", {
+        conflict: false,
+        conflicts: [],
+        freeSlots: [{ start: "2025-08-20T13:30:00-05:00", end: "2025-08-20T14:00:00-05:00" }]
+    }, { freeSlots: 1 }),
+    freeBusyCase("thursday", "9am", {
+        conflict: true,
+        conflicts: [{ start: "2025-08-21T09:00:00-05:00", end: "2025-08-21T10:00:00-05:00" }]
+    }),
+    // An all-day event takes the whole day; free slots keep to opening hours
+    freeBusyCase("friday", "10am", {
+        conflict: true,
+        conflicts: [{ start: "2025-08-22T00:00:00-05:00", end: "2025-08-23T00:00:00-05:00" }],
+        freeSlots: [
+            { start: "2025-08-23T10:00:00-05:00", end: "2025-08-23T10:30:00-05:00" },
+            { start: "2025-08-23T10:30:00-05:00", end: "2025-08-23T11:00:00-05:00" }
+        ]
+    }, { freeSlots: 2, businessHours: BUSINESS_HOURS }),
+    // Free slots have the interval's length
+    freeBusyCase("tomorrow", "2-3pm", {
+        conflict: true,
+        conflicts: [{ start: "2025-08-20T13:00:00-05:00", end: "2025-08-20T14:30:00-05:00" }],
+        freeSlots: [
+            { start: "2025-08-20T14:30:00-05:00", end: "2025-08-20T15:30:00-05:00" },
+            { start: "2025-08-20T16:00:00-05:00", end: "2025-08-20T17:00:00-05:00" }
+        ]
+    }, {
+        icalendar: undefined,
+        busy: ["2025-08-20T13:00/2025-08-20T14:30", { start: "2025-08-20T15:30", end: "2025-08-20T16:00" }],
+        freeSlots: 2
+    }),
+    // Touching ends do not conflict
+    freeBusyCase("tomorrow", "3pm", { conflict: false, conflicts: [] }, { icalendar: undefined, busy: ["2025-08-20T19:00:00Z/2025-08-20T20:00:00Z"] }),
+    // Past requests look for free slots from now
+    freeBusyCase("today", "8am", {
+        conflict: false,
+        conflicts: [],
+        freeSlots: [{ start: "2025-08-19T10:00:00-05:00", end: "2025-08-19T10:30:00-05:00" }]
+    }, { icalendar: undefined, busy: [], freeSlots: 1 }),
+    expectError(freeBusyCase("tomorrow", "3pm", undefined, { busy: ["2025-08-20T15:00/2025-08-20T14:00"] }), "Invalid 'busy' parameter"),
+    expectError(freeBusyCase("tomorrow", "3pm", undefined, { busy: "2025-08-20T14:00/2025-08-20T15:00" }), "Invalid 'busy' parameter"),
+    expectError(freeBusyCase("tomorrow", "3pm", undefined, { icalendar: "BEGIN:VEVENT\r\nSUMMARY:No start\r\nEND:VEVENT" }), "Invalid 'icalendar' parameter"),
+    expectError(freeBusyCase("tomorrow", "3pm", undefined, { icalendar: "busy all week" }), "Invalid 'icalendar' parameter"),
+    expectError(freeBusyCase("tomorrow", "3pm", undefined, { freeSlots: 50 }), "Invalid 'freeSlots' parameter")
+];
+
+// Each result reduced to its id and convertedDate, or its id and error
+function batchCase(name, body, expect, options) {
+    return expectResult(name, () => {
+        const { count, succeeded, failed, results } = convertBatch(body, options);
+        return {
+            count,
+            succeeded,
+            failed,
+            results: results.map(({ id, ok, result, error }) => (ok ? { id, convertedDate: result.convertedDate } : { id, error }))
+        };
+    }, expect);
+}
+
+const batchTestCases = [
+    batchCase("shared clock and timezone", {
+        timeZone: "America/Chicago",
+        clientCurrentTime: FIXED_NOW,
+        items: [
+            { id: "row-2", humanDate: "tomorrow", humanTime: "2pm" },
+            { id: "row-3", humanDate: "next friday", humanTime: "noon" },
+            { id: "row-4", text: "can we do next monday around 10am?" }
+        ]
+    }, {
+        count: 3,
+        succeeded: 3,
+        failed: 0,
+        results: [
+            { id: "row-2", convertedDate: "2025-08-20T14:00:00-05:00" },
+            { id: "row-3", convertedDate: "2025-08-29T12:00:00-05:00" },
+            { id: "row-4", convertedDate: "2025-08-25T10:00:00-05:00" }
+        ]
+    }),
+    // Items override shared fields, and one failing item leaves the rest alone
+    batchCase("per-item fields and errors", {
+        timeZone: "America/Chicago",
+        clientCurrentTime: FIXED_NOW,
+        items: [
+            { id: 1, humanDate: "tomorrow", humanTime: "2pm", timeZone: "Europe/London", clientCurrentTime: "2025-08-19T16:00:00+01:00" },
+            { id: 2, humanDate: "tomorrow", humanTime: "25:00" },
+            { humanDate: "tomorrow", humanTime: "9am", timeZone: "Mars/Olympus" },
+            "tomorrow at 2pm",
+            { id: 5, humanDate: "tomorrow", humanTime: "9am", clientCurrentTime: null }
+        ]
+    }, {
+        count: 5,
+        succeeded: 1,
+        failed: 4,
+        results: [
+            { id: 1, convertedDate: "2025-08-20T14:00:00+01:00" },
+            { id: 2, error: "Time out of range" },
+            { id: null, error: "Invalid timezone" },
+            { id: null, error: "Invalid item" },
+            { id: 5, error: "Missing or invalid 'clientCurrentTime' parameter" }
+        ]
+    }),
+    // Items not reached within the time budget fail, to be sent again
+    batchCase("time budget", {
+        timeZone: "America/Chicago",
+        clientCurrentTime: FIXED_NOW,
+        items: [{ id: 1, humanDate: "tomorrow", humanTime: "2pm" }, { id: 2, humanDate: "tomorrow", humanTime: "3pm" }]
+    }, {
+        count: 2,
+        succeeded: 1,
+        failed: 1,
+        results: [
+            { id: 1, convertedDate: "2025-08-20T14:00:00-05:00" },
+            { id: 2, error: "Batch time limit exceeded" }
+        ]
+    }, { timeBudgetMs: 1000, clock: ((ticks) => () => (ticks += 800))(0) }),
+    expectError(batchCase("no items", { timeZone: "America/Chicago", items: [] }), "Missing or invalid 'items' parameter"),
+    expectError(batchCase("items not an array", { items: { humanDate: "tomorrow" } }), "Missing or invalid 'items' parameter"),
+    expectError(batchCase("too many items", {
+        items: Array.from({ length: MAX_BATCH_ITEMS + 1 }, () => ({ humanDate: "tomorrow", humanTime: "2pm" }))
+    }), "Too many items")
+];
+
+function zoneCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}"${options.alsoIn ? ` also in ${JSON.stringify(options.alsoIn)}` : ""}`, () => {
+        const { convertedDate, timeZone, namedTimeZone, alsoIn } = parseHumanDateTime({
+            humanDate: date,
+            humanTime: time,
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            ...options
+        });
+        return { convertedDate, timeZone, namedTimeZone, alsoIn };
+    }, expect);
+}
+
+const zoneTestCases = [
+    zoneCase("tomorrow", "2-4pm", {
+        convertedDate: "2025-08-20T14:00:00-05:00",
+        timeZone: "America/Chicago",
+        namedTimeZone: null,
+        alsoIn: [
+            { timeZone: "Europe/London", convertedDate: "2025-08-20T20:00:00+01:00", end: "2025-08-20T22:00:00+01:00", offset: "+01:00", abbreviation: "BST", dateDiffers: false },
+            { timeZone: "Australia/Sydney", convertedDate: "2025-08-21T05:00:00+10:00", end: "2025-08-21T07:00:00+10:00", offset: "+10:00", abbreviation: "AEST", dateDiffers: true }
+        ]
+    }, { alsoIn: ["Europe/London", "Australia/Sydney"] }),
+    // The named zone replaces the request's, which is listed first in alsoIn
+    zoneCase("tomorrow", "3pm Eastern", {
+        convertedDate: "2025-08-20T15:00:00-04:00",
+        timeZone: "America/New_York",
+        namedTimeZone: { text: "Eastern", timeZone: "America/New_York" },
+        alsoIn: [
+            { timeZone: "America/Chicago", convertedDate: "2025-08-20T14:00:00-05:00", offset: "-05:00", abbreviation: "CDT", dateDiffers: false },
+            { timeZone: "Asia/Tokyo", convertedDate: "2025-08-21T04:00:00+09:00", offset: "+09:00", abbreviation: "GMT+9", dateDiffers: true }
+        ]
+    }, { alsoIn: ["Asia/Tokyo"] }),
+    zoneCase("tomorrow", "10:00 CET", {
+        convertedDate: "2025-08-20T10:00:00+02:00",
+        timeZone: "Europe/Berlin",
+        namedTimeZone: { text: "CET", timeZone: "Europe/Berlin" },
+        alsoIn: [{ timeZone: "America/Chicago", convertedDate: "2025-08-20T03:00:00-05:00", offset: "-05:00", abbreviation: "CDT", dateDiffers: false }]
+    }),
+    // Abbreviations stand for their region: EST in August is EDT
+    zoneCase("tomorrow", "noon EST", {
+        convertedDate: "2025-08-20T12:00:00-04:00",
+        timeZone: "America/New_York",
+        namedTimeZone: { text: "EST", timeZone: "America/New_York" },
+        alsoIn: [{ timeZone: "America/Chicago", convertedDate: "2025-08-20T11:00:00-05:00", offset: "-05:00", abbreviation: "CDT", dateDiffers: false }]
+    }),
+    zoneCase("morgen", "15 Uhr MEZ", {
+        convertedDate: "2025-08-20T15:00:00+02:00",
+        timeZone: "Europe/Berlin",
+        namedTimeZone: { text: "MEZ", timeZone: "Europe/Berlin" },
+        alsoIn: [{ timeZone: "America/Chicago", convertedDate: "2025-08-20T08:00:00-05:00", offset: "-05:00", abbreviation: "CDT", dateDiffers: false }]
+    }),
+    zoneCase("tomorrow", "9am Pacific time", {
+        convertedDate: "2025-08-20T09:00:00-07:00",
+        timeZone: "America/Los_Angeles",
+        namedTimeZone: { text: "Pacific time", timeZone: "America/Los_Angeles" },
+        alsoIn: null
+    }, { timeZone: "America/Los_Angeles" }),
+    // Two-letter abbreviations only in capitals
+    zoneCase("viernes", "entre las 3 y las 5 de la tarde", {
+        convertedDate: "2025-08-22T15:00:00-05:00",
+        timeZone: "America/Chicago",
+        namedTimeZone: null,
+        alsoIn: null
+    }),
+    expectError(zoneCase("tomorrow", "3pm", undefined, { alsoIn: ["Mars/Olympus"] }), "Invalid 'alsoIn' parameter"),
+    expectError(zoneCase("tomorrow", "3pm", undefined, { alsoIn: ["constructor"] }), "Invalid 'alsoIn' parameter"),
+    expectError(zoneCase("tomorrow", "3pm", undefined, { alsoIn: "Europe/London" }), "Invalid 'alsoIn' parameter")
+];
+
+function directionCase(date, time, expect, options = {}) {
+    return {
+        ...dateCase(date, time, expect, options),
+        name: `"${date}" at "${time}" ${JSON.stringify(options)}`
+    };
+}
+
+// FIXED_NOW is Tuesday, August 19 at 10am
+const directionTestCases = [
+    directionCase("friday", "3pm", "2025-08-22T15:00:00-05:00"),
+    directionCase("monday", "9am", "2025-08-25T09:00:00-05:00"),
+    directionCase("monday", "9am", "2025-08-18T09:00:00-05:00", { direction: "past" }),
+    directionCase("monday", "9am", "2025-08-18T09:00:00-05:00", { direction: "nearest" }),
+    // Today's weekday is today while its time is ahead
+    directionCase("tuesday", "2pm", "2025-08-19T14:00:00-05:00"),
+    directionCase("tuesday", "9am", "2025-08-26T09:00:00-05:00"),
+    directionCase("tuesday", "2pm", "2025-08-12T14:00:00-05:00", { direction: "past" }),
+    directionCase("march 3", "10am", "2026-03-03T10:00:00-06:00"),
+    directionCase("march 3", "10am", "2025-03-03T10:00:00-06:00", { direction: "past" }),
+    directionCase("march 3", "10am", "2025-03-03T10:00:00-06:00", { direction: "nearest" }),
+    directionCase("december 25", "10am", "2024-12-25T10:00:00-06:00", { direction: "past" }),
+    // A day of the month alone floats by a month, past months without it
+    directionCase("the 25th", "2pm", "2025-08-25T14:00:00-05:00"),
+    directionCase("on the 3rd", "2pm", "2025-09-03T14:00:00-05:00"),
+    directionCase("19th", "9am", "2025-09-19T09:00:00-05:00"),
+    directionCase("the 19th", "9am", "2025-08-19T09:00:00-05:00", { direction: "past" }),
+    directionCase("the 25th", "2pm", "2025-07-25T14:00:00-05:00", { direction: "past" }),
+    directionCase("the 3rd", "2pm", "2025-09-03T14:00:00-05:00", { direction: "nearest" }),
+    directionCase("the 31st", "9am", "2025-10-31T09:00:00-05:00", { now: "2025-09-19T10:00:00-05:00" }),
+    directionCase("the 31st", "9am", "2025-08-31T09:00:00-05:00", { now: "2025-09-19T10:00:00-05:00", direction: "past" }),
+    directionCase("the 30th", "9am", "2026-03-30T09:00:00-05:00", { now: "2026-02-10T10:00:00-06:00" }),
+    directionCase("weekend", "11am", "2025-08-23T11:00:00-05:00"),
+    directionCase("weekend", "11am", "2025-08-16T11:00:00-05:00", { direction: "past" }),
+    directionCase("today", "9am", "2025-08-19T09:00:00-05:00", { direction: "future" }),
+    // Words that pin the week are left alone
+    directionCase("last friday", "3pm", "2025-08-15T15:00:00-05:00"),
+    directionCase("this friday", "3pm", "2025-08-22T15:00:00-05:00", { direction: "past" }),
+    directionCase("next friday", "3pm", "2025-08-29T15:00:00-05:00"),
+    directionCase("next friday", "3pm", "2025-08-22T15:00:00-05:00", { nextWeekdayMode: "next-occurrence" }),
+    directionCase("next tuesday", "3pm", "2025-08-26T15:00:00-05:00", { nextWeekdayMode: "next-occurrence" }),
+    directionCase("next monday", "3pm", "2025-08-25T15:00:00-05:00", { nextWeekdayMode: "next-occurrence" }),
+    directionCase("el próximo viernes", "15:00", "2025-08-29T15:00:00-05:00", { locale: "es" }),
+    directionCase("el próximo viernes", "15:00", "2025-08-22T15:00:00-05:00", { locale: "es", nextWeekdayMode: "next-occurrence" }),
+    directionCase("próxima sexta", "15:00", "2025-08-29T15:00:00-05:00", { locale: "pt" }),
+    directionCase("nächsten Freitag", "15:00", "2025-08-22T15:00:00-05:00", { locale: "de", nextWeekdayMode: "next-occurrence" }),
+    expectError(directionCase("yesterday", "3pm", undefined, { pastPolicy: "reject" }), "Date in the past"),
+    expectError(directionCase("today", "9am", undefined, { pastPolicy: "reject" }), "Date in the past"),
+    expectError(directionCase("friday", "3pm", undefined, { direction: "forward" }), "Invalid 'direction' parameter"),
+    expectError(directionCase("next friday", "3pm", undefined, { nextWeekdayMode: "strict" }), "Invalid 'nextWeekdayMode' parameter"),
+    expectError(directionCase("friday", "3pm", undefined, { pastPolicy: "ignore" }), "Invalid 'pastPolicy' parameter"),
+    expectError(directionCase("friday", "3pm", undefined, { direction: "past", pastPolicy: "reject" }), "Conflicting parameters")
+];
+
+// An error reduced to what clients branch on: its code, field, span and suggestions
+function errorModelCase(name, body, expect) {
+    return expectResult(name, () => {
+        try {
+            convertRequest({ timeZone: "America/Chicago", clientCurrentTime: FIXED_NOW, ...body });
+            return null;
+        } catch (error) {
+            const { code, field, span, suggestions } = error.toJSON();
+            return { code, field, span, suggestions };
+        }
+    }, expect);
+}
+
+// Rewrites suggested when only part of humanDate was understood
+function unusedTextCase(date, expect) {
+    return expectResult(`UNUSED_TEXT suggestions for ${JSON.stringify(date)}`, () => {
+        const { assessment } = parseHumanDateTime({ humanDate: date, humanTime: "2pm", timeZone: "America/Chicago", now: FIXED_NOW });
+        const warning = assessment.warnings.find(({ code }) => code === "UNUSED_TEXT");
+        return warning && warning.suggestions;
+    }, expect);
+}
+
+// Each `new ParseDateError(…)` in lib/ and api/ that doesn't name its code, as "file:line"
+function errorsWithoutCode() {
+    const calls = (source) => [...source.matchAll(/new ParseDateError\(/g)].map(({ index }) => {
+        let depth = 0;
+        let quote = null;
+        for (let i = index; i < source.length; i++) {
+            const char = source[i];
+            if (quote) {
+                if (char === "\\") {
+                    i++;
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if ("\"'`".includes(char)) {
+                quote = char;
+            } else if (char === "(") {
+                depth++;
+            } else if (char === ")" && --depth === 0) {
+                return { index, call: source.slice(index, i + 1) };
+            }
+        }
+        return { index, call: source.slice(index) };
+    });
+    return ["lib", "api"].flatMap((dir) => readdirSync(new URL(`./${dir}/`, import.meta.url))
+        .filter((file) => file.endsWith(".js"))
+        .flatMap((file) => {
+            const source = readFileSync(new URL(`./${dir}/${file}`, import.meta.url), "utf8");
+            return calls(source)
+                .filter(({ call }) => !/\bcode: "[A-Z_]+"/.test(call))
+                .map(({ index }) => `${dir}/${file}:${source.slice(0, index).split("\n").length}`);
+        }));
+}
+
+const errorModelTestCases = [
+    errorModelCase("misspelled weekday", { humanDate: "wendesday", humanTime: "2pm" }, {
+        code: "DATE_UNPARSEABLE", field: "humanDate", span: { start: 0, end: 9 }, suggestions: ["wednesday"]
+    }),
+    errorModelCase("misspelled month", { humanDate: "septmber 3", humanTime: "2pm" }, {
+        code: "DATE_UNPARSEABLE", field: "humanDate", span: { start: 0, end: 10 }, suggestions: ["september 3"]
+    }),
+    errorModelCase("misspelled weekday after filler", { humanDate: "on wendesday", humanTime: "2pm" }, {
+        code: "DATE_UNPARSEABLE", field: "humanDate", span: { start: 0, end: 12 }, suggestions: ["wednesday"]
+    }),
+    errorModelCase("misspelled recurrence", { humanDate: "every thrusday", humanTime: "2pm" }, {
+        code: "DATE_UNPARSEABLE", field: "humanDate", span: { start: 0, end: 14 }, suggestions: ["every thursday"]
+    }),
+    errorModelCase("nothing to suggest", { humanDate: "blah", humanTime: "2pm" }, {
+        code: "DATE_UNPARSEABLE", field: "humanDate", span: { start: 0, end: 4 }
+    }),
+    errorModelCase("meridiem letter", { humanDate: "tomorrow", humanTime: "2p" }, {
+        code: "TIME_UNPARSEABLE", field: "humanTime", span: { start: 0, end: 2 }, suggestions: ["2pm"]
+    }),
+    errorModelCase("misspelled period", { humanDate: "tomorrow", humanTime: "aftenoon" }, {
+        code: "TIME_UNPARSEABLE", field: "humanTime", span: { start: 0, end: 8 }, suggestions: ["afternoon"]
+    }),
+    errorModelCase("24-hour time with pm", { humanDate: "tomorrow", humanTime: "13pm" }, {
+        code: "TIME_OUT_OF_RANGE", field: "humanTime", span: { start: 0, end: 4 }, suggestions: ["13:00"]
+    }),
+    errorModelCase("hour out of range", { humanDate: "tomorrow", humanTime: "25:00" }, {
+        code: "TIME_OUT_OF_RANGE", field: "humanTime", span: { start: 0, end: 5 }
+    }),
+    errorModelCase("date in the past", { humanDate: "yesterday", humanTime: "3pm", pastPolicy: "reject" }, {
+        code: "DATE_IN_PAST", field: "humanDate", span: { start: 0, end: 9 }
+    }),
+    errorModelCase("time skipped by DST, in a sentence", { text: "call me on march 9 2025 at 2:30am", dstPolicy: "reject" }, {
+        code: "DST_NONEXISTENT_TIME", field: "text", span: { start: 24, end: 33 }
+    }),
+    errorModelCase("no time in a sentence", { text: "see you thursday" }, {
+        code: "TIME_NOT_FOUND", field: "text"
+    }),
+    errorModelCase("unknown timezone", { humanDate: "tomorrow", humanTime: "2pm", timeZone: "America/Chicgo" }, {
+        code: "TZ_UNKNOWN", field: "timeZone", suggestions: ["America/Chicago"]
+    }),
+    errorModelCase("invalid parameter", { humanDate: "tomorrow", humanTime: "2pm", direction: "forward" }, {
+        code: "PARAMETER_INVALID", field: "direction"
+    }),
+    errorModelCase("missing parameter", { humanTime: "2pm" }, {
+        code: "PARAMETER_INVALID", field: "humanDate"
+    }),
+    errorModelCase("invalid reference time", { humanDate: "tomorrow", humanTime: "2pm", clientCurrentTime: "soon" }, {
+        code: "PARAMETER_INVALID", field: "clientCurrentTime"
+    }),
+    errorModelCase("conflicting parameters", { text: "tomorrow at 2pm", humanDate: "tomorrow" }, {
+        code: "PARAMETERS_CONFLICT"
+    }),
+    unusedTextCase("next week's friday", ["friday next week"]),
+    unusedTextCase("next week friday", ["friday next week"]),
+    unusedTextCase("monday blah", undefined),
+    {
+        name: "batch item errors carry their code",
+        run: () => {
+            const { results } = convertBatch({
+                timeZone: "America/Chicago",
+                clientCurrentTime: FIXED_NOW,
+                items: [{ humanDate: "tomorow", humanTime: "2pm" }, "row"]
+            });
+            return results.map(({ code, field, suggestions }) => ({ code, field, suggestions }));
+        },
+        expect: [
+            { code: "DATE_UNPARSEABLE", field: "humanDate", suggestions: ["tomorrow"] },
+            { code: "BATCH_ITEM_INVALID" }
+        ]
+    },
+    expectResult("every ParseDateError names its code", errorsWithoutCode, [])
+];
+
+registerVocabularyProfile("salon", {
+    "after lunch": "1:30pm",
+    "close of business": { time: "5pm" },
+    "payday": { date: ["15th of this month", "last day of this month", "15th of next month"] },
+    "the usual slot": { date: "tuesday", time: "10am" }
+});
+
+// Through the API body, with the "salon" profile unless the case names another
+function vocabularyCase(name, body, expect) {
+    return expectResult(name, () => {
+        const { convertedDate, vocabulary } = convertRequest({
+            timeZone: "America/Chicago",
+            clientCurrentTime: FIXED_NOW,
+            vocabularyProfile: "salon",
+            ...body
+        });
+        return { convertedDate, applied: vocabulary.applied };
+    }, expect);
+}
+
+const PAYDAYS = ["15th of this month", "last day of this month", "15th of next month"];
+
+const vocabularyTestCases = [
+    vocabularyCase("a time alias", { humanDate: "tomorrow", humanTime: "after lunch" }, {
+        convertedDate: "2025-08-20T13:30:00-05:00",
+        applied: [{ alias: "after lunch", text: "after lunch", field: "humanTime", index: 0, replacement: "1:30pm", source: "profile" }]
+    }),
+    vocabularyCase("matched whole words, ignoring case", { humanDate: "tomorrow", humanTime: "Close of Business" }, {
+        convertedDate: "2025-08-20T17:00:00-05:00",
+        applied: [{ alias: "close of business", text: "Close of Business", field: "humanTime", index: 0, replacement: "5pm", source: "profile" }]
+    }),
+    vocabularyCase("date and time from one phrase", { humanDate: "the usual slot" }, {
+        convertedDate: "2025-08-19T10:00:00-05:00",
+        applied: [{
+            alias: "the usual slot", text: "the usual slot", field: "humanDate", index: 0,
+            replacement: "tuesday", filled: { humanTime: "10am" }, source: "profile"
+        }]
+    }),
+    vocabularyCase("a phrase in a sentence", { text: "could we do the usual slot?" }, {
+        convertedDate: "2025-08-19T10:00:00-05:00",
+        applied: [{ alias: "the usual slot", text: "the usual slot", field: "text", index: 12, replacement: "tuesday 10am", source: "profile" }]
+    }),
+    vocabularyCase("several dates, the next one", { humanDate: "payday", humanTime: "after lunch" }, {
+        convertedDate: "2025-08-31T13:30:00-05:00",
+        applied: [
+            { alias: "payday", text: "payday", field: "humanDate", index: 0, replacement: PAYDAYS, source: "profile" },
+            { alias: "after lunch", text: "after lunch", field: "humanTime", index: 0, replacement: "1:30pm", source: "profile" }
+        ]
+    }),
+    vocabularyCase("several dates, the last one", { humanDate: "payday", humanTime: "9am", direction: "past" }, {
+        convertedDate: "2025-08-15T09:00:00-05:00",
+        applied: [{ alias: "payday", text: "payday", field: "humanDate", index: 0, replacement: PAYDAYS, source: "profile" }]
+    }),
+    vocabularyCase("the request's entry overrides the profile's", {
+        humanDate: "tomorrow", humanTime: "after lunch", vocabulary: { "After Lunch": "2pm" }
+    }, {
+        convertedDate: "2025-08-20T14:00:00-05:00",
+        applied: [{ alias: "after lunch", text: "after lunch", field: "humanTime", index: 0, replacement: "2pm", source: "request" }]
+    }),
+    vocabularyCase("an alias redefines a built-in word", {
+        humanDate: "tomorrow", humanTime: "noon", vocabulary: { noon: "12:30pm" }, vocabularyProfile: null
+    }, {
+        convertedDate: "2025-08-20T12:30:00-05:00",
+        applied: [{ alias: "noon", text: "noon", field: "humanTime", index: 0, replacement: "12:30pm", source: "request" }]
+    }),
+    vocabularyCase("the longer phrase wins, and replacements are not expanded again", {
+        humanDate: "tomorrow", humanTime: "lunch hour", vocabulary: { "lunch hour": "noon", noon: "12:30pm" }, vocabularyProfile: null
+    }, {
+        convertedDate: "2025-08-20T12:00:00-05:00",
+        applied: [{ alias: "lunch hour", text: "lunch hour", field: "humanTime", index: 0, replacement: "noon", source: "request" }]
+    }),
+    vocabularyCase("nothing to replace", { humanDate: "tomorrow", humanTime: "2pm" }, {
+        convertedDate: "2025-08-20T14:00:00-05:00",
+        applied: []
+    }),
+    expectError(vocabularyCase("unknown profile", { humanDate: "tomorrow", humanTime: "2pm", vocabularyProfile: "spa" }), "Invalid 'vocabularyProfile' parameter"),
+    expectError(vocabularyCase("not an object", { humanDate: "tomorrow", humanTime: "2pm", vocabulary: ["after lunch"] }), "Invalid 'vocabulary' parameter"),
+    expectError(vocabularyCase("an entry with no meaning", { humanDate: "tomorrow", humanTime: "2pm", vocabulary: { soon: {} } }), "Invalid 'vocabulary' parameter"),
+    expectError(vocabularyCase("an entry with an unknown part", {
+        humanDate: "tomorrow", humanTime: "2pm", vocabulary: { soon: { day: "friday" } }
+    }), "Invalid 'vocabulary' parameter"),
+    expectError(vocabularyCase("a phrase with several dates used twice", {
+        humanDate: "payday or payday", humanTime: "9am"
+    }), "Invalid 'humanDate' parameter"),
+    {
+        name: "a repeated five-date phrase is turned down before any reading is converted",
+        run: () => {
+            const started = Date.now();
+            try {
+                parseHumanDateTime({
+                    humanDate: Array(8).fill("someday").join(" "),
+                    humanTime: "9am",
+                    timeZone: "America/Chicago",
+                    now: FIXED_NOW,
+                    vocabulary: { someday: { date: ["monday", "tuesday", "wednesday", "thursday", "friday"] } }
+                });
+                return { code: null };
+            } catch (error) {
+                return { code: error.code, field: error.field, quick: Date.now() - started < 500 };
+            }
+        },
+        expect: { code: "PARAMETER_INVALID", field: "humanDate", quick: true }
+    }
+];
+
+// A GET query string converted as the handler does, in the response format `query.format` asks for
+function queryCase(name, query, expect) {
+    return expectResult(name, () => {
+        const format = parseResponseFormat(query.format);
+        let body;
+        try {
+            body = convertRequest(requestFromQuery(query));
+        } catch (error) {
+            if (format === "json" || !(error instanceof ParseDateError)) {
+                throw error;
+            }
+            body = error.toJSON();
+        }
+        return format === "json" ? pick(body, Object.keys(expect)) : formatTextResponse(format, body);
+    }, expect);
+}
+
+function pick(object, keys) {
+    return Object.fromEntries(keys.map((key) => [key, object[key]]));
+}
+
+const QUERY = { timeZone: "America/Chicago", clientCurrentTime: FIXED_NOW };
+
+const queryTestCases = [
+    queryCase("the POST fields as parameters", { ...QUERY, humanDate: "next friday", humanTime: "noon" }, {
+        convertedDate: "2025-08-29T12:00:00-05:00"
+    }),
+    queryCase("numbers and lists", {
+        ...QUERY, humanDate: "every monday", humanTime: "9am", occurrences: "2", outputFormats: "utc,epoch"
+    }, {
+        convertedDate: "2025-08-25T09:00:00-05:00",
+        recurrence: {
+            dtstart: "DTSTART;TZID=America/Chicago:20250825T090000",
+            rrule: "RRULE:FREQ=WEEKLY;BYDAY=MO",
+            occurrences: ["2025-08-25T09:00:00-05:00", "2025-09-01T09:00:00-05:00"]
+        },
+        formats: { utc: "2025-08-25T14:00:00Z", epoch: 1756130400 }
+    }),
+    queryCase("repeated list parameters", {
+        ...QUERY, humanDate: "tomorrow", humanTime: "2pm", alsoIn: ["Europe/London", "Asia/Tokyo,UTC"]
+    }, {
+        alsoIn: [
+            { timeZone: "Europe/London", convertedDate: "2025-08-20T20:00:00+01:00", offset: "+01:00", abbreviation: "BST", dateDiffers: false },
+            { timeZone: "Asia/Tokyo", convertedDate: "2025-08-21T04:00:00+09:00", offset: "+09:00", abbreviation: "GMT+9", dateDiffers: true },
+            { timeZone: "UTC", convertedDate: "2025-08-20T19:00:00Z", offset: "+00:00", abbreviation: "UTC", dateDiffers: false }
+        ]
+    }),
+    queryCase("booleans and JSON objects", {
+        ...QUERY, humanDate: "saturday", humanTime: "10am", businessHours: "{\"mon-fri\":\"9am-5pm\"}", suggestSlots: "true"
+    }, {
+        availability: {
+            open: false,
+            reason: "CLOSED_DAY",
+            suggestions: { before: "2025-08-22T16:30:00-05:00", after: "2025-08-25T09:00:00-05:00" }
+        }
+    }),
+    queryCase("a vocabulary as JSON", {
+        ...QUERY, humanDate: "tomorrow", humanTime: "after lunch", vocabulary: "{\"after lunch\":\"1:30pm\"}"
+    }, {
+        convertedDate: "2025-08-20T13:30:00-05:00"
+    }),
+    queryCase("format=text", { ...QUERY, humanDate: "tomorrow", humanTime: "2pm", format: "text" }, {
+        contentType: "text/plain; charset=utf-8",
+        content: "2025-08-20T14:00:00-05:00"
+    }),
+    queryCase("format=csv", { ...QUERY, humanDate: "tomorrow", humanTime: "2pm", format: "csv" }, {
+        contentType: "text/csv; charset=utf-8",
+        content: "2025-08-20T14:00:00-05:00\r\n"
+    }),
+    queryCase("format=text error", { ...QUERY, humanDate: "wendesday", humanTime: "2pm", format: "text" }, {
+        contentType: "text/plain; charset=utf-8",
+        content: "ERROR DATE_UNPARSEABLE: Unable to understand the date: wendesday"
+    }),
+    queryCase("format=csv error, quoted", { ...QUERY, humanDate: "tomorrow", humanTime: "2pm", occurrences: "0", format: "csv" }, {
+        contentType: "text/csv; charset=utf-8",
+        content: "\"ERROR PARAMETER_INVALID: Please provide the number of occurrences to list, from 1 to 100\"\r\n"
+    }),
+    expectError(queryCase("a number that isn't one", { ...QUERY, humanDate: "every monday", humanTime: "9am", occurrences: "two" }), "Invalid 'occurrences' parameter"),
+    expectError(queryCase("a repeated single value", { ...QUERY, humanDate: ["tomorrow", "friday"], humanTime: "2pm" }), "Invalid 'humanDate' parameter"),
+    expectError(queryCase("an object that isn't JSON", { ...QUERY, humanDate: "tomorrow", humanTime: "2pm", event: "Haircut" }), "Invalid 'event' parameter"),
+    expectError(queryCase("an unknown format", { ...QUERY, humanDate: "tomorrow", humanTime: "2pm", format: "xml" }), "Invalid 'format' parameter")
+];
+
+function accessCase(name, options, requests, expect) {
+    return expectResult(name, async () => {
+        let now = Date.parse("2025-08-19T15:00:30Z");
+        const control = createAccessControl({ ...options, clock: () => now });
+        const outcomes = [];
+        for (const { at, origin, authorization, apiKey } of requests) {
+            now = at ? Date.parse(at) : now;
+            const { headers, error } = await control.check({
+                headers: { ...(origin && { origin }), ...(authorization && { authorization }) },
+                query: apiKey ? { apiKey } : {}
+            });
+            outcomes.push(error
+                ? { status: error.status, code: error.code, ...(headers["Retry-After"] && { retryAfter: headers["Retry-After"] }) }
+                : {
+                    status: 200,
+                    ...(headers["X-RateLimit-Remaining"] && { remaining: headers["X-RateLimit-Remaining"] }),
+                    ...(headers["X-Quota-Remaining"] && { quotaRemaining: headers["X-Quota-Remaining"] })
+                });
+        }
+        return outcomes;
+    }, expect);
+}
+
+// A stand-in for Vercel's response
+function fakeResponse() {
+    const res = { statusCode: 200, headers: {}, body: null };
+    res.setHeader = (header, value) => { res.headers[header] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    res.end = (content) => { res.body = content === undefined ? res.body : content; return res; };
+    return res;
+}
+
+// The response guardRequest() writes
+function guardCase(name, options, req, expect) {
+    return expectResult(name, async () => {
+        configureAccess({ ...options, clock: () => Date.parse("2025-08-19T15:00:30Z") });
+        const res = fakeResponse();
+        const handled = await guardRequest({ headers: {}, query: {}, ...req }, res, { methods: "POST, OPTIONS" });
+        return {
+            handled,
+            status: res.statusCode,
+            ...pick(res.headers, Object.keys(expect.headers || {}).length ? Object.keys(expect.headers) : []),
+            ...(res.body && { code: res.body.code })
+        };
+    }, { handled: expect.handled, status: expect.status, ...expect.headers, ...(expect.code && { code: expect.code }) });
+}
+
+// The status and body /api/parse-date answers with, access configured as `options`
+function parseDateHandlerCase(name, options, req, expect) {
+    return expectResult(name, async () => {
+        configureAccess({ ...options, clock: () => Date.parse("2025-08-19T15:00:30Z") });
+        const res = fakeResponse();
+        await parseDateHandler({ method: "GET", headers: {}, query: {}, ...req }, res);
+        return { status: res.statusCode, body: typeof res.body === "string" ? res.body : res.body && res.body.code };
+    }, expect);
+}
+
+function accessConfigCase(name, env, expect) {
+    return expectResult(name, () => {
+        try {
+            return readAccessConfig(env);
+        } catch (error) {
+            return error.message;
+        }
+    }, expect);
+}
+
+const ACCESS_KEYS = {
+    "key-a": { ratePerMinute: 2, monthlyQuota: null },
+    "key-b": { ratePerMinute: 60, monthlyQuota: 2 }
+};
+
+const KEY_A = { authorization: "Bearer key-a" };
+
+const KEY_B = { authorization: "Bearer key-b" };
+
+const accessTestCases = [
+    accessCase("open when no keys are configured", { keys: null, origins: null }, [{}], [{ status: 200 }]),
+    accessCase("missing key", { keys: ACCESS_KEYS, origins: null }, [{}], [{ status: 401, code: "UNAUTHORIZED" }]),
+    accessCase("unknown key", { keys: ACCESS_KEYS, origins: null }, [{ authorization: "Bearer key-z" }], [
+        { status: 401, code: "UNAUTHORIZED" }
+    ]),
+    accessCase("key as ?apiKey, when allowed", { keys: ACCESS_KEYS, origins: null, queryKeys: true }, [{ apiKey: "key-a" }], [
+        { status: 200, remaining: "1" }
+    ]),
+    accessCase("?apiKey ignored unless allowed", { keys: ACCESS_KEYS, origins: null }, [{ apiKey: "key-a" }], [
+        { status: 401, code: "UNAUTHORIZED" }
+    ]),
+    accessCase("a key that only shares a prefix", { keys: ACCESS_KEYS, origins: null }, [{ authorization: "Bearer key-" }], [
+        { status: 401, code: "UNAUTHORIZED" }
+    ]),
+    accessCase("keys are not object properties", { keys: ACCESS_KEYS, origins: null }, [{ authorization: "Bearer constructor" }], [
+        { status: 401, code: "UNAUTHORIZED" }
+    ]),
+    accessCase("rate limit, then Retry-After to the next minute", { keys: ACCESS_KEYS, origins: null }, [KEY_A, KEY_A, KEY_A], [
+        { status: 200, remaining: "1" },
+        { status: 200, remaining: "0" },
+        { status: 429, code: "RATE_LIMITED", retryAfter: "30" }
+    ]),
+    accessCase("rate limit resets each minute", { keys: ACCESS_KEYS, origins: null }, [
+        KEY_A, KEY_A, { ...KEY_A, at: "2025-08-19T15:01:05Z" }
+    ], [
+        { status: 200, remaining: "1" },
+        { status: 200, remaining: "0" },
+        { status: 200, remaining: "1" }
+    ]),
+    accessCase("limits are per key", { keys: ACCESS_KEYS, origins: null }, [KEY_A, KEY_A, KEY_A, KEY_B], [
+        { status: 200, remaining: "1" },
+        { status: 200, remaining: "0" },
+        { status: 429, code: "RATE_LIMITED", retryAfter: "30" },
+        { status: 200, remaining: "59", quotaRemaining: "1" }
+    ]),
+    accessCase("monthly quota, renewed on the 1st (UTC)", { keys: ACCESS_KEYS, origins: null }, [
+        { ...KEY_B, at: "2025-08-31T23:59:00Z" }, KEY_B, KEY_B, { ...KEY_B, at: "2025-09-01T00:00:10Z" }
+    ], [
+        { status: 200, remaining: "59", quotaRemaining: "1" },
+        { status: 200, remaining: "58", quotaRemaining: "0" },
+        { status: 429, code: "QUOTA_EXCEEDED", retryAfter: "60" },
+        { status: 200, remaining: "59", quotaRemaining: "1" }
+    ]),
+    accessCase("origin allowlist", { keys: null, origins: ["https://app.example.com"] }, [
+        { origin: "https://app.example.com" }, { origin: "https://evil.example.net" }, {}
+    ], [
+        { status: 200 },
+        { status: 403, code: "ORIGIN_NOT_ALLOWED" },
+        { status: 200 }
+    ]),
+    {
+        name: "CORS headers: any origin, an allowed one, another",
+        run: () => {
+            const open = createAccessControl({ keys: null, origins: null });
+            const listed = createAccessControl({ keys: null, origins: ["https://app.example.com"] });
+            return [
+                open.corsHeaders("https://evil.example.net", "POST")["Access-Control-Allow-Origin"],
+                listed.corsHeaders("https://app.example.com", "POST")["Access-Control-Allow-Origin"],
+                listed.corsHeaders("https://evil.example.net", "POST")
+            ];
+        },
+        expect: ["*", "https://app.example.com", { Vary: "Origin" }]
+    },
+    accessConfigCase("nothing configured", {}, { keys: null, origins: null, queryKeys: false }),
+    accessConfigCase("keys as a list, with default limits", { API_KEYS: "key-a, key-b", RATE_LIMIT_PER_MINUTE: "30" }, {
+        keys: { "key-a": { ratePerMinute: 30, monthlyQuota: null }, "key-b": { ratePerMinute: 30, monthlyQuota: null } },
+        origins: null,
+        queryKeys: false
+    }),
+    accessConfigCase("keys as JSON, with limits of their own", {
+        API_KEYS: "{\"key-a\":{\"ratePerMinute\":120},\"key-b\":{}}", MONTHLY_QUOTA: "1000"
+    }, {
+        keys: { "key-a": { ratePerMinute: 120, monthlyQuota: 1000 }, "key-b": { ratePerMinute: 60, monthlyQuota: 1000 } },
+        origins: null,
+        queryKeys: false
+    }),
+    accessConfigCase("keys in the query, when allowed", { API_KEYS: "key-a", API_KEYS_IN_QUERY: "true" }, {
+        keys: { "key-a": { ratePerMinute: 60, monthlyQuota: null } },
+        origins: null,
+        queryKeys: true
+    }),
+    accessConfigCase("origins, trailing slashes dropped", { CORS_ALLOWED_ORIGINS: "https://a.example.com/, https://b.example.com" }, {
+        keys: null,
+        origins: ["https://a.example.com", "https://b.example.com"],
+        queryKeys: false
+    }),
+    accessConfigCase("a limit that isn't one", { API_KEYS: "key-a", RATE_LIMIT_PER_MINUTE: "lots" },
+        "RATE_LIMIT_PER_MINUTE must be a whole number of requests, at least 1"),
+    guardCase("guard: 401 with WWW-Authenticate", { keys: ACCESS_KEYS, origins: null }, { method: "POST" }, {
+        handled: true, status: 401, headers: { "WWW-Authenticate": "Bearer realm=\"human-time-to-iso\"" }, code: "UNAUTHORIZED"
+    }),
+    guardCase("guard: lets a keyed request through with its limits", { keys: ACCESS_KEYS, origins: null }, {
+        method: "POST", headers: KEY_B
+    }, {
+        handled: false, status: 200, headers: { "X-RateLimit-Limit": "60", "X-RateLimit-Remaining": "59", "X-Quota-Remaining": "1" }
+    }),
+    guardCase("guard: preflight needs no key", { keys: ACCESS_KEYS, origins: ["https://app.example.com"] }, {
+        method: "OPTIONS", headers: { origin: "https://app.example.com" }
+    }, {
+        handled: true, status: 200, headers: { "Access-Control-Allow-Origin": "https://app.example.com" }
+    }),
+    guardCase("guard: preflight from another origin", { keys: null, origins: ["https://app.example.com"] }, {
+        method: "OPTIONS", headers: { origin: "https://evil.example.net" }
+    }, {
+        handled: true, status: 403
+    }),
+    parseDateHandlerCase("handler: a 401 in the format asked for", { keys: ACCESS_KEYS, origins: null }, {
+        query: { humanDate: "tomorrow", humanTime: "2pm", format: "text" }
+    }, {
+        status: 401, body: "ERROR UNAUTHORIZED: Please send an API key as 'Authorization: Bearer <key>'"
+    }),
+    parseDateHandlerCase("handler: a 429 in the format asked for", { keys: { "key-a": { ratePerMinute: 1, monthlyQuota: null } }, origins: null,
+        store: { increment: async () => 2 } }, {
+        headers: KEY_A, query: { humanDate: "tomorrow", humanTime: "2pm", format: "csv" }
+    }, {
+        status: 429, body: "ERROR RATE_LIMITED: This key may make 1 requests a minute; try again in 30 seconds\r\n"
+    }),
+    parseDateHandlerCase("handler: a failing store is a 500, not a crash", { keys: ACCESS_KEYS, origins: null,
+        store: { increment: async () => { throw new Error("The store is unreachable"); } } }, {
+        headers: KEY_A
+    }, {
+        status: 500, body: "INTERNAL_ERROR"
+    })
+];
+
+function resolutionCase(timeZone, expect, options) {
+    return expectResult(`"tomorrow" at "2pm" in ${JSON.stringify(timeZone)}`, () => {
+        const { convertedDate, timeZoneResolution, assessment } = parseHumanDateTime({
+            humanDate: "tomorrow",
+            humanTime: "2pm",
+            timeZone,
+            now: FIXED_NOW,
+            ...options
+        });
+        return { convertedDate, timeZoneResolution, warnings: assessment.warnings.map(({ code }) => code) };
+    }, expect);
+}
+
+// The closest spellings an unknown zone's error suggests
+function suggestionCase(timeZone, expect) {
+    return expectResult(`suggestions for ${JSON.stringify(timeZone)}`, () => {
+        try {
+            resolutionCase(timeZone).run();
+            return null;
+        } catch (error) {
+            return error.toJSON().suggestions;
+        }
+    }, expect);
+}
+
+const resolutionTestCases = [
+    resolutionCase("America/Chicago", {
+        convertedDate: "2025-08-20T14:00:00-05:00", timeZoneResolution: null, warnings: []
+    }),
+    resolutionCase("america/new_york", {
+        convertedDate: "2025-08-20T14:00:00-04:00",
+        timeZoneResolution: { input: "america/new_york", timeZone: "America/New_York", source: "iana" },
+        warnings: []
+    }),
+    // Abbreviations stand for their region: EST in August is EDT
+    resolutionCase("EST", {
+        convertedDate: "2025-08-20T14:00:00-04:00",
+        timeZoneResolution: { input: "EST", timeZone: "America/New_York", source: "abbreviation" },
+        warnings: []
+    }),
+    resolutionCase("CST", {
+        convertedDate: "2025-08-20T14:00:00-05:00",
+        timeZoneResolution: {
+            input: "CST", timeZone: "America/Chicago", source: "abbreviation",
+            candidates: ["America/Chicago", "Asia/Shanghai", "America/Havana"]
+        },
+        warnings: ["AMBIGUOUS_TIMEZONE"]
+    }),
+    resolutionCase("Pacific Time", {
+        convertedDate: "2025-08-20T14:00:00-07:00",
+        timeZoneResolution: { input: "Pacific Time", timeZone: "America/Los_Angeles", source: "name" },
+        warnings: []
+    }),
+    resolutionCase("W. Europe Standard Time", {
+        convertedDate: "2025-08-20T14:00:00+02:00",
+        timeZoneResolution: { input: "W. Europe Standard Time", timeZone: "Europe/Berlin", source: "windows" },
+        warnings: []
+    }),
+    // Whole-hour offsets are Etc/GMT zones, whose sign is reversed
+    resolutionCase("GMT+2", {
+        convertedDate: "2025-08-20T14:00:00+02:00",
+        timeZoneResolution: { input: "GMT+2", timeZone: "Etc/GMT-2", source: "offset" },
+        warnings: []
+    }),
+    resolutionCase("UTC-05:00", {
+        convertedDate: "2025-08-20T14:00:00-05:00",
+        timeZoneResolution: { input: "UTC-05:00", timeZone: "Etc/GMT+5", source: "offset" },
+        warnings: []
+    }),
+    resolutionCase("+05:30", {
+        convertedDate: "2025-08-20T14:00:00+05:30",
+        timeZoneResolution: { input: "+05:30", timeZone: "UTC+5:30", source: "offset" },
+        warnings: []
+    }),
+    resolutionCase("Chicago", {
+        convertedDate: "2025-08-20T14:00:00-05:00",
+        timeZoneResolution: { input: "Chicago", timeZone: "America/Chicago", source: "city" },
+        warnings: []
+    }),
+    resolutionCase("São Paulo", {
+        convertedDate: "2025-08-20T14:00:00-03:00",
+        timeZoneResolution: { input: "São Paulo", timeZone: "America/Sao_Paulo", source: "city" },
+        warnings: []
+    }),
+    resolutionCase("Mumbai", {
+        convertedDate: "2025-08-20T14:00:00+05:30",
+        timeZoneResolution: { input: "Mumbai", timeZone: "Asia/Kolkata", source: "city" },
+        warnings: []
+    }),
+    expectError(resolutionCase("Mars/Olympus"), "Invalid timezone"),
+    expectError(resolutionCase("GMT+15"), "Invalid timezone"),
+    expectError(resolutionCase("constructor"), "Invalid timezone"),
+    expectError(resolutionCase(""), "Missing or invalid 'timeZone' parameter"),
+    suggestionCase("Amercia/Chicago", ["America/Chicago"]),
+    suggestionCase("Lodnon", ["Europe/London"]),
+    suggestionCase("Pacfic Time", ["America/Los_Angeles"]),
+    suggestionCase("Mars/Olympus", undefined)
+];
+
+// The reference time an API request used: the client's exactly, or whether the server's was read just now
+function referenceCase(name, body, expect) {
+    return expectResult(name, () => {
+        const { referenceTime, warnings } = convertRequest({
+            humanDate: "tomorrow",
+            humanTime: "2pm",
+            timeZone: "America/Chicago",
+            ...body
+        });
+        const { time, source, policy, clockSkewSeconds } = referenceTime;
+        return {
+            ...(source === "client" ? { time } : { serverClock: Math.abs(DateTime.fromISO(time).diffNow("seconds").seconds) < 60 }),
+            source,
+            policy,
+            ...(clockSkewSeconds !== undefined && { clientAhead: clockSkewSeconds > 0 }),
+            warnings: warnings.filter(({ code }) => code === "CLIENT_CLOCK_SKEW").map(({ code }) => code)
+        };
+    }, expect);
+}
+
+const JUST_NOW = DateTime.now().setZone("America/Chicago").toISO();
+
+const referenceTestCases = [
+    referenceCase("client clock by default", { clientCurrentTime: FIXED_NOW }, {
+        time: FIXED_NOW, source: "client", policy: "client", warnings: []
+    }),
+    expectError(referenceCase("client policy needs clientCurrentTime", { referenceTimePolicy: "client" }), "Missing or invalid 'clientCurrentTime' parameter"),
+    referenceCase("server clock without clientCurrentTime", { referenceTimePolicy: "server" }, {
+        serverClock: true, source: "server", policy: "server", warnings: []
+    }),
+    // The server policy only measures the client's clock
+    referenceCase("server clock, client's compared", { referenceTimePolicy: "server", clientCurrentTime: FIXED_NOW }, {
+        serverClock: true, source: "server", policy: "server", clientAhead: false, warnings: []
+    }),
+    referenceCase("client clock within the skew limit", { referenceTimePolicy: "client-with-skew-check", clientCurrentTime: JUST_NOW }, {
+        time: DateTime.fromISO(JUST_NOW, { setZone: true }).toISO({ suppressMilliseconds: true }),
+        source: "client", policy: "client-with-skew-check", clientAhead: false, warnings: []
+    }),
+    referenceCase("skewed client clock replaced", { referenceTimePolicy: "client-with-skew-check", clientCurrentTime: FIXED_NOW }, {
+        serverClock: true, source: "server", policy: "client-with-skew-check", clientAhead: false, warnings: ["CLIENT_CLOCK_SKEW"]
+    }),
+    referenceCase("client clock ahead", {
+        referenceTimePolicy: "client-with-skew-check",
+        clientCurrentTime: DateTime.now().plus({ hours: 3 }).toISO()
+    }, {
+        serverClock: true, source: "server", policy: "client-with-skew-check", clientAhead: true, warnings: ["CLIENT_CLOCK_SKEW"]
+    }),
+    referenceCase("a wider skew limit", {
+        referenceTimePolicy: "client-with-skew-check", clientCurrentTime: FIXED_NOW, maxClockSkewSeconds: 1000000000
+    }, {
+        time: FIXED_NOW, source: "client", policy: "client-with-skew-check", clientAhead: false, warnings: []
+    }),
+    referenceCase("server clock when clientCurrentTime is missing", { referenceTimePolicy: "client-with-skew-check" }, {
+        serverClock: true, source: "server", policy: "client-with-skew-check", warnings: []
+    }),
+    expectError(referenceCase("unknown policy", { clientCurrentTime: FIXED_NOW, referenceTimePolicy: "browser" }), "Invalid 'referenceTimePolicy' parameter"),
+    expectError(referenceCase("invalid skew limit", {
+        clientCurrentTime: FIXED_NOW, referenceTimePolicy: "client-with-skew-check", maxClockSkewSeconds: -5
+    }), "Invalid 'maxClockSkewSeconds' parameter"),
+    expectError(referenceCase("invalid clientCurrentTime under the server policy", {
+        referenceTimePolicy: "server", clientCurrentTime: "yesterday"
+    }), "Invalid clientCurrentTime format")
+];
+
+function formatsCase(date, time, expect, options = {}) {
+    return expectResult(`"${date}" at "${time}" as ${JSON.stringify(options.outputFormats || [])}`, () => parseHumanDateTime({
+        humanDate: date,
+        humanTime: time,
+        timeZone: "America/Chicago",
+        now: FIXED_NOW,
+        ...options
+    }).formats, expect);
+}
+
+const formatsTestCases = [
+    formatsCase("tomorrow", "2pm", {
+        utc: "2025-08-20T19:00:00Z",
+        epoch: 1755716400,
+        epochMs: 1755716400000,
+        rfc2822: "Wed, 20 Aug 2025 14:00:00 -0500"
+    }, { outputFormats: ["utc", "epoch", "epochMs", "rfc2822"] }),
+    formatsCase("tomorrow", "2:30:15pm", {
+        fields: {
+            date: "2025-08-20",
+            time: "14:30:15",
+            year: 2025,
+            month: 8,
+            day: 20,
+            hour: 14,
+            minute: 30,
+            second: 15,
+            weekday: "Wednesday",
+            offset: "-05:00",
+            timeZone: "America/Chicago"
+        }
+    }, { outputFormats: ["fields"] }),
+    // A single time becomes a 30-minute event
+    formatsCase("tomorrow", "2pm", {
+        googleCalendar: "https://calendar.google.com/calendar/render?action=TEMPLATE&text=Appointment&dates=20250820T190000Z%2F20250820T193000Z&ctz=America%2FChicago"
+    }, { outputFormats: ["googleCalendar"] }),
+    formatsCase("tomorrow", "2-3:30pm", {
+        outlookCalendar: "https://outlook.live.com/calendar/0/deeplink/compose?path=%2Fcalendar%2Faction%2Fcompose&rru=addevent&subject=Haircut%20with%20Sam&startdt=2025-08-20T19%3A00%3A00Z&enddt=2025-08-20T20%3A30%3A00Z&location=12%20Main%20St",
+        office365Calendar: "https://outlook.office.com/calendar/0/deeplink/compose?path=%2Fcalendar%2Faction%2Fcompose&rru=addevent&subject=Haircut%20with%20Sam&startdt=2025-08-20T19%3A00%3A00Z&enddt=2025-08-20T20%3A30%3A00Z&location=12%20Main%20St"
+    }, { outputFormats: ["outlookCalendar", "office365Calendar"], event: { title: "Haircut with Sam", location: "12 Main St" } }),
+    formatsCase("tomorrow", "2-3:30pm", {
+        ics: [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "PRODID:-//human-time-to-iso//EN",
+            "CALSCALE:GREGORIAN",
+            "METHOD:PUBLISH",
+            "BEGIN:VTIMEZONE",
+            "TZID:America/Chicago",
+            "BEGIN:DAYLIGHT",
+            "DTSTART:19700308T020000",
+            "TZOFFSETFROM:-0600",
+            "TZOFFSETTO:-0500",
+            "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+            "END:DAYLIGHT",
+            "BEGIN:STANDARD",
+            "DTSTART:19701101T020000",
+            "TZOFFSETFROM:-0500",
+            "TZOFFSETTO:-0600",
+            "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+            "END:STANDARD",
+            "END:VTIMEZONE",
+            "BEGIN:VEVENT",
+            "UID:05fb3db7cf3e253c39f8@human-time-to-iso",
+            "DTSTAMP:20250819T150000Z",
+            "DTSTART;TZID=America/Chicago:20250820T140000",
+            "DTEND;TZID=America/Chicago:20250820T153000",
+            "SUMMARY:Haircut\\, with Sam",
+            "LOCATION:12 Main St\\; Suite 4",
+            "END:VEVENT",
+            "END:VCALENDAR",
+            ""
+        ].join("\r\n")
+    }, { outputFormats: ["ics"], event: { title: "Haircut, with Sam", location: "12 Main St; Suite 4" } }),
+    // Recurring results repeat in Google Calendar
+    formatsCase("every other tuesday", "3pm", {
+        googleCalendar: "https://calendar.google.com/calendar/render?action=TEMPLATE&text=Appointment&dates=20250819T200000Z%2F20250819T203000Z&ctz=America%2FChicago&recur=RRULE%3AFREQ%3DWEEKLY%3BINTERVAL%3D2%3BBYDAY%3DTU"
+    }, { outputFormats: ["googleCalendar"] }),
+    formatsCase("tomorrow", "2pm", null),
+    expectError(formatsCase("tomorrow", "2pm", undefined, { outputFormats: ["utc", "excel"] }), "Invalid 'outputFormats' parameter"),
+    expectError(formatsCase("tomorrow", "2pm", undefined, { outputFormats: "utc" }), "Invalid 'outputFormats' parameter"),
+    expectError(formatsCase("tomorrow", "2pm", undefined, { outputFormats: ["ics"], event: { title: 42 } }), "Invalid 'event' parameter"),
+    // The .ics defines its zone, whose name clients may not know; Google only gets region zones
+    calendarZoneCase("UTC-05:00", {
+        ctz: null,
+        vtimezone: ["TZID:Etc/GMT+5", "BEGIN:STANDARD", "DTSTART:19700101T000000", "TZOFFSETFROM:-0500", "TZOFFSETTO:-0500", "END:STANDARD"]
+    }),
+    calendarZoneCase("Australia/Sydney", {
+        ctz: "Australia/Sydney",
+        vtimezone: [
+            "TZID:Australia/Sydney",
+            "BEGIN:STANDARD", "DTSTART:19700405T030000", "TZOFFSETFROM:+1100", "TZOFFSETTO:+1000", "RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU", "END:STANDARD",
+            "BEGIN:DAYLIGHT", "DTSTART:19701004T020000", "TZOFFSETFROM:+1000", "TZOFFSETTO:+1100", "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=1SU", "END:DAYLIGHT"
+        ]
+    })
+];
+
+// The VTIMEZONE lines of an .ics for tomorrow at 2pm in `timeZone`, and the zone its Google link names
+function calendarZoneCase(timeZone, expect) {
+    return expectResult(`.ics and Google zone for ${JSON.stringify(timeZone)}`, () => {
+        const { ics, googleCalendar } = parseHumanDateTime({
+            humanDate: "tomorrow",
+            humanTime: "2pm",
+            timeZone,
+            now: FIXED_NOW,
+            outputFormats: ["ics", "googleCalendar"]
+        }).formats;
+        const lines = ics.split("\r\n");
+        return {
+            ctz: new URL(googleCalendar).searchParams.get("ctz"),
+            vtimezone: lines.slice(lines.indexOf("BEGIN:VTIMEZONE") + 1, lines.indexOf("END:VTIMEZONE"))
+        };
+    }, expect);
+}
+
+// Each phrase, plus whether humanDate + humanTime parse back to the same instant
+function humanizeCase(isoDate, expect, options = {}) {
+    return expectResult(`"${isoDate}"${options.locale ? ` in ${options.locale}` : ""}`, () => {
+        const { convertedDate, phrase, humanDate, humanTime, dstPolicy } = humanizeDateTime({
+            isoDate,
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            ...options
+        });
+        const parsed = parseHumanDateTime({
+            humanDate,
+            humanTime,
+            dstPolicy,
+            timeZone: "America/Chicago",
+            now: FIXED_NOW,
+            locale: options.locale
+        });
+        return { phrase, humanDate, humanTime, ...(dstPolicy && { dstPolicy }), roundTrip: parsed.convertedDate === convertedDate };
+    }, expect);
+}
+
+const humanizeTestCases = [
+    humanizeCase("2025-08-22T14:00:00-05:00", {
+        phrase: "Friday, Aug 22 at 2:00 PM CDT (in 3 days)", humanDate: "2025-08-22", humanTime: "2pm", roundTrip: true
+    }),
+    humanizeCase("2025-08-19T14:30:00-05:00", {
+        phrase: "Tuesday, Aug 19 at 2:30 PM CDT (in 5 hours)", humanDate: "today", humanTime: "2:30pm", roundTrip: true
+    }),
+    humanizeCase("2025-08-19T15:20:00Z", {
+        phrase: "Tuesday, Aug 19 at 10:20 AM CDT (in 20 minutes)", humanDate: "today", humanTime: "10:20am", roundTrip: true
+    }),
+    humanizeCase("2025-08-20T09:00", {
+        phrase: "Wednesday, Aug 20 at 9:00 AM CDT (tomorrow)", humanDate: "tomorrow", humanTime: "9am", roundTrip: true
+    }),
+    humanizeCase("2025-08-18T12:00:00-05:00", {
+        phrase: "Monday, Aug 18 at 12:00 PM CDT (yesterday)", humanDate: "yesterday", humanTime: "12pm", roundTrip: true
+    }),
+    humanizeCase("2025-09-30T08:15:00-05:00", {
+        phrase: "Tuesday, Sep 30 at 8:15 AM CDT (in 6 weeks)", humanDate: "2025-09-30", humanTime: "8:15am", roundTrip: true
+    }),
+    // Other years are named; the winter offset is CST
+    humanizeCase("2026-01-23T14:00:00-06:00", {
+        phrase: "Friday, Jan 23, 2026 at 2:00 PM CST (in 5 months)", humanDate: "2026-01-23", humanTime: "2pm", roundTrip: true
+    }),
+    humanizeCase("2024-01-01T12:00:00Z", {
+        phrase: "Monday, Jan 1, 2024 at 6:00 AM CST (last year)", humanDate: "2024-01-01", humanTime: "6am", roundTrip: true
+    }),
+    // The second 1:30 of the night daylight saving ends
+    humanizeCase("2025-11-02T01:30:00-06:00", {
+        phrase: "Sunday, Nov 2 at 1:30 AM CST (in 2 months)", humanDate: "2025-11-02", humanTime: "1:30am", dstPolicy: "later", roundTrip: true
+    }),
+    humanizeCase("2025-08-20T13:00:00-05:00", {
+        phrase: "miércoles, 20 ago a las 13:00 GMT-5 (mañana)", humanDate: "mañana", humanTime: "13:00", roundTrip: true
+    }, { locale: "es" }),
+    humanizeCase("2025-08-20T01:00:00-05:00", {
+        phrase: "miércoles, 20 ago a la 1:00 GMT-5 (mañana)", humanDate: "mañana", humanTime: "01:00", roundTrip: true
+    }, { locale: "es-MX" }),
+    humanizeCase("2025-08-18T14:00:00-05:00", {
+        phrase: "Montag, 18. Aug. um 14:00 Uhr GMT-5 (gestern)", humanDate: "gestern", humanTime: "14:00", roundTrip: true
+    }, { locale: "de" }),
+    humanizeCase("2025-08-22T15:00:00-05:00", {
+        phrase: "vendredi 22 août à 15:00 UTC−5 (dans 3 jours)", humanDate: "2025-08-22", humanTime: "15:00", roundTrip: true
+    }, { locale: "fr" }),
+    humanizeCase("2025-08-20T15:00:00-05:00", {
+        phrase: "quarta-feira, 20 de ago. às 15:00 GMT-5 (amanhã)", humanDate: "amanhã", humanTime: "15:00", roundTrip: true
+    }, { locale: "pt" }),
+    expectError(humanizeCase("next tuesday"), "Missing or invalid 'isoDate' parameter"),
+    expectError(humanizeCase("2025-08-22T14:00:00-05:00", undefined, { locale: "tlh" }), "Invalid 'locale' parameter"),
+    expectError(humanizeCase("2025-08-22T14:00:00-05:00", undefined, { timeZone: "Mars/Olympus" }), "Invalid timezone"),
+    expectError(humanizeCase("2025-08-22T14:00:00-05:00", undefined, { referenceTimePolicy: "mine" }), "Invalid 'referenceTimePolicy' parameter"),
+    {
+        name: "reference time: the client's, the server's, the server's when the client's is skewed",
+        run: () => ["client", "server", "client-with-skew-check"].map((referenceTimePolicy) => {
+            const { source, policy, clockSkewSeconds } = humanizeDateTime({
+                isoDate: "2025-08-22T14:00:00-05:00",
+                timeZone: "America/Chicago",
+                now: FIXED_NOW,
+                referenceTimePolicy
+            }).referenceTime;
+            return { source, policy, skewReported: clockSkewSeconds !== undefined };
+        }),
+        expect: [
+            { source: "client", policy: "client", skewReported: false },
+            { source: "server", policy: "server", skewReported: true },
+            { source: "server", policy: "client-with-skew-check", skewReported: true }
+        ]
+    },
+    {
+        name: "clientCurrentTime is required unless the server's clock may stand in",
+        run: () => [undefined, "client", "server", "client-with-skew-check"].map((policy) => {
+            try {
+                requireClientCurrentTime(undefined, policy);
+                return "ok";
+            } catch (error) {
+                return error.code;
+            }
+        }),
+        expect: ["PARAMETER_INVALID", "PARAMETER_INVALID", "ok", "ok"]
+    }
+];
+
+async function runCheckSuite(title, cases) {
+    console.log("\n" + "=".repeat(80));
+    console.log(`${title}\n`);
+
+    let passed = 0;
+    for (const testCase of cases) {
+        const expected = testCase.expectError ? { error: testCase.expectError } : testCase.expect;
+        let actual;
+        try {
+            actual = await testCase.run();
+        } catch (error) {
+            if (!(error instanceof ParseDateError)) {
+                console.log(`💥 ERROR: ${testCase.name} - ${error.message}`);
+                continue;
+            }
+            actual = { error: error.error };
+        }
+
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+            console.log(`✅ PASSED: ${testCase.name} → ${JSON.stringify(actual)}`);
+            passed++;
+        } else {
+            console.log(`❌ FAILED: ${testCase.name} → ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+        }
+    }
+
+    console.log(`\n📊 RESULTS: ${passed}/${cases.length} passed, ${cases.length - passed}/${cases.length} failed`);
+    return { passed, total: cases.length };
+}
+
 // Run tests
 async function runTests() {
     console.log("🚀 FINAL COMPREHENSIVE TESTING - Validating README Documentation\n");
@@ -347,16 +2088,49 @@ async function runTests() {
         console.log("⚠️  Some conversion rules failed. Check the output above for details.");
     }
 
+    const checkSuites = [
+        await runCheckSuite("⏰ TESTING TIME GRAMMAR (Should all pass):", timeTestCases),
+        await runCheckSuite("📆 TESTING RELATIVE MONTH DATES (Should all pass):", relativeMonthTestCases),
+        await runCheckSuite("💼 TESTING BUSINESS DAYS (Should all pass):", businessDayTestCases),
+        await runCheckSuite("🎄 TESTING HOLIDAYS (Should all pass):", holidayTestCases),
+        await runCheckSuite("🌱 TESTING SEASONS AND PERIODS (Should all pass):", periodTestCases),
+        await runCheckSuite("⏱️  TESTING RANGES AND DURATIONS (Should all pass):", intervalTestCases),
+        await runCheckSuite("🔁 TESTING RECURRENCES (Should all pass):", recurrenceTestCases),
+        await runCheckSuite("💬 TESTING FREE-TEXT INPUT (Should all pass):", textTestCases),
+        await runCheckSuite("🤔 TESTING CONFIDENCE AND WARNINGS (Should all pass):", assessmentTestCases),
+        await runCheckSuite("🕑 TESTING DAYLIGHT SAVING TRANSITIONS (Should all pass):", dstTestCases),
+        await runCheckSuite("🌐 TESTING LOCALES (Should all pass):", localeTestCases),
+        await runCheckSuite("🏪 TESTING BUSINESS HOURS (Should all pass):", availabilityTestCases),
+        await runCheckSuite("📅 TESTING FREE/BUSY CONFLICTS (Should all pass):", freeBusyTestCases),
+        await runCheckSuite("📦 TESTING BATCH CONVERSION (Should all pass):", batchTestCases),
+        await runCheckSuite("🔄 TESTING ISO TO HUMAN PHRASES (Should all pass):", humanizeTestCases),
+        await runCheckSuite("🧾 TESTING OUTPUT FORMATS (Should all pass):", formatsTestCases),
+        await runCheckSuite("🗺️  TESTING TIMEZONES IN EXPRESSIONS AND alsoIn (Should all pass):", zoneTestCases),
+        await runCheckSuite("🧭 TESTING TIMEZONE RESOLUTION (Should all pass):", resolutionTestCases),
+        await runCheckSuite("🕰️  TESTING REFERENCE TIME POLICY (Should all pass):", referenceTestCases),
+        await runCheckSuite("➡️  TESTING DIRECTION AND NEXT WEEKDAYS (Should all pass):", directionTestCases),
+        await runCheckSuite("🚨 TESTING ERROR CODES AND SUGGESTIONS (Should all pass):", errorModelTestCases),
+        await runCheckSuite("📖 TESTING CUSTOM VOCABULARY (Should all pass):", vocabularyTestCases),
+        await runCheckSuite("🔗 TESTING GET QUERY STRINGS AND TEXT FORMATS (Should all pass):", queryTestCases),
+        await runCheckSuite("🔑 TESTING API KEYS, RATE LIMITS AND CORS (Should all pass):", accessTestCases)
+    ];
+    const checkPassed = checkSuites.reduce((sum, suite) => sum + suite.passed, 0);
+    const checkTotal = checkSuites.reduce((sum, suite) => sum + suite.total, 0);
+
     console.log("\n" + "=".repeat(80));
-    console.log(`🎯 FINAL SUMMARY: ${passed + conversionPassed}/${total + conversionTotal} total tests passed`);
+    console.log(`🎯 FINAL SUMMARY: ${passed + conversionPassed + checkPassed}/${total + conversionTotal + checkTotal} total tests passed`);
 
-    if (failed === 0 && conversionFailed === 0) {
+    if (failed === 0 && conversionFailed === 0 && checkPassed === checkTotal) {
         console.log("🎉 README DOCUMENTATION IS 100% ACCURATE!");
         console.log("🚀 ChatGPT can use this guide with complete confidence!");
     } else {
         console.log("⚠️  Some issues found. README needs updates before ChatGPT can use it.");
+        process.exitCode = 1;
     }
 }
 
 // Run the tests
-runTests().catch(console.error);
+runTests().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});